@@ -0,0 +1,202 @@
+// ----------------------------------------------------------------------------
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// ----------------------------------------------------------------------------
+
+/**
+ * @file Service filter that caches table records and revalidates them using conditional requests
+ */
+
+var Validate = require('../Utilities/Validate'),
+    Platform = require('../Platform'),
+    MobileServiceTable = require('../MobileServiceTable'),
+    transportHelper = require('../Transports/transportHelper'),
+    _ = require('../Utilities/Extensions');
+
+var defaultMaxEntries = 100,
+    tableUrlRegex = /\/tables\/([^\/?#]+)/i;
+
+/**
+ * Creates a service filter that caches the responses of table GET requests, like those of
+ * {@link MobileServiceTable#lookup} and {@link MobileServiceTable#refresh}, keyed by URL.
+ * The filter can be used with {@link MobileServiceClient#withFilter}.
+ *
+ * A response is cached if it has an `ETag` header or if it is a single record with a version. When the URL
+ * is requested again, the request is sent with an `If-None-Match` header and, if the server responds with
+ * 304 (Not Modified), the cached response is returned instead. When the cache is full, the least recently used
+ * response is evicted. Any other request to a table, like an insert, update or delete, invalidates the cached
+ * responses of that table.
+ *
+ * @param {object} [options] Cache options
+ * @param {number} [options.maxEntries] Maximum number of cached responses. Defaults to 100.
+ *
+ * @returns {function} A service filter with the signature function(request, next, callback). The filter also has
+ *                     an invalidate(tableName) method that removes the cached responses of a table and a clear()
+ *                     method that removes all the cached responses.
+ */
+function createETagCacheFilter(options) {
+    if (!_.isNull(options)) {
+        Validate.isObject(options, 'options');
+    }
+    options = options || {};
+
+    var maxEntries = _.isNull(options.maxEntries) ? defaultMaxEntries : options.maxEntries;
+    Validate.isInteger(maxEntries, 'maxEntries');
+    if (maxEntries <= 0) {
+        throw _.format(Platform.getResourceString("Validate_InvalidPositiveInteger"), 'maxEntries');
+    }
+
+    // Cached entries by URL, and the URLs from the least to the most recently used
+    var entries = {},
+        urls = [];
+
+    var remove = function (url) {
+        delete entries[url];
+        urls.splice(urls.indexOf(url), 1);
+    };
+
+    var add = function (url, entry) {
+        if (entries.hasOwnProperty(url)) {
+            remove(url);
+        }
+        entries[url] = entry;
+        urls.push(url);
+
+        if (urls.length > maxEntries) {
+            remove(urls[0]);
+        }
+    };
+
+    var filter = function (req, next, callback) {
+        var tableName = getTableName(req.url);
+        if (_.isNull(tableName)) {
+            return next(req, callback);
+        }
+
+        if ((req.type || 'GET').toUpperCase() !== 'GET') {
+            filter.invalidate(tableName);
+            return next(req, callback);
+        }
+
+        // The entry used to revalidate the request. If the caller sets If-None-Match, the response is not revalidated.
+        var url = req.url,
+            entry = entries.hasOwnProperty(url) && _.isNull(transportHelper.findHeader(req.headers, 'If-None-Match')) ? entries[url] : null;
+
+        if (entry) {
+            req.headers = _.extend({}, req.headers);
+            req.headers['If-None-Match'] = entry.etag;
+        }
+
+        next(req, function (error, response) {
+            if (!_.isNull(error) || _.isNull(response)) {
+                return callback(error, response);
+            }
+
+            if (response.status === 304 && entry) {
+                // The entry is served even if it was invalidated or evicted while the request was in flight,
+                // as the caller did not ask for a 304. It is only marked as the most recently used one if it is still cached.
+                if (entries[url] === entry) {
+                    add(url, entry);
+                }
+                return callback(null, createResponse(entry));
+            }
+
+            if (response.status === 200) {
+                var newEntry = createEntry(tableName, response);
+                if (newEntry) {
+                    add(url, newEntry);
+                } else if (entries.hasOwnProperty(url)) {
+                    remove(url);
+                }
+            }
+
+            callback(null, response);
+        });
+    };
+
+    /**
+     * Removes the cached responses of a table
+     * @param {string} tableName Name of the table
+     */
+    filter.invalidate = function (tableName) {
+        Validate.isString(tableName, 'tableName');
+        tableName = tableName.toLowerCase();
+
+        urls.filter(function (url) {
+            return entries[url].tableName === tableName;
+        }).forEach(remove);
+    };
+
+    /**
+     * Removes all the cached responses
+     */
+    filter.clear = function () {
+        entries = {};
+        urls = [];
+    };
+
+    return filter;
+}
+
+/**
+ * Gets the lower case name of the table a URL refers to, or null if the URL does not refer to a table
+ */
+function getTableName(url) {
+    var match = tableUrlRegex.exec(url || '');
+    return match ? decodeURIComponent(match[1]).toLowerCase() : null;
+}
+
+/**
+ * Creates the cache entry of a response, or returns null if the response cannot be revalidated
+ */
+function createEntry(tableName, response) {
+    var etag = response.getResponseHeader ? response.getResponseHeader('ETag') : null;
+
+    if (_.isNullOrEmpty(etag)) {
+        // A single record, like the one returned when refreshing an object, can be revalidated using its version
+        var result = _.fromJson(response.responseText);
+        if (Array.isArray(result) && result.length === 1) {
+            result = result[0];
+        }
+        if (!_.isNull(result) && _.isObject(result) && !Array.isArray(result) && _.isString(result.version) && result.version) {
+            etag = MobileServiceTable.getEtagFromVersion(result.version);
+        }
+    }
+
+    if (_.isNullOrEmpty(etag)) {
+        return null;
+    }
+
+    return {
+        tableName: tableName,
+        etag: etag,
+        statusText: response.statusText,
+        responseText: response.responseText,
+        headers: getResponseHeaders(response)
+    };
+}
+
+/**
+ * Gets the headers of a response. The headers used by the tables are kept even if the response
+ * does not expose all its headers.
+ */
+function getResponseHeaders(response) {
+    var headers = transportHelper.getResponseHeaders(response);
+
+    ['ETag', 'Link', 'Content-Type'].forEach(function (name) {
+        var value = response.getResponseHeader ? response.getResponseHeader(name) : null;
+        if (!_.isNull(value) && _.isNull(transportHelper.findHeader(headers, name))) {
+            headers[name] = value;
+        }
+    });
+
+    return headers;
+}
+
+/**
+ * Creates the response that is returned for a cache entry
+ */
+function createResponse(entry) {
+    return transportHelper.createResponse(200, entry.statusText || 'OK', entry.headers, entry.responseText);
+}
+
+exports.createETagCacheFilter = createETagCacheFilter;
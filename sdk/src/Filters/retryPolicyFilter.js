@@ -0,0 +1,178 @@
+// ----------------------------------------------------------------------------
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// ----------------------------------------------------------------------------
+
+/**
+ * @file Service filter that retries failed requests using exponential backoff
+ */
+
+var Validate = require('../Utilities/Validate'),
+    Platform = require('../Platform'),
+    _ = require('../Utilities/Extensions');
+
+var defaultOptions = {
+    retryCount: 3,
+    initialDelay: 1000,
+    maxDelay: 30000,
+    jitter: 0.2,
+    // 0 is the status reported by the transports when the server could not be reached
+    retryableStatusCodes: [0, 408, 429, 500, 502, 503, 504],
+    // Only idempotent methods are retried by default
+    retryableMethods: ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE']
+};
+
+/**
+ * Creates a service filter that retries failed requests. The filter can be used with {@link MobileServiceClient#withFilter}.
+ *
+ * A request is retried if it times out or if the response status code is one of the retryable status codes, provided
+ * the request method is one of the retryable methods. The delay between attempts grows exponentially, starting with
+ * `initialDelay` and capped at `maxDelay`, and is randomized by up to `jitter` times the delay in either direction.
+ * If a 429 or 503 response has a `Retry-After` header, the delay specified by the server is used instead. If the server
+ * asks to wait longer than `maxDelay`, the response is returned to the caller without retrying.
+ *
+ * @param {object} [options] Retry policy options. Any option that is not specified uses its default value.
+ * @param {number} [options.retryCount] Maximum number of times a request is retried. Defaults to 3.
+ * @param {number} [options.initialDelay] Delay in milliseconds before the first retry. Defaults to 1000.
+ * @param {number} [options.maxDelay] Maximum delay in milliseconds between attempts. Defaults to 30000.
+ * @param {number} [options.jitter] Randomization factor between 0 and 1 applied to the delay. Defaults to 0.2.
+ * @param {number[]} [options.retryableStatusCodes] Response status codes that are retried. Defaults to 0 (connection failure),
+ *                                                  408, 429, 500, 502, 503 and 504.
+ * @param {string[]} [options.retryableMethods] HTTP methods that are retried. Defaults to GET, HEAD, OPTIONS, PUT and DELETE.
+ *
+ * @returns {function} A service filter with the signature function(request, next, callback)
+ */
+function createRetryPolicyFilter(options) {
+
+    var policy = getPolicy(options);
+
+    return function (req, next, callback) {
+        var attempt = 0;
+
+        var send = function () {
+            next(req, function (error, response) {
+                var delay = getRetryDelay(policy, req, error, response, attempt);
+
+                if (_.isNull(delay) || (req.signal && req.signal.aborted)) {
+                    return callback(error, response);
+                }
+
+                attempt++;
+                setTimeout(send, delay);
+            });
+        };
+
+        send();
+    };
+}
+
+/**
+ * Merges the specified options with the default options and validates the result
+ */
+function getPolicy(options) {
+    var policy = {},
+        name;
+
+    if (!_.isNull(options)) {
+        Validate.isObject(options, 'options');
+    }
+    options = options || {};
+
+    for (name in defaultOptions) {
+        policy[name] = _.isNull(options[name]) ? defaultOptions[name] : options[name];
+    }
+
+    Validate.isInteger(policy.retryCount, 'retryCount');
+    Validate.isNumber(policy.initialDelay, 'initialDelay');
+    Validate.isNumber(policy.maxDelay, 'maxDelay');
+    Validate.isNumber(policy.jitter, 'jitter');
+    Validate.isArray(policy.retryableStatusCodes, 'retryableStatusCodes');
+    Validate.isArray(policy.retryableMethods, 'retryableMethods');
+
+    validateRange(policy.retryCount >= 0, 'retryCount');
+    validateRange(policy.initialDelay >= 0, 'initialDelay');
+    validateRange(policy.maxDelay >= 0, 'maxDelay');
+    validateRange(policy.jitter >= 0 && policy.jitter <= 1, 'jitter');
+
+    policy.retryableMethods = policy.retryableMethods.map(function (method) {
+        Validate.isString(method, 'retryableMethods');
+        return method.toUpperCase();
+    });
+
+    return policy;
+}
+
+function validateRange(isValid, name) {
+    if (!isValid) {
+        throw _.format(Platform.getResourceString("Validate_InvalidRetryOption"), name);
+    }
+}
+
+/**
+ * Gets the number of milliseconds to wait before retrying the request, or null if the request should not be retried
+ */
+function getRetryDelay(policy, req, error, response, attempt) {
+    if (attempt >= policy.retryCount) {
+        return null;
+    }
+
+    var method = (req.type || 'GET').toUpperCase();
+    if (policy.retryableMethods.indexOf(method) < 0) {
+        return null;
+    }
+
+    if (error) {
+        // Retry requests that time out. Other errors, like an aborted request, are not retried
+        return error.name === 'TimeoutError' ? getBackoffDelay(policy, attempt) : null;
+    }
+
+    if (!response || policy.retryableStatusCodes.indexOf(response.status) < 0) {
+        return null;
+    }
+
+    if (response.status === 429 || response.status === 503) {
+        var retryAfter = getRetryAfter(response);
+        if (!_.isNull(retryAfter)) {
+            return retryAfter <= policy.maxDelay ? retryAfter : null;
+        }
+    }
+
+    return getBackoffDelay(policy, attempt);
+}
+
+/**
+ * Calculates the exponential backoff delay for the specified attempt
+ */
+function getBackoffDelay(policy, attempt) {
+    var delay = Math.min(policy.initialDelay * Math.pow(2, attempt), policy.maxDelay);
+
+    // Randomize the delay so that clients that failed at the same time do not retry at the same time
+    delay = delay * (1 + policy.jitter * (2 * Math.random() - 1));
+
+    return Math.round(Math.min(delay, policy.maxDelay));
+}
+
+/**
+ * Gets the delay specified by the Retry-After response header in milliseconds, or null if there isn't a valid one.
+ * The header value can either be a number of seconds or an HTTP date.
+ */
+function getRetryAfter(response) {
+    var value = typeof response.getResponseHeader === 'function' ? response.getResponseHeader('Retry-After') : null;
+
+    if (_.isNullOrEmpty(value)) {
+        return null;
+    }
+
+    value = String(value).trim();
+    if (/^\d+$/.test(value)) {
+        return parseInt(value, 10) * 1000;
+    }
+
+    var date = Date.parse(value);
+    if (isNaN(date)) {
+        return null;
+    }
+
+    return Math.max(date - Date.now(), 0);
+}
+
+exports.createRetryPolicyFilter = createRetryPolicyFilter;
@@ -9,7 +9,8 @@ var _ = require('./Utilities/Extensions'),
     MobileServiceSyncContext = require('./sync/MobileServiceSyncContext'),
     MobileServiceSyncTable = require('./sync/MobileServiceSyncTable').MobileServiceSyncTable,
     MobileServiceTable = require('./MobileServiceTable'),
-    MobileServiceLogin = require('./MobileServiceLogin');
+    MobileServiceLogin = require('./MobileServiceLogin'),
+    createLogger = require('./Utilities/logger').createLogger;
 
 var Push;
 try {
@@ -50,17 +51,87 @@ Object.defineProperties(MobileServiceClient.prototype, {
     }
 });
 
-function MobileServiceClient(applicationUrl) {
+Object.defineProperties(MobileServiceClient.prototype, {
+    timeout: {
+        get: function () {
+            return this._timeout;
+        },
+        set: function (value) {
+            if (!_.isNull(value)) {
+                Validate.isInteger(value, 'timeout');
+                if (value <= 0) {
+                    throw _.format(Platform.getResourceString("Validate_InvalidTimeout"), 'timeout');
+                }
+            }
+            this._timeout = _.isNull(value) ? null : value;
+        }
+    }
+});
+
+function MobileServiceClient(applicationUrl, options) {
     /// <summary>
     /// Initializes a new instance of the MobileServiceClient class.
     /// </summary>
     /// <param name="applicationUrl" type="string" mayBeNull="false">
     /// The URL to the Mobile Services application.
     /// </param>
+    /// <param name="options" type="Object" mayBeNull="true">
+    /// Optional client configuration, valid values are:
+    /// defaultHeaders: HTTP headers to send with every request, specified as an object,
+    /// timeout: The number of milliseconds after which requests are aborted,
+    /// alternateLoginHost: The host to use for login requests instead of the application URL,
+    /// loginUriPrefix: The path prefix of the login endpoints, with the default being .auth/login,
+    /// apiVersion: The value of the ZUMO-API-VERSION header sent with table, API and push requests,
+    /// filters: An array of service filters, applied in order as if they were added using withFilter,
+    /// settingsStore: An object with readSetting(name) and writeSetting(name, value) methods used to
+    /// persist settings, like the installation ID, instead of the platform's settings store,
+    /// Promise: The Promise constructor used for the promises returned by the client and its tables,
+    /// logger: A logger, like console, with debug, info, warn and error methods that are invoked with
+    /// a message and a structured event for each HTTP request and sync step,
+    /// logLevel: The minimum level of the events to log, with the default being info,
+    /// redactedHeaders: Names of the headers whose values are not logged, with the default being
+    /// X-ZUMO-AUTH and Authorization,
+    /// transport: An object with a performRequest(request, callback) method used to send the requests
+    /// instead of the platform's transport, e.g. a recording or replay transport,
+    /// conflictResolver: The conflict resolver of the tables that do not have their own, see the
+    /// conflictResolver option of MobileServiceTable.
+    /// </param>
 
     Validate.isString(applicationUrl, 'applicationUrl');
     Validate.notNullOrEmpty(applicationUrl, 'applicationUrl');
 
+    // Ignore any other type of argument for compatibility with the Mobile Services
+    // constructor, which accepted a gateway URL and application key
+    if (_.isNull(options) || !_.isObject(options)) {
+        options = {};
+    }
+
+    if (!_.isNull(options.defaultHeaders)) {
+        Validate.isObject(options.defaultHeaders, 'defaultHeaders');
+    }
+    if (!_.isNull(options.apiVersion)) {
+        Validate.isString(options.apiVersion, 'apiVersion');
+        Validate.notNullOrEmpty(options.apiVersion, 'apiVersion');
+    }
+    if (!_.isNull(options.filters)) {
+        Validate.isArray(options.filters, 'filters');
+    }
+    if (!_.isNull(options.settingsStore)) {
+        Validate.isObject(options.settingsStore, 'settingsStore');
+        Validate.isFunction(options.settingsStore.readSetting, 'settingsStore.readSetting');
+        Validate.isFunction(options.settingsStore.writeSetting, 'settingsStore.writeSetting');
+    }
+    if (!_.isNull(options.Promise)) {
+        Validate.isFunction(options.Promise, 'Promise');
+    }
+    if (!_.isNull(options.transport)) {
+        Validate.isObject(options.transport, 'transport');
+        Validate.isFunction(options.transport.performRequest, 'transport.performRequest');
+    }
+    if (!_.isNull(options.conflictResolver)) {
+        Validate.isFunction(options.conflictResolver, 'conflictResolver');
+    }
+
     this.applicationUrl = applicationUrl;
 
     var sdkInfo = Platform.getSdkInfo();
@@ -72,6 +143,27 @@ function MobileServiceClient(applicationUrl) {
                                             "arch=" + osInfo.architecture + "; " +
                                             "version=" + sdkInfo.fileVersion + ")";
     this.currentUser = null;
+    this.timeout = _.isNull(options.timeout) ? null : options.timeout; // No timeout by default
+    this.defaultHeaders = _.extend({}, options.defaultHeaders);
+    this.apiVersion = options.apiVersion || constants.apiVersion;
+    if (!_.isNull(options.alternateLoginHost)) {
+        this.alternateLoginHost = options.alternateLoginHost;
+    }
+    if (!_.isNull(options.loginUriPrefix)) {
+        this.loginUriPrefix = options.loginUriPrefix;
+    }
+    this._settingsStore = options.settingsStore || null;
+    this._installationId = this._settingsStore ?
+                                getApplicationInstallationId(this._settingsStore) :
+                                MobileServiceClient._applicationInstallationId;
+    this._promiseImplementation = options.Promise || null;
+    this._log = createLogger({
+        logger: options.logger,
+        logLevel: options.logLevel,
+        redactedHeaders: options.redactedHeaders
+    });
+    this._transport = options.transport || null;
+    this.conflictResolver = options.conflictResolver || null;
     this._serviceFilter = null;
     this._login = new MobileServiceLogin(this);
 
@@ -85,37 +177,82 @@ function MobileServiceClient(applicationUrl) {
         return _syncContext;
     };
 
-    this.getTable = function (tableName) {
+    this.getTable = function (tableName, options) {
         /// <summary>
         /// Gets a reference to a table and its data operations.
         /// </summary>
         /// <param name="tableName">The name of the table.</param>
+        /// <param name="options" type="Object" mayBeNull="true">
+        /// Optional table configuration, valid values are:
+        /// headers: HTTP headers to send with every request of the table, specified as an object,
+        /// model: Maps the records of the table to and from the application's model objects,
+        /// idPropertyName: The name of the member that holds the id of the records, with the default being id,
+        /// schema: A JSON schema or validator function that inserts and updates check before sending the record,
+        /// see MobileServiceTable for the other options.
+        /// </param>
         /// <returns>A reference to the table.</returns>
 
         Validate.isString(tableName, 'tableName');
         Validate.notNullOrEmpty(tableName, 'tableName');
-        return new MobileServiceTable(tableName, this);
+        return new MobileServiceTable(tableName, this, options);
     };
 
-    this.getSyncTable = function (tableName) {
+    this.getSyncTable = function (tableName, options) {
         /// <summary>
         /// Gets a reference to a sync table and its data operations.
         /// </summary>
         /// <param name="tableName">The name of the table.</param>
+        /// <param name="options" type="Object" mayBeNull="true">
+        /// Optional table configuration, valid values are:
+        /// model: Maps the records of the table to and from the application's model objects,
+        /// schema: A JSON schema or validator function that inserts and updates of the table check before
+        /// anything is written to the local store.
+        /// </param>
         /// <returns>A reference to the sync table.</returns>
 
         Validate.isString(tableName, 'tableName');
         Validate.notNullOrEmpty(tableName, 'tableName');
 
-        return new MobileServiceSyncTable(tableName, this);
+        return new MobileServiceSyncTable(tableName, this, options);
     };
 
     if (Push) {
-        this.push = new Push(this, MobileServiceClient._applicationInstallationId);
+        this.push = new Push(this, this._installationId);
     }
 
+    var self = this;
+    (options.filters || []).forEach(function (serviceFilter) {
+        Validate.isFunction(serviceFilter, 'filters');
+        self._serviceFilter = composeFilters(self._serviceFilter, serviceFilter);
+    });
 }
 
+MobileServiceClient.prototype._clone = function () {
+    /// <summary>
+    /// Create a new MobileServiceClient with the same configuration, filters
+    /// and current user as this client.
+    /// </summary>
+
+    var client = new MobileServiceClient(this.applicationUrl, {
+        defaultHeaders: this.defaultHeaders,
+        timeout: this.timeout,
+        alternateLoginHost: this._alternateLoginHost,
+        loginUriPrefix: this._loginUriPrefix,
+        apiVersion: this.apiVersion,
+        settingsStore: this._settingsStore,
+        Promise: this._promiseImplementation,
+        logger: this._log.logger,
+        logLevel: this._log.logLevel,
+        redactedHeaders: this._log.redactedHeaders,
+        transport: this._transport,
+        conflictResolver: this.conflictResolver
+    });
+    client.currentUser = this.currentUser;
+    client._serviceFilter = this._serviceFilter;
+
+    return client;
+};
+
 MobileServiceClient.prototype.withFilter = function (serviceFilter) {
     /// <summary>
     /// Create a new MobileServiceClient with a filter used to process all
@@ -152,7 +289,8 @@ MobileServiceClient.prototype.withFilter = function (serviceFilter) {
     /// Note that because these operations are asynchronous, this sample
     /// filter could end up actually making two HTTP requests before
     /// returning a response to the developer without the developer writing
-    /// any special code to handle the situation.
+    /// any special code to handle the situation. A configurable retry
+    /// policy filter is available using WindowsAzure.createRetryPolicyFilter.
     /// -
     /// Filters are composed just like standard function composition.  If
     /// we had new MobileServiceClient().withFilter(F1).withFilter(F2)
@@ -162,13 +300,19 @@ MobileServiceClient.prototype.withFilter = function (serviceFilter) {
 
     Validate.notNull(serviceFilter, 'serviceFilter');
 
-    // Clone the current instance
-    var client = new MobileServiceClient(this.applicationUrl);
-    client.currentUser = this.currentUser;
+    // Clone the current instance and chain the service filter with any existing filters
+    var client = this._clone();
+    client._serviceFilter = composeFilters(this._serviceFilter, serviceFilter);
 
-    // Chain the service filter with any existing filters
-    var existingFilter = this._serviceFilter;
-    client._serviceFilter = _.isNull(existingFilter) ?
+    return client;
+};
+
+function composeFilters(existingFilter, serviceFilter) {
+    /// <summary>
+    /// Chain a service filter with the existing filters, if any.
+    /// </summary>
+
+    return _.isNull(existingFilter) ?
         serviceFilter :
         function (req, next, callback) {
             // compose existingFilter with next so it can be used as the next
@@ -178,11 +322,92 @@ MobileServiceClient.prototype.withFilter = function (serviceFilter) {
             };
             serviceFilter(req, composed, callback);
         };
+}
 
-    return client;
+MobileServiceClient.prototype.use = function (middleware) {
+    /// <summary>
+    /// Create a new MobileServiceClient with a promise based middleware used
+    /// to process all of its HTTP requests and responses.
+    /// </summary>
+    /// <param name="middleware" type="Function">
+    /// The middleware to use on the service.  The signature of a middleware is
+    ///    function(request, next)
+    ///  where
+    ///    next := function(request) returning a promise for the response
+    ///  and the middleware returns a promise for the response (or the
+    ///  response itself).  The promise returned by next is fulfilled with
+    ///  the response, including responses with an error status code, and
+    ///  is rejected if the request could not be completed, e.g. if it
+    ///  timed out.
+    /// </param>
+    /// <returns type="MobileServiceClient">
+    /// A new MobileServiceClient whose HTTP requests and responses will be
+    /// processed by the middleware.
+    /// </returns>
+    /// <remarks>
+    /// Middleware is the promise based equivalent of a service filter and
+    /// composes with filters added using withFilter in the order they were
+    /// added.  A middleware can change the request before passing it to
+    /// next, short-circuit the pipeline by returning a response without
+    /// calling next, and observe or handle errors by handling the rejection
+    /// of the promise returned by next.  Here's an example of a middleware
+    /// that adds a header to each request and logs failures:
+    ///     client.use(async function (req, next) {
+    ///         req.headers['X-Custom'] = 'value';
+    ///         try {
+    ///             return await next(req);
+    ///         } catch (error) {
+    ///             console.log(error);
+    ///             throw error;
+    ///         }
+    ///     });
+    /// A synthetic response must expose the subset of the XMLHttpRequest
+    /// interface used by the SDK, i.e. status, responseText and
+    /// getResponseHeader.
+    /// </remarks>
+
+    Validate.isFunction(middleware, 'middleware');
+
+    return this.withFilter(function (req, next, callback) {
+        var isComplete = false,
+            result;
+
+        // Guard against the middleware settling more than once
+        var complete = function (error, response) {
+            if (isComplete) {
+                return;
+            }
+            isComplete = true;
+
+            if (_.isNull(error) && _.isNull(response)) {
+                error = Platform.getResourceString("MobileServiceClient_MiddlewareNoResponse");
+            }
+            callback(error, _.isNull(error) ? response : null);
+        };
+
+        var nextAsync = function (request) {
+            return Platform.async(next)(_.isNull(request) ? req : request);
+        };
+
+        try {
+            result = middleware(req, nextAsync);
+        } catch (error) {
+            return complete(error, null);
+        }
+
+        if (result && typeof result.then === 'function') {
+            result.then(function (response) {
+                complete(null, response);
+            }, function (error) {
+                complete(error, null);
+            });
+        } else {
+            complete(null, result);
+        }
+    });
 };
 
-MobileServiceClient.prototype._request = function (method, uriFragment, content, ignoreFilters, headers, features, callback) {
+MobileServiceClient.prototype._request = function (method, uriFragment, content, ignoreFilters, headers, features, requestOptions, callback) {
     /// <summary>
     /// Perform a web request and include the standard Mobile Services headers.
     /// </summary>
@@ -206,11 +431,21 @@ MobileServiceClient.prototype._request = function (method, uriFragment, content,
     /// <param name="features" type="Array">
     /// Codes for features which are used in this request, sent to the server for telemetry.
     /// </param>
+    /// <param name="requestOptions" type="Object" mayBeNull="true">
+    /// Optional per request options, valid values are:
+    /// timeout: The number of milliseconds after which the request is aborted. Overrides the client's timeout.
+    /// signal: An AbortSignal that can be used to abort the request.
+    /// </param>
     /// <param name="callback" type="function(error, response)">
     /// Handler that will be called on the response.
     /// </param>
 
     // Account for absent optional arguments
+    if (_.isNull(callback) && (typeof requestOptions === 'function')) {
+        callback = requestOptions;
+        requestOptions = null;
+    }
+
     if (_.isNull(callback) && (typeof features === 'function')) {
         callback = features;
         features = null;
@@ -236,6 +471,8 @@ MobileServiceClient.prototype._request = function (method, uriFragment, content,
     Validate.isString(uriFragment, 'uriFragment');
     Validate.notNull(uriFragment, 'uriFragment');
     Validate.notNull(callback, 'callback');
+    requestOptions = requestOptions || {};
+    Validate.isObject(requestOptions, 'requestOptions');
 
     // Create the absolute URI
     var options = { type: method.toUpperCase() };
@@ -246,11 +483,11 @@ MobileServiceClient.prototype._request = function (method, uriFragment, content,
     }
 
     // Set MobileServices authentication, application, User-Agent and telemetry headers
-    options.headers = {};
+    options.headers = _.extend({}, this.defaultHeaders);
     if (!_.isNull(headers)) {
-        _.extend(options.headers, headers);
+        _.mergeHeaders(options.headers, headers);
     }
-    options.headers["X-ZUMO-INSTALLATION-ID"] = MobileServiceClient._applicationInstallationId;
+    options.headers["X-ZUMO-INSTALLATION-ID"] = this._installationId;
     if (this.currentUser && !_.isNullOrEmpty(this.currentUser.mobileServiceAuthenticationToken)) {
         options.headers["X-ZUMO-AUTH"] = this.currentUser.mobileServiceAuthenticationToken;
     }
@@ -285,6 +522,16 @@ MobileServiceClient.prototype._request = function (method, uriFragment, content,
         options.data = null;
     }
 
+    // The transport aborts the request if it does not complete within the timeout or when the signal is aborted
+    var timeout = _.isNull(requestOptions.timeout) ? this.timeout : requestOptions.timeout;
+    if (!_.isNull(timeout)) {
+        Validate.isInteger(timeout, 'timeout');
+        options.timeout = timeout;
+    }
+    if (!_.isNull(requestOptions.signal)) {
+        options.signal = requestOptions.signal;
+    }
+
     // Treat any >=400 status codes as errors.  Also treat the status code 0 as
     // an error (which indicates a connection failure).
     var handler = function (error, response) {
@@ -298,14 +545,60 @@ MobileServiceClient.prototype._request = function (method, uriFragment, content,
     };
 
     // Make the web request
+    var webRequest = createLoggingWebRequest(this._log, this._transport);
     if (!_.isNull(this._serviceFilter) && !ignoreFilters) {
-        this._serviceFilter(options, Platform.webRequest, handler);
+        this._serviceFilter(options, webRequest, handler);
     } else {
-        Platform.webRequest(options, handler);
+        webRequest(options, handler);
     }
 };
 
-MobileServiceClient.prototype.loginWithOptions = Platform.async(
+function createLoggingWebRequest(log, transport) {
+    /// <summary>
+    /// Wrap the transport, or Platform.webRequest if there isn't one, to log
+    /// each request that is sent, including requests retried by the filters.
+    /// </summary>
+
+    var webRequest = transport ? transport.performRequest.bind(transport) : Platform.webRequest;
+
+    if (!log.isEnabled('debug') && !log.isEnabled('info') && !log.isEnabled('warn')) {
+        return webRequest;
+    }
+
+    return function (request, callback) {
+        var start = Date.now(),
+            features = request.headers && request.headers[constants.featuresHeaderName],
+            event = {
+                type: 'request',
+                method: request.type,
+                url: request.url,
+                features: features ? features.split(',') : []
+            };
+
+        log.debug('Sending request', _.extend({ headers: log.redactHeaders(request.headers) }, event));
+
+        webRequest(request, function (error, response) {
+            event.duration = Date.now() - start;
+
+            if (!_.isNull(error)) {
+                event.status = null;
+                event.error = error.message || String(error);
+                log.warn('Request failed', event);
+            } else {
+                event.status = response.status;
+                if (response.status >= 400 || response.status === 0) {
+                    log.warn('Request failed', event);
+                } else {
+                    log.info('Request completed', event);
+                }
+            }
+
+            callback(error, response);
+        });
+    };
+}
+
+MobileServiceClient.prototype.loginWithOptions = clientAsync(
      function (provider, options, callback) {
          /// <summary>
          /// Log a user into a Mobile Services application given a provider name with
@@ -332,7 +625,7 @@ MobileServiceClient.prototype.loginWithOptions = Platform.async(
          this._login.loginWithOptions(provider, options, callback);
      });
 
-MobileServiceClient.prototype.overrideLoginWithBearerToken = Platform.async(
+MobileServiceClient.prototype.overrideLoginWithBearerToken = clientAsync(
     function(bearerToken, callback) {
         /// <summary>
         /// Override the login user with a valid bearer token
@@ -346,7 +639,7 @@ MobileServiceClient.prototype.overrideLoginWithBearerToken = Platform.async(
         this._login.overrideLoginWithBearerToken(bearerToken, callback);
     });
 
-MobileServiceClient.prototype.login = Platform.async(
+MobileServiceClient.prototype.login = clientAsync(
     function (provider, token, useSingleSignOn, callback) {
         /// <summary>
         /// Log a user into a Mobile Services application given a provider name and optional
@@ -375,7 +668,7 @@ MobileServiceClient.prototype.login = Platform.async(
         this._login.login(provider, token, useSingleSignOn, callback);
     });
 
-MobileServiceClient.prototype.logout = Platform.async(function(callback) {
+MobileServiceClient.prototype.logout = clientAsync(function(callback) {
     /// <summary>
     /// Log a user out of a Mobile Services application.
     /// <param name="callback" type="Function" mayBeNull="true">
@@ -387,7 +680,7 @@ MobileServiceClient.prototype.logout = Platform.async(function(callback) {
     callback();
 });
 
-MobileServiceClient.prototype.invokeApi = Platform.async(
+MobileServiceClient.prototype.invokeApi = clientAsync(
     function (apiName, options, callback) {
         /// <summary>
         /// Invokes the specified custom api and returns a response object.
@@ -400,7 +693,9 @@ MobileServiceClient.prototype.invokeApi = Platform.async(
         /// body: The body of the HTTP request.
         /// method: The HTTP method to use in the request, with the default being POST,
         /// parameters: Any additional query string parameters,
-        /// headers: HTTP request headers, specified as an object.
+        /// headers: HTTP request headers, specified as an object,
+        /// timeout: The number of milliseconds after which the request is aborted. Overrides the client's timeout,
+        /// signal: An AbortSignal that can be used to abort the request.
         /// </param>
         /// <param name="callback" type="Function" mayBeNull="true">
         /// Optional callback accepting (error, results) parameters.
@@ -417,7 +712,7 @@ MobileServiceClient.prototype.invokeApi = Platform.async(
         }
         Validate.notNull(callback, 'callback');
 
-        var parameters, method, body, headers;
+        var parameters, method, body, headers, requestOptions = {};
         if (!_.isNull(options)) {
             parameters = options.parameters;
             if (!_.isNull(parameters)) {
@@ -427,6 +722,8 @@ MobileServiceClient.prototype.invokeApi = Platform.async(
             method = options.method;
             body = options.body;
             headers = options.headers;
+            requestOptions.timeout = options.timeout;
+            requestOptions.signal = options.signal;
         }
 
         headers = headers || {};
@@ -442,7 +739,7 @@ MobileServiceClient.prototype.invokeApi = Platform.async(
 
         // Add version header on API requests
         if (_.isNull(headers[constants.apiVersionHeaderName])) {
-            headers[constants.apiVersionHeaderName] = constants.apiVersion;
+            headers[constants.apiVersionHeaderName] = this.apiVersion;
         }
 
         // Construct the URL
@@ -471,6 +768,7 @@ MobileServiceClient.prototype.invokeApi = Platform.async(
             null,
             headers,
             features,
+            requestOptions,
             function (error, response) {
                 if (!_.isNull(error)) {
                     callback(error, null);
@@ -497,10 +795,14 @@ MobileServiceClient.prototype.invokeApi = Platform.async(
 
     });
 
-function getApplicationInstallationId() {
+function getApplicationInstallationId(settingsStore) {
     /// <summary>
-    /// Gets or creates the static application installation ID.
+    /// Gets or creates the application installation ID.
     /// </summary>
+    /// <param name="settingsStore" type="Object" mayBeNull="true">
+    /// The store used to persist the installation ID. Defaults to the
+    /// platform's settings store.
+    /// </param>
     /// <returns type="string">
     /// The application installation ID.
     /// </returns>
@@ -508,10 +810,11 @@ function getApplicationInstallationId() {
     // Get or create a new installation ID that can be passed along on each
     // request to provide telemetry data
     var applicationInstallationId = null;
+    settingsStore = settingsStore || Platform;
 
     // Check if the config settings exist
     var path = "MobileServices.Installation.config";
-    var contents = Platform.readSetting(path);
+    var contents = settingsStore.readSetting(path);
     if (!_.isNull(contents)) {
         // Parse the contents of the file as JSON and pull out the
         // application's installation ID.
@@ -533,17 +836,44 @@ function getApplicationInstallationId() {
 
         // TODO: How many other settings should we write out as well?
         var configText = _.toJson({ applicationInstallationId: applicationInstallationId });
-        Platform.writeSetting(path, configText);
+        settingsStore.writeSetting(path, configText);
     }
 
     return applicationInstallationId;
 }
 
-/// <summary>
-/// Get or set the static _applicationInstallationId by checking the settings
-/// and create the value if necessary.
-/// </summary>
-MobileServiceClient._applicationInstallationId = getApplicationInstallationId();
+function clientAsync(func) {
+    /// <summary>
+    /// Wrap a function that takes a callback into a function that returns a
+    /// promise created using the client's promise implementation.
+    /// </summary>
+
+    return _.clientAsync(func, function (client) {
+        return client;
+    });
+}
+
+// The installation ID of clients without a settingsStore. It is read, or created, when it is first used
+// so that loading the SDK does not write to the platform's settings store.
+var defaultInstallationId = null;
+
+Object.defineProperty(MobileServiceClient, '_applicationInstallationId', {
+    /// <summary>
+    /// Get or set the static _applicationInstallationId by checking the settings
+    /// and create the value if necessary.
+    /// </summary>
+    get: function () {
+        if (_.isNull(defaultInstallationId)) {
+            defaultInstallationId = getApplicationInstallationId();
+        }
+        return defaultInstallationId;
+    },
+    set: function (value) {
+        defaultInstallationId = value;
+    },
+    enumerable: true,
+    configurable: true
+});
 
 /// <summary>
 /// Get or set the static _userAgent by calling into the Platform.
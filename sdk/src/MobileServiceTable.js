@@ -8,14 +8,17 @@ var Platform = require('./Platform');
 var Query = require('azure-query-js').Query;
 var constants = require('./constants');
 var tableHelper = require('./tableHelper');
+var errors = require('./errors');
+var createAbortError = require('./Transports/transportHelper').createAbortError;
+var createModelMapper = require('./modelMapper').createModelMapper;
+var schemaValidator = require('./schemaValidator');
 
-// Name of the reserved Mobile Services ID member.
-var idPropertyName = "id";
+// Name of the reserved Mobile Services ID member, used unless a table specifies its own.
+var defaultIdPropertyName = constants.table.idPropertyName;
 
 // The route separator used to denote the table in a uri like
 // .../{app}/collections/{coll}.
 var tableRouteSeperatorName = "tables";
-var idNames = ["ID", "Id", "id", "iD"];
 var nextLinkRegex = /^(.*?);\s*rel\s*=\s*(\w+)\s*$/;
 
 var SystemProperties = {
@@ -23,9 +26,32 @@ var SystemProperties = {
     CreatedAt: 1,
     UpdatedAt: 2,
     Version: 4,
+    Deleted: 8,
     All: 0xFFFF
 };
 
+// Name of the non-enumerable property in which the objects returned by a table that tracks
+// changes remember their original values
+var originalValuesPropertyName = "__originalValues";
+
+// Default maximum number of operations of insertMany, updateMany and deleteMany in progress at a time
+var defaultBulkConcurrency = 5;
+
+// Maximum number of times an update or delete is retried after its conflicts are resolved
+var maxConflictResolutionAttempts = 3;
+
+// Values a conflict resolver can return instead of a merged object
+var ConflictResolution = {
+    ClientWins: "client-wins",
+    ServerWins: "server-wins"
+};
+
+// Name of the query string parameter used to request system properties
+var systemPropertiesParameterName = "__systemproperties";
+
+// Name of the query string parameter used to request soft deleted records
+var includeDeletedParameterName = constants.table.includeDeletedFlag;
+
 var MobileServiceSystemColumns = {
     CreatedAt: "createdAt",
     UpdatedAt: "updatedAt",
@@ -33,7 +59,7 @@ var MobileServiceSystemColumns = {
     Deleted: "deleted"
 };
 
-function MobileServiceTable(tableName, client) {
+function MobileServiceTable(tableName, client, options) {
     /// <summary>
     /// Initializes a new instance of the MobileServiceTable class.
     /// </summary>
@@ -43,6 +69,48 @@ function MobileServiceTable(tableName, client) {
     /// <param name="client" type="MobileServiceClient" mayBeNull="false">
     /// The MobileServiceClient used to make requests.
     /// </param>
+    /// <param name="options" type="Object" mayBeNull="true">
+    /// Optional table configuration, valid values are:
+    /// headers: HTTP headers to send with every request of the table, specified as an object.
+    /// They take precedence over the client's default headers,
+    /// systemProperties: The system properties to request, see the systemProperties property,
+    /// trackChanges: true to make updates of the objects returned by the table send only the
+    /// properties that changed, with the default being false,
+    /// conflictResolver: A function invoked with the client object, the server object and a context
+    /// when an update or delete fails with 412 Precondition Failed. It returns, or returns a promise for,
+    /// a merged object or one of the MobileServiceTable.ConflictResolution values. The operation is then
+    /// retried with the server version. Takes precedence over the client's conflictResolver,
+    /// model: Maps the records of the table to and from the application's model objects, specified as an
+    /// object with an optional type (the model constructor), properties (an object mapping model property
+    /// names to record property names), fromServer(record) and toServer(instance) members,
+    /// includeDeleted: true to make reads, lookups and refreshes return soft deleted records too,
+    /// with the default being false. See the includeDeleted method,
+    /// idPropertyName: The name of the member that holds the id of the records, with the default being id.
+    /// Ids can be strings or integers,
+    /// schema: A JSON schema, or a function(record, operation) returning the errors of a record, that inserts
+    /// and updates check before sending the record. Invalid records are rejected with a ValidationError.
+    /// </param>
+
+    options = options || {};
+    Validate.isObject(options, 'options');
+    if (!_.isNull(options.headers)) {
+        Validate.isObject(options.headers, 'headers');
+    }
+    if (!_.isNull(options.trackChanges)) {
+        Validate.isBool(options.trackChanges, 'trackChanges');
+    }
+    if (!_.isNull(options.conflictResolver)) {
+        Validate.isFunction(options.conflictResolver, 'conflictResolver');
+    }
+    if (!_.isNull(options.includeDeleted)) {
+        Validate.isBool(options.includeDeleted, 'includeDeleted');
+    }
+    if (!_.isNull(options.idPropertyName)) {
+        Validate.isString(options.idPropertyName, 'idPropertyName');
+        Validate.notNullOrEmpty(options.idPropertyName, 'idPropertyName');
+    }
+    var modelMapper = _.isNull(options.model) ? null : createModelMapper(options.model),
+        validator = _.isNull(options.schema) ? null : schemaValidator.createSchemaValidator(options.schema, options.idPropertyName);
 
     this.getTableName = function () {
         /// <summary>
@@ -62,15 +130,65 @@ function MobileServiceTable(tableName, client) {
         return client;
     };
 
+    // Name of the member that holds the id of the records
+    this.idPropertyName = options.idPropertyName || defaultIdPropertyName;
+
+    // Headers to send with all table operations
+    this.headers = _.extend({}, options.headers);
+
+    // System properties to request, or null to get the server's default system properties
+    this.systemProperties = _.isNull(options.systemProperties) ? null : options.systemProperties;
+
+    // If true, the objects returned by the table remember their original values so that
+    // updates send only the properties that changed
+    this.trackChanges = !!options.trackChanges;
+
+    // Resolves the conflicts of updates and deletes, or null to use the client's conflict resolver
+    this.conflictResolver = options.conflictResolver || null;
+
+    // Maps the records of the table to and from model objects, or null if the table has no model
+    this._modelMapper = modelMapper;
+
+    // Validates the records that are inserted and updated, or null if the table has no schema
+    this._schemaValidator = validator;
+
+    // If true, reads, lookups and refreshes return soft deleted records too
+    this._includeDeleted = !!options.includeDeleted;
+
     // Features to associate with all table operations
     this._features = undefined;
 }
 
 MobileServiceTable.SystemProperties = SystemProperties;
+MobileServiceTable.ConflictResolution = ConflictResolution;
+MobileServiceTable.getEtagFromVersion = getEtagFromVersion;
+
+Object.defineProperties(MobileServiceTable.prototype, {
+    systemProperties: {
+        /// <summary>
+        /// The system properties requested by reads, inserts and updates, as a combination of
+        /// MobileServiceTable.SystemProperties flags. System properties that are not requested
+        /// are removed from the results. If null, which is the default, the results include the
+        /// system properties returned by the server.
+        /// </summary>
+        get: function () {
+            return this._systemProperties;
+        },
+        set: function (value) {
+            if (!_.isNull(value)) {
+                Validate.isInteger(value, 'systemProperties');
+                if (value < SystemProperties.None || value > SystemProperties.All) {
+                    throw _.format(Platform.getResourceString("MobileServiceTable_InvalidSystemProperties"), value);
+                }
+            }
+            this._systemProperties = _.isNull(value) ? null : value;
+        }
+    }
+});
 
 // We have an internal _read method using callbacks since it's used by both
 // table.read(query) and query.read().
-MobileServiceTable.prototype._read = function (query, parameters, callback) {
+MobileServiceTable.prototype._read = function (query, parameters, options, callback) {
     /// <summary>
     /// Query a table.
     /// </summary>
@@ -81,11 +199,21 @@ MobileServiceTable.prototype._read = function (query, parameters, callback) {
     /// <param name="parameters" type="Object" mayBeNull="true">
     /// An object of user-defined parameters and values to include in the request URI query string.
     /// </param>
+    /// <param name="options" type="Object" mayBeNull="true">
+    /// Optional request options, valid values are:
+    /// timeout: The number of milliseconds after which the request is aborted. Overrides the client's timeout,
+    /// signal: An AbortSignal that can be used to abort the request.
+    /// </param>
     /// <param name="callback" type="Function">
     /// The callback to invoke when the query is complete.
     /// </param>
 
     // Account for absent optional arguments
+    if (_.isNull(callback) && (typeof options === 'function')) {
+        callback = options;
+        options = null;
+    }
+
     if (_.isNull(callback))
     {
         if (_.isNull(parameters) && (typeof query === 'function')) {
@@ -115,6 +243,9 @@ MobileServiceTable.prototype._read = function (query, parameters, callback) {
     if (!_.isNull(parameters)) {
         Validate.isValidParametersObject(parameters, 'parameters');
     }
+    if (!_.isNull(options)) {
+        Validate.isObject(options, 'options');
+    }
     Validate.notNull(callback, 'callback');
 
     // Get the query string
@@ -138,7 +269,7 @@ MobileServiceTable.prototype._read = function (query, parameters, callback) {
                 
                 if (tableName !== components.table) {
                     var message = _.format(Platform.getResourceString("MobileServiceTable_ReadMismatchedQueryTables"), tableName, components.table);
-                    callback(_.createError(message), null);
+                    callback(new errors.ValidationError(message), null);
                     return;
                 }
 
@@ -170,10 +301,14 @@ MobileServiceTable.prototype._read = function (query, parameters, callback) {
         if (!_.isNull(queryString)) {
             urlFragment = _.url.combinePathAndQuery(urlFragment, queryString);
         }
+        urlFragment = addSystemPropertiesParameter(this, urlFragment);
+        urlFragment = addIncludeDeletedParameter(this, urlFragment);
     }
 
+    var table = this;
+
     var headers = { };
-    headers[constants.apiVersionHeaderName] = constants.apiVersion;
+    headers[constants.apiVersionHeaderName] = this.getMobileServiceClient().apiVersion;
 
     // Make the request
     this.getMobileServiceClient()._request(
@@ -181,8 +316,9 @@ MobileServiceTable.prototype._read = function (query, parameters, callback) {
         urlFragment,
         null,
         false,
-        headers,
+        getRequestHeaders(this, headers),
         features,
+        options,
         function (error, response) {
             var values = null;
             if (_.isNull(error)) {
@@ -200,6 +336,8 @@ MobileServiceTable.prototype._read = function (query, parameters, callback) {
                     values = values.results;
                 }
 
+                removeUnrequestedSystemProperties(table, values);
+
                 // If we have a projection function, apply it to each item
                 // in the collection
                 if (projection !== null) {
@@ -209,6 +347,9 @@ MobileServiceTable.prototype._read = function (query, parameters, callback) {
                     }
                 }
 
+                rememberOriginalValues(table, values);
+                values = fromServerInstance(table, values);
+
                 // Grab link header when possible
                 if (Array.isArray(values) && response.getResponseHeader && _.isNull(values.nextLink)) {
                     try {
@@ -231,10 +372,97 @@ MobileServiceTable.prototype._read = function (query, parameters, callback) {
         });
 };
 
-MobileServiceTable.prototype.read = Platform.async(MobileServiceTable.prototype._read);
+MobileServiceTable.prototype.read = tableAsync(MobileServiceTable.prototype._read);
+
+MobileServiceTable.prototype.readPages = function (query, parameters, options) {
+    /// <summary>
+    /// Query a table one page at a time.
+    /// </summary>
+    /// <param name="query" type="Object" mayBeNull="true">
+    /// The query to execute.  It can be null or undefined to get the entire
+    /// collection.
+    /// </param>
+    /// <param name="parameters" type="Object" mayBeNull="true">
+    /// An object of user-defined parameters and values to include in the request URI query string.
+    /// </param>
+    /// <param name="options" type="Object" mayBeNull="true">
+    /// Optional options, valid values are:
+    /// maxPages: The maximum number of pages to read,
+    /// maxItems: The maximum number of items to read,
+    /// timeout: The number of milliseconds after which the request of a page is aborted. Overrides the client's timeout,
+    /// signal: An AbortSignal that can be used to stop reading pages.
+    /// </param>
+    /// <returns type="Object">
+    /// An async iterator whose next() method returns a promise for the next page of results.
+    /// The next page is read using the nextLink of the previous page. If the server does not
+    /// return a nextLink, the next page is read by skipping the items read so far. Pages
+    /// without any items are not returned.
+    /// </returns>
+
+    if (query && _.isString(query)) {
+        Validate.notNullOrEmpty(query, 'query');
+    }
+    if (!_.isNull(parameters)) {
+        Validate.isValidParametersObject(parameters, 'parameters');
+    }
+    options = options || {};
+    Validate.isObject(options, 'options');
+    ['maxPages', 'maxItems'].forEach(function (name) {
+        if (!_.isNull(options[name])) {
+            Validate.isInteger(options[name], name);
+            if (options[name] <= 0) {
+                throw _.format(Platform.getResourceString("Validate_InvalidPositiveInteger"), name);
+            }
+        }
+    });
+
+    return createPageIterator(this, query, parameters, options);
+};
+
+MobileServiceTable.prototype.readAll = tableAsync(function () {
+    /// <summary>
+    /// Query a table and gather the results of all the pages.
+    /// </summary>
+    /// <param name="query" type="Object" mayBeNull="true">
+    /// The query to execute.  It can be null or undefined to get the entire
+    /// collection.
+    /// </param>
+    /// <param name="parameters" type="Object" mayBeNull="true">
+    /// An object of user-defined parameters and values to include in the request URI query string.
+    /// </param>
+    /// <param name="options" type="Object" mayBeNull="true">
+    /// Optional options. See readPages.
+    /// </param>
+    /// <param name="callback" type="Function">
+    /// The callback to invoke with the results of all the pages.
+    /// </param>
+
+    var args = Array.prototype.slice.call(arguments),
+        callback = args.pop(),
+        pages = this.readPages.apply(this, args),
+        results = [];
+
+    var readNextPage = function () {
+        pages.next().then(function (result) {
+            if (result.done) {
+                return callback(null, results);
+            }
+
+            if (!_.isNull(result.value.totalCount)) {
+                results.totalCount = result.value.totalCount;
+            }
+            Array.prototype.push.apply(results, result.value);
+            readNextPage();
+        }, function (error) {
+            callback(error);
+        });
+    };
+
+    readNextPage();
+});
 
-MobileServiceTable.prototype.insert = Platform.async(
-    function (instance, parameters, callback) {
+MobileServiceTable.prototype.insert = tableAsync(
+    function (instance, parameters, options, callback) {
         /// <summary>
         /// Insert a new object into a table.
         /// </summary>
@@ -244,11 +472,21 @@ MobileServiceTable.prototype.insert = Platform.async(
         /// <param name="parameters" type="Object" mayBeNull="true">
         /// An object of user-defined parameters and values to include in the request URI query string.
         /// </param>
+        /// <param name="options" type="Object" mayBeNull="true">
+        /// Optional request options, valid values are:
+        /// timeout: The number of milliseconds after which the request is aborted. Overrides the client's timeout,
+        /// signal: An AbortSignal that can be used to abort the request.
+        /// </param>
         /// <param name="callback" type="Function">
         /// The callback to invoke when the insert is complete.
         /// </param>
 
         // Account for absent optional arguments
+        if (_.isNull(callback) && (typeof options === 'function')) {
+            callback = options;
+            options = null;
+        }
+
         if (_.isNull(callback) && (typeof parameters === 'function')) {
             callback = parameters;
             parameters = null;
@@ -259,22 +497,26 @@ MobileServiceTable.prototype.insert = Platform.async(
         if (!_.isNull(parameters)) {
             Validate.isValidParametersObject(parameters);
         }
+        if (!_.isNull(options)) {
+            Validate.isObject(options, 'options');
+        }
         Validate.notNull(callback, 'callback');
 
-        // Integer Ids can not have any Id set
-        for (var i in idNames) {
-            var id = instance[idNames[i]];
+        var serverInstance = toServerInstance(this, instance),
+            idPropertyName = this.idPropertyName;
 
-            if (!_.isNullOrZero(id)) {
-                if (_.isString(id)) {
-                    // String Id's are allowed iif using 'id'
-                    if (idNames[i] !== idPropertyName) {
-                        throw _.format(
-                            Platform.getResourceString("MobileServiceTable_InsertIdAlreadySet"),
-                            idPropertyName);
-                    } else {
-                        Validate.isValidId(id, idPropertyName);
-                    }
+        // Integer ids are generated by the server, so they can not be set. String ids can be set,
+        // but only using the exact name of the id member
+        for (var property in serverInstance) {
+            var id = serverInstance[property];
+
+            if (property.toLowerCase() === idPropertyName.toLowerCase() && !_.isNullOrZero(id)) {
+                if (_.isNumber(id)) {
+                    throw _.format(
+                        Platform.getResourceString("MobileServiceTable_InsertIntegerIdAlreadySet"),
+                        idPropertyName);
+                } else if (_.isString(id) && property === idPropertyName) {
+                    Validate.isValidId(id, idPropertyName);
                 } else {
                     throw _.format(
                         Platform.getResourceString("MobileServiceTable_InsertIdAlreadySet"),
@@ -283,6 +525,8 @@ MobileServiceTable.prototype.insert = Platform.async(
             }
         }
 
+        validateRecord(this, serverInstance, 'insert');
+
         var features = this._features || [];
         features = addQueryParametersFeaturesIfApplicable(features, parameters);
 
@@ -292,31 +536,36 @@ MobileServiceTable.prototype.insert = Platform.async(
             var queryString = _.url.getQueryString(parameters);
             urlFragment = _.url.combinePathAndQuery(urlFragment, queryString);
         }
+        urlFragment = addSystemPropertiesParameter(this, urlFragment);
 
         var headers = { };
-        headers[constants.apiVersionHeaderName] = constants.apiVersion;
+        headers[constants.apiVersionHeaderName] = this.getMobileServiceClient().apiVersion;
 
         // Make the request
+        var table = this;
         this.getMobileServiceClient()._request(
             'POST',
             urlFragment,
-            instance,
+            serverInstance,
             false,
-            headers,
+            getRequestHeaders(this, headers),
             features,
+            options,
             function (error, response) {
                 if (!_.isNull(error)) {
                     callback(error, null);
                 } else {
-                    var result = getItemFromResponse(response);
+                    var result = removeUnrequestedSystemProperties(table, getItemFromResponse(response));
+                    rememberOriginalValues(table, result);
+                    result = fromServerInstance(table, result);
                     result = Platform.allowPlatformToMutateOriginal(instance, result);
                     callback(null, result);
                 }
             });
     });
 
-MobileServiceTable.prototype.update = Platform.async(
-    function (instance, parameters, callback) {
+MobileServiceTable.prototype.update = tableAsync(
+    function (instance, parameters, options, callback) {
         /// <summary>
         /// Update an object in a given table.
         /// </summary>
@@ -326,72 +575,104 @@ MobileServiceTable.prototype.update = Platform.async(
         /// <param name="parameters" type="Object" mayBeNull="true">
         /// An object of user-defined parameters and values to include in the request URI query string.
         /// </param>
+        /// <param name="options" type="Object" mayBeNull="true">
+        /// Optional request options, valid values are:
+        /// timeout: The number of milliseconds after which the request is aborted. Overrides the client's timeout,
+        /// signal: An AbortSignal that can be used to abort the request.
+        /// </param>
         /// <param name="callback" type="Function">
         /// The callback to invoke when the update is complete.
         /// </param>
-        var version,
-            headers = {},
-            features = this._features || [],
-            serverInstance;
 
         // Account for absent optional arguments
+        if (_.isNull(callback) && (typeof options === 'function')) {
+            callback = options;
+            options = null;
+        }
+
         if (_.isNull(callback) && (typeof parameters === 'function')) {
             callback = parameters;
             parameters = null;
         }
 
+        var idPropertyName = this.idPropertyName;
+
         // Validate the arguments
         Validate.notNull(instance, 'instance');
-        Validate.isValidId(instance[idPropertyName], 'instance.' + idPropertyName);
+        var record = toServerInstance(this, instance);
+        Validate.isValidId(record[idPropertyName], 'instance.' + idPropertyName);
         if (!_.isNull(parameters)) {
             Validate.isValidParametersObject(parameters, 'parameters');
         }
+        if (!_.isNull(options)) {
+            Validate.isObject(options, 'options');
+        }
         Validate.notNull(callback, 'callback');
+        validateRecord(this, record, 'update');
 
-        version = instance[MobileServiceSystemColumns.Version];
-        serverInstance = removeSystemProperties(instance);
+        var table = this;
+        var sendUpdate = function (record, callback) {
+            var version = record[MobileServiceSystemColumns.Version],
+                headers = {},
+                features = table._features || [],
+                serverInstance = removeSystemProperties(record);
 
-        if (!_.isNullOrEmpty(version)) {
-            headers['If-Match'] = getEtagFromVersion(version);
-            features.push(constants.features.OptimisticConcurrency);
-        }
+            if (table.trackChanges) {
+                serverInstance = getChangedProperties(record, serverInstance, idPropertyName);
+            }
 
-        headers[constants.apiVersionHeaderName] = constants.apiVersion;
+            if (!_.isNullOrEmpty(version)) {
+                headers['If-Match'] = getEtagFromVersion(version);
+                features.push(constants.features.OptimisticConcurrency);
+            }
 
-        features = addQueryParametersFeaturesIfApplicable(features, parameters);
+            headers[constants.apiVersionHeaderName] = table.getMobileServiceClient().apiVersion;
 
-        // Construct the URL
-        var urlFragment =  _.url.combinePathSegments(
-                tableRouteSeperatorName,
-                this.getTableName(),
-                encodeURIComponent(instance[idPropertyName].toString()));
-        if (!_.isNull(parameters)) {
-            var queryString = _.url.getQueryString(parameters);
-            urlFragment = _.url.combinePathAndQuery(urlFragment, queryString);
-        }
+            features = addQueryParametersFeaturesIfApplicable(features, parameters);
 
-        // Make the request
-        this.getMobileServiceClient()._request(
-            'PATCH',
-            urlFragment,
-            serverInstance,
-            false,
-            headers,
-            features,
-            function (error, response) {
-                if (!_.isNull(error)) {
-                    setServerItemIfPreconditionFailed(error);
-                    callback(error);
-                } else {
-                    var result = getItemFromResponse(response);
-                    result = Platform.allowPlatformToMutateOriginal(instance, result);
-                    callback(null, result);
-                }
-            });
+            // Construct the URL
+            var urlFragment =  _.url.combinePathSegments(
+                    tableRouteSeperatorName,
+                    table.getTableName(),
+                    encodeURIComponent(record[idPropertyName].toString()));
+            if (!_.isNull(parameters)) {
+                var queryString = _.url.getQueryString(parameters);
+                urlFragment = _.url.combinePathAndQuery(urlFragment, queryString);
+            }
+            urlFragment = addSystemPropertiesParameter(table, urlFragment);
+
+            // Make the request
+            table.getMobileServiceClient()._request(
+                'PATCH',
+                urlFragment,
+                serverInstance,
+                false,
+                getRequestHeaders(table, headers),
+                features,
+                options,
+                function (error, response) {
+                    if (!_.isNull(error)) {
+                        callback(error);
+                    } else {
+                        var result = removeUnrequestedSystemProperties(table, getItemFromResponse(response));
+                        rememberOriginalValues(table, result);
+                        callback(null, result);
+                    }
+                });
+        };
+
+        runWithConflictResolution(this, 'update', record, sendUpdate, function (error, result) {
+            if (!_.isNull(error)) {
+                callback(error);
+            } else {
+                result = fromServerInstance(table, result);
+                callback(null, Platform.allowPlatformToMutateOriginal(instance, result));
+            }
+        });
     });
 
-MobileServiceTable.prototype.refresh = Platform.async(
-    function (instance, parameters, callback) {
+MobileServiceTable.prototype.refresh = tableAsync(
+    function (instance, parameters, options, callback) {
         /// <summary>
         ///  Refresh the current instance with the latest values from the
         ///  table.
@@ -402,21 +683,34 @@ MobileServiceTable.prototype.refresh = Platform.async(
         /// <param name="parameters" type="Object" mayBeNull="true">
         /// An object of user-defined parameters and values to include in the request URI query string.
         /// </param>
+        /// <param name="options" type="Object" mayBeNull="true">
+        /// Optional request options, valid values are:
+        /// timeout: The number of milliseconds after which the request is aborted. Overrides the client's timeout,
+        /// signal: An AbortSignal that can be used to abort the request.
+        /// </param>
         /// <param name="callback" type="Function">
         /// The callback to invoke when the refresh is complete.
         /// </param>
 
         // Account for absent optional arguments
+        if (_.isNull(callback) && (typeof options === 'function')) {
+            callback = options;
+            options = null;
+        }
+
         if (_.isNull(callback) && (typeof parameters === 'function')) {
             callback = parameters;
             parameters = null;
         }
 
+        var idPropertyName = this.idPropertyName;
+
         // Validate the arguments
         Validate.notNull(instance, 'instance');
-        if (!_.isValidId(instance[idPropertyName], idPropertyName))
+        var record = toServerInstance(this, instance);
+        if (!_.isValidId(record[idPropertyName], idPropertyName))
         {
-            if (typeof instance[idPropertyName] === 'string' && instance[idPropertyName] !== '') {
+            if (typeof record[idPropertyName] === 'string' && record[idPropertyName] !== '') {
                 throw _.format(Platform.getResourceString("Validate_InvalidId"), idPropertyName);
             } else {
                 callback(null, instance);
@@ -427,6 +721,9 @@ MobileServiceTable.prototype.refresh = Platform.async(
         if (!_.isNull(parameters)) {
             Validate.isValidParametersObject(parameters, 'parameters');
         }
+        if (!_.isNull(options)) {
+            Validate.isObject(options, 'options');
+        }
         Validate.notNull(callback, 'callback');
 
         // Construct the URL
@@ -434,33 +731,37 @@ MobileServiceTable.prototype.refresh = Platform.async(
                 tableRouteSeperatorName,
                 this.getTableName());
 
-        if (typeof instance[idPropertyName] === 'string') {
-            var id = encodeURIComponent(instance[idPropertyName]).replace(/\'/g, '%27%27');
-            urlFragment = _.url.combinePathAndQuery(urlFragment, "?$filter=id eq '" + id + "'");
+        if (typeof record[idPropertyName] === 'string') {
+            var id = encodeURIComponent(record[idPropertyName]).replace(/\'/g, '%27%27');
+            urlFragment = _.url.combinePathAndQuery(urlFragment, "?$filter=" + idPropertyName + " eq '" + id + "'");
         } else {
-            urlFragment = _.url.combinePathAndQuery(urlFragment, "?$filter=id eq " + encodeURIComponent(instance[idPropertyName].toString()));
+            urlFragment = _.url.combinePathAndQuery(urlFragment, "?$filter=" + idPropertyName + " eq " + encodeURIComponent(record[idPropertyName].toString()));
         }
 
         if (!_.isNull(parameters)) {
             var queryString = _.url.getQueryString(parameters);
             urlFragment = _.url.combinePathAndQuery(urlFragment, queryString);
         }
+        urlFragment = addSystemPropertiesParameter(this, urlFragment);
+        urlFragment = addIncludeDeletedParameter(this, urlFragment);
 
         var features = this._features || [];
         features.push(constants.features.TableRefreshCall);
         features = addQueryParametersFeaturesIfApplicable(features, parameters);
 
         var headers = { };
-        headers[constants.apiVersionHeaderName] = constants.apiVersion;
+        headers[constants.apiVersionHeaderName] = this.getMobileServiceClient().apiVersion;
 
         // Make the request
+        var table = this;
         this.getMobileServiceClient()._request(
             'GET',
             urlFragment,
-            instance,
+            record,
             false,
-            headers,
+            getRequestHeaders(this, headers),
             features,
+            options,
             function (error, response) {
                 if (!_.isNull(error)) {
                     callback(error, null);
@@ -477,14 +778,17 @@ MobileServiceTable.prototype.refresh = Platform.async(
                         callback(_.createError(message), null);
                     }
 
+                    result = removeUnrequestedSystemProperties(table, result);
+                    rememberOriginalValues(table, result);
+                    result = fromServerInstance(table, result);
                     result = Platform.allowPlatformToMutateOriginal(instance, result);
                     callback(null, result);
                 }
             });
     });
 
-MobileServiceTable.prototype.lookup = Platform.async(
-    function (id, parameters, callback) {
+MobileServiceTable.prototype.lookup = tableAsync(
+    function (id, parameters, options, callback) {
         /// <summary>
         /// Gets an instance from a given table.
         /// </summary>
@@ -494,21 +798,36 @@ MobileServiceTable.prototype.lookup = Platform.async(
         /// <param name="parameters" type="Object" mayBeNull="true">
         /// An object of user-defined parameters and values to include in the request URI query string.
         /// </param>
+        /// <param name="options" type="Object" mayBeNull="true">
+        /// Optional request options, valid values are:
+        /// timeout: The number of milliseconds after which the request is aborted. Overrides the client's timeout,
+        /// signal: An AbortSignal that can be used to abort the request.
+        /// </param>
         /// <param name="callback" type="Function">
         /// The callback to invoke when the lookup is complete.
         /// </param>
 
         // Account for absent optional arguments
+        if (_.isNull(callback) && (typeof options === 'function')) {
+            callback = options;
+            options = null;
+        }
+
         if (_.isNull(callback) && (typeof parameters === 'function')) {
             callback = parameters;
             parameters = null;
         }
 
+        var idPropertyName = this.idPropertyName;
+
         // Validate the arguments
         Validate.isValidId(id, idPropertyName);
         if (!_.isNull(parameters)) {
             Validate.isValidParametersObject(parameters);
         }
+        if (!_.isNull(options)) {
+            Validate.isObject(options, 'options');
+        }
         Validate.notNull(callback, 'callback');
 
         // Construct the URL
@@ -524,30 +843,35 @@ MobileServiceTable.prototype.lookup = Platform.async(
             var queryString = _.url.getQueryString(parameters);
             urlFragment = _.url.combinePathAndQuery(urlFragment, queryString);
         }
+        urlFragment = addSystemPropertiesParameter(this, urlFragment);
+        urlFragment = addIncludeDeletedParameter(this, urlFragment);
 
         var headers = { };
-        headers[constants.apiVersionHeaderName] = constants.apiVersion;
+        headers[constants.apiVersionHeaderName] = this.getMobileServiceClient().apiVersion;
 
         // Make the request
+        var table = this;
         this.getMobileServiceClient()._request(
             'GET',
             urlFragment,
             null,
             false,
-            headers,
+            getRequestHeaders(this, headers),
             features,
+            options,
             function (error, response) {
                 if (!_.isNull(error)) {
                     callback(error, null);
                 } else {
-                    var result = getItemFromResponse(response);
-                    callback(null, result);
+                    var result = removeUnrequestedSystemProperties(table, getItemFromResponse(response));
+                    rememberOriginalValues(table, result);
+                    callback(null, fromServerInstance(table, result));
                 }
             });
     });
 
-MobileServiceTable.prototype.del = Platform.async(
-    function (instance, parameters, callback) {
+MobileServiceTable.prototype.del = tableAsync(
+    function (instance, parameters, options, callback) {
         /// <summary>
         /// Delete an object from a given table.
         /// </summary>
@@ -557,61 +881,332 @@ MobileServiceTable.prototype.del = Platform.async(
         /// <param name="parameters" type="Object" mayBeNull="true">
         /// An object of user-defined parameters and values to include in the request URI query string.
         /// </param>
+        /// <param name="options" type="Object" mayBeNull="true">
+        /// Optional request options, valid values are:
+        /// timeout: The number of milliseconds after which the request is aborted. Overrides the client's timeout,
+        /// signal: An AbortSignal that can be used to abort the request.
+        /// </param>
         /// <param name="callback" type="Function">
         /// The callback to invoke when the delete is complete.
         /// </param>
 
         // Account for absent optional arguments
+        if (_.isNull(callback) && (typeof options === 'function')) {
+            callback = options;
+            options = null;
+        }
+
         if (_.isNull(callback) && (typeof parameters === 'function')) {
             callback = parameters;
             parameters = null;
         }        
 
+        var idPropertyName = this.idPropertyName;
+
         // Validate the arguments
         Validate.notNull(instance, 'instance');
-        Validate.isValidId(instance[idPropertyName], 'instance.' + idPropertyName);
+        var record = toServerInstance(this, instance);
+        Validate.isValidId(record[idPropertyName], 'instance.' + idPropertyName);
+        if (!_.isNull(options)) {
+            Validate.isObject(options, 'options');
+        }
         Validate.notNull(callback, 'callback');
 
-        var headers = {};
-        var features = this._features || [];
-        if (_.isString(instance[idPropertyName])) {
-            if (!_.isNullOrEmpty(instance[MobileServiceSystemColumns.Version])) {
-                headers['If-Match'] = getEtagFromVersion(instance[MobileServiceSystemColumns.Version]);
-                features.push(constants.features.OptimisticConcurrency);
+        if (!_.isNull(parameters)) {
+            Validate.isValidParametersObject(parameters);
+        }
+
+        var table = this;
+        var sendDelete = function (record, callback) {
+            var headers = {};
+            var features = table._features || [];
+            if (_.isString(record[idPropertyName])) {
+                if (!_.isNullOrEmpty(record[MobileServiceSystemColumns.Version])) {
+                    headers['If-Match'] = getEtagFromVersion(record[MobileServiceSystemColumns.Version]);
+                    features.push(constants.features.OptimisticConcurrency);
+                }
             }
+            headers[constants.apiVersionHeaderName] = table.getMobileServiceClient().apiVersion;
+
+            features = addQueryParametersFeaturesIfApplicable(features, parameters);
+
+            // Contruct the URL
+            var urlFragment =  _.url.combinePathSegments(
+                    tableRouteSeperatorName,
+                    table.getTableName(),
+                    encodeURIComponent(record[idPropertyName].toString()));
+            if (!_.isNull(parameters)) {
+                var queryString = _.url.getQueryString(parameters);
+                urlFragment = _.url.combinePathAndQuery(urlFragment, queryString);
+            }
+
+            // Make the request
+            table.getMobileServiceClient()._request(
+                'DELETE',
+                urlFragment,
+                null,
+                false,
+                getRequestHeaders(table, headers),
+                features,
+                options,
+                function (error, response) {
+                    callback(error);
+                });
+        };
+
+        runWithConflictResolution(this, 'delete', record, sendDelete, function (error) {
+            callback(error);
+        });
+    });
+
+MobileServiceTable.prototype.undelete = tableAsync(
+    function (instance, parameters, options, callback) {
+        /// <summary>
+        /// Restore a soft deleted object of a given table.
+        /// </summary>
+        /// <param name="instance" type="Object">
+        /// The instance to restore. Its version, if any, is sent in the If-Match header.
+        /// </param>
+        /// <param name="parameters" type="Object" mayBeNull="true">
+        /// An object of user-defined parameters and values to include in the request URI query string.
+        /// </param>
+        /// <param name="options" type="Object" mayBeNull="true">
+        /// Optional request options, valid values are:
+        /// timeout: The number of milliseconds after which the request is aborted. Overrides the client's timeout,
+        /// signal: An AbortSignal that can be used to abort the request.
+        /// </param>
+        /// <param name="callback" type="Function">
+        /// The callback to invoke when the undelete is complete.
+        /// </param>
+
+        // Account for absent optional arguments
+        if (_.isNull(callback) && (typeof options === 'function')) {
+            callback = options;
+            options = null;
         }
-        headers[constants.apiVersionHeaderName] = constants.apiVersion;
 
-        features = addQueryParametersFeaturesIfApplicable(features, parameters);
+        if (_.isNull(callback) && (typeof parameters === 'function')) {
+            callback = parameters;
+            parameters = null;
+        }
 
+        var idPropertyName = this.idPropertyName;
+
+        // Validate the arguments
+        Validate.notNull(instance, 'instance');
+        var record = toServerInstance(this, instance);
+        Validate.isValidId(record[idPropertyName], 'instance.' + idPropertyName);
         if (!_.isNull(parameters)) {
-            Validate.isValidParametersObject(parameters);
+            Validate.isValidParametersObject(parameters, 'parameters');
         }
+        if (!_.isNull(options)) {
+            Validate.isObject(options, 'options');
+        }
+        Validate.notNull(callback, 'callback');
 
-        // Contruct the URL
+        var headers = {},
+            features = this._features || [],
+            version = record[MobileServiceSystemColumns.Version];
+        if (!_.isNullOrEmpty(version)) {
+            headers['If-Match'] = getEtagFromVersion(version);
+            features.push(constants.features.OptimisticConcurrency);
+        }
+        headers[constants.apiVersionHeaderName] = this.getMobileServiceClient().apiVersion;
+
+        features = addQueryParametersFeaturesIfApplicable(features, parameters);
+
+        // Construct the URL
         var urlFragment =  _.url.combinePathSegments(
                 tableRouteSeperatorName,
                 this.getTableName(),
-                encodeURIComponent(instance[idPropertyName].toString()));
+                encodeURIComponent(record[idPropertyName].toString()));
         if (!_.isNull(parameters)) {
             var queryString = _.url.getQueryString(parameters);
             urlFragment = _.url.combinePathAndQuery(urlFragment, queryString);
         }
+        urlFragment = addSystemPropertiesParameter(this, urlFragment);
 
         // Make the request
+        var table = this;
         this.getMobileServiceClient()._request(
-            'DELETE',
+            'POST',
             urlFragment,
             null,
             false,
-            headers,
+            getRequestHeaders(this, headers),
             features,
+            options,
             function (error, response) {
                 if (!_.isNull(error)) {
-                    setServerItemIfPreconditionFailed(error);
+                    callback(error, null);
+                } else {
+                    var result = removeUnrequestedSystemProperties(table, getItemFromResponse(response));
+                    rememberOriginalValues(table, result);
+                    result = fromServerInstance(table, result);
+                    result = Platform.allowPlatformToMutateOriginal(instance, result);
+                    callback(null, result);
                 }
+            });
+    });
+
+MobileServiceTable.prototype.includeDeleted = function () {
+    /// <summary>
+    /// Gets a table with the same configuration as this table whose reads, lookups
+    /// and refreshes return soft deleted records too. Soft deleted records have
+    /// their deleted property set to true and can be restored using undelete.
+    /// </summary>
+    /// <returns type="MobileServiceTable">The table.</returns>
+
+    var table = new MobileServiceTable(this.getTableName(), this.getMobileServiceClient(), {
+        headers: this.headers,
+        systemProperties: this.systemProperties,
+        trackChanges: this.trackChanges,
+        conflictResolver: this.conflictResolver,
+        includeDeleted: true,
+        idPropertyName: this.idPropertyName
+    });
+    table._modelMapper = this._modelMapper;
+    table._schemaValidator = this._schemaValidator;
+    table._features = this._features;
+
+    return table;
+};
+
+MobileServiceTable.prototype.upsert = tableAsync(
+    function (instance, parameters, options, callback) {
+        /// <summary>
+        /// Insert an object into a given table or, if an object with the same id
+        /// already exists, update it. Integer ids are generated by the server, so
+        /// objects with an integer id are always updated.
+        /// </summary>
+        /// <param name="instance" type="Object">
+        /// The instance to insert or update.
+        /// </param>
+        /// <param name="parameters" type="Object" mayBeNull="true">
+        /// An object of user-defined parameters and values to include in the request URI query string.
+        /// </param>
+        /// <param name="options" type="Object" mayBeNull="true">
+        /// Optional request options, valid values are:
+        /// timeout: The number of milliseconds after which the request is aborted. Overrides the client's timeout,
+        /// signal: An AbortSignal that can be used to abort the request.
+        /// </param>
+        /// <param name="callback" type="Function">
+        /// The callback to invoke when the upsert is complete.
+        /// </param>
+
+        // Account for absent optional arguments
+        if (_.isNull(callback) && (typeof options === 'function')) {
+            callback = options;
+            options = null;
+        }
+
+        if (_.isNull(callback) && (typeof parameters === 'function')) {
+            callback = parameters;
+            parameters = null;
+        }
+
+        var idPropertyName = this.idPropertyName,
+            id;
+
+        // Validate the arguments
+        Validate.notNull(instance, 'instance');
+        id = toServerInstance(this, instance)[idPropertyName];
+        Validate.isValidId(id, 'instance.' + idPropertyName);
+        Validate.notNull(callback, 'callback');
+
+        // Objects with integer ids can not be inserted, as the ids are generated by the server
+        var table = this;
+        if (_.isNumber(id)) {
+            return this.update(instance, parameters, options).then(function (result) {
+                callback(null, result);
+            }, function (error) {
                 callback(error);
             });
+        }
+
+        // The server responds with 409 (Conflict) if the object already exists
+        this.insert(instance, parameters, options).then(function (result) {
+            callback(null, result);
+        }, function (error) {
+            if (error.status !== 409) {
+                return callback(error);
+            }
+
+            table.update(instance, parameters, options).then(function (result) {
+                callback(null, result);
+            }, function (error) {
+                callback(error);
+            });
+        });
+    });
+
+MobileServiceTable.prototype.insertMany = tableAsync(
+    function (instances, parameters, options, callback) {
+        /// <summary>
+        /// Insert multiple objects into a given table.
+        /// </summary>
+        /// <param name="instances" type="Array">
+        /// The instances to insert into the table.
+        /// </param>
+        /// <param name="parameters" type="Object" mayBeNull="true">
+        /// An object of user-defined parameters and values to include in the request URI query string.
+        /// </param>
+        /// <param name="options" type="Object" mayBeNull="true">
+        /// Optional options, valid values are:
+        /// concurrency: The maximum number of inserts in progress at a time, with the default being 5,
+        /// timeout: The number of milliseconds after which the request of each insert is aborted. Overrides the client's timeout,
+        /// signal: An AbortSignal that can be used to abort the requests.
+        /// </param>
+        /// <param name="callback" type="Function">
+        /// The callback to invoke with the result of each insert. The inserts that fail do not stop the others.
+        /// </param>
+        runBulkOperation(this, 'insert', arguments);
+    });
+
+MobileServiceTable.prototype.updateMany = tableAsync(
+    function (instances, parameters, options, callback) {
+        /// <summary>
+        /// Update multiple objects in a given table.
+        /// </summary>
+        /// <param name="instances" type="Array">
+        /// The instances to update in the table.
+        /// </param>
+        /// <param name="parameters" type="Object" mayBeNull="true">
+        /// An object of user-defined parameters and values to include in the request URI query string.
+        /// </param>
+        /// <param name="options" type="Object" mayBeNull="true">
+        /// Optional options, valid values are:
+        /// concurrency: The maximum number of updates in progress at a time, with the default being 5,
+        /// timeout: The number of milliseconds after which the request of each update is aborted. Overrides the client's timeout,
+        /// signal: An AbortSignal that can be used to abort the requests.
+        /// </param>
+        /// <param name="callback" type="Function">
+        /// The callback to invoke with the result of each update. The updates that fail do not stop the others.
+        /// </param>
+        runBulkOperation(this, 'update', arguments);
+    });
+
+MobileServiceTable.prototype.deleteMany = tableAsync(
+    function (instances, parameters, options, callback) {
+        /// <summary>
+        /// Delete multiple objects from a given table.
+        /// </summary>
+        /// <param name="instances" type="Array">
+        /// The instances to delete from the table.
+        /// </param>
+        /// <param name="parameters" type="Object" mayBeNull="true">
+        /// An object of user-defined parameters and values to include in the request URI query string.
+        /// </param>
+        /// <param name="options" type="Object" mayBeNull="true">
+        /// Optional options, valid values are:
+        /// concurrency: The maximum number of deletes in progress at a time, with the default being 5,
+        /// timeout: The number of milliseconds after which the request of each delete is aborted. Overrides the client's timeout,
+        /// signal: An AbortSignal that can be used to abort the requests.
+        /// </param>
+        /// <param name="callback" type="Function">
+        /// The callback to invoke with the result of each delete. The deletes that fail do not stop the others.
+        /// </param>
+        runBulkOperation(this, 'del', arguments);
     });
 
 // Define query operators
@@ -632,6 +1227,426 @@ function removeSystemProperties(instance) {
     return copy;
 }
 
+// Adds the query string parameter that requests the system properties selected for the table
+function addSystemPropertiesParameter(table, urlFragment) {
+    var systemProperties = table.systemProperties;
+    if (_.isNull(systemProperties) || systemProperties === SystemProperties.None) {
+        return urlFragment;
+    }
+
+    // The parameter can be specified explicitly as a user-defined parameter
+    if (urlFragment.indexOf(systemPropertiesParameterName + '=') >= 0) {
+        return urlFragment;
+    }
+
+    var value;
+    if ((systemProperties & SystemProperties.All) === SystemProperties.All) {
+        value = '*';
+    } else {
+        value = getSystemColumnNames(systemProperties, true).join(',');
+    }
+
+    return _.url.combinePathAndQuery(urlFragment, systemPropertiesParameterName + '=' + encodeURIComponent(value));
+}
+
+// Adds the query string parameter that makes the server return soft deleted records,
+// if the table includes them and the parameter is not specified explicitly
+function addIncludeDeletedParameter(table, urlFragment) {
+    if (!table._includeDeleted || urlFragment.indexOf(includeDeletedParameterName + '=') >= 0) {
+        return urlFragment;
+    }
+
+    return _.url.combinePathAndQuery(urlFragment, includeDeletedParameterName + '=true');
+}
+
+// Removes the system properties that were not selected for the table from the result of a table operation
+function removeUnrequestedSystemProperties(table, result) {
+    var systemProperties = table.systemProperties;
+    if (_.isNull(systemProperties) || _.isNull(result)) {
+        return result;
+    }
+
+    var unrequested = getSystemColumnNames(systemProperties, false),
+        items = Array.isArray(result) ? result : [result];
+
+    items.forEach(function (item) {
+        if (_.isObject(item)) {
+            unrequested.forEach(function (column) {
+                delete item[column];
+            });
+        }
+    });
+
+    return result;
+}
+
+// Makes the objects returned by a table operation remember their original values, if the table tracks changes
+function rememberOriginalValues(table, result) {
+    if (!table.trackChanges || _.isNull(result)) {
+        return;
+    }
+
+    var items = Array.isArray(result) ? result : [result];
+    items.forEach(function (item) {
+        if (!_.isObject(item)) {
+            return;
+        }
+
+        // The values are remembered in their serialized form, which is also used to detect changes
+        var originalValues = {},
+            properties = removeSystemProperties(item);
+        for (var property in properties) {
+            originalValues[property] = _.toJson(properties[property]);
+        }
+
+        Object.defineProperty(item, originalValuesPropertyName, {
+            value: originalValues,
+            enumerable: false,
+            configurable: true,
+            writable: true
+        });
+    });
+}
+
+// Throws a ValidationError if a record that is about to be inserted or updated does not match the table's schema
+function validateRecord(table, record, operation) {
+    if (table._schemaValidator && !_.isNull(record) && _.isObject(record)) {
+        schemaValidator.validateRecord(table._schemaValidator, table.getTableName(), record, operation);
+    }
+}
+
+// Maps a model object, or an array of them, to records using the table's model mapper.
+// Records keep the original values remembered by the model objects.
+function toServerInstance(table, instance) {
+    return mapInstances(table, instance, 'toServer');
+}
+
+// Maps a record, or an array of them, to model objects using the table's model mapper.
+// Model objects keep the original values remembered by the records.
+function fromServerInstance(table, instance) {
+    return mapInstances(table, instance, 'fromServer');
+}
+
+function mapInstances(table, instance, direction) {
+    var mapper = table._modelMapper;
+    if (!mapper || _.isNull(instance)) {
+        return instance;
+    }
+
+    if (Array.isArray(instance)) {
+        // Map the items in place to keep properties of the array like totalCount
+        for (var i = 0; i < instance.length; i++) {
+            instance[i] = mapInstances(table, instance[i], direction);
+        }
+        return instance;
+    }
+
+    var result = mapper[direction](instance);
+    copyOriginalValues(instance, result);
+    return result;
+}
+
+// Copies the original values remembered by a record to another object
+function copyOriginalValues(source, target) {
+    if (source[originalValuesPropertyName] && _.isObject(target) && !_.isNull(target)) {
+        Object.defineProperty(target, originalValuesPropertyName, {
+            value: source[originalValuesPropertyName],
+            enumerable: false,
+            configurable: true,
+            writable: true
+        });
+    }
+}
+
+// Gets the id and the properties of an object that changed since it was returned by the table.
+// All the properties are returned if the object does not remember its original values.
+function getChangedProperties(instance, properties, idPropertyName) {
+    var originalValues = instance[originalValuesPropertyName];
+    if (!originalValues) {
+        return properties;
+    }
+
+    var changes = {},
+        property;
+
+    changes[idPropertyName] = properties[idPropertyName];
+    for (property in properties) {
+        if (originalValues[property] !== _.toJson(properties[property])) {
+            changes[property] = properties[property];
+        }
+    }
+
+    // Properties that were removed are cleared
+    for (property in originalValues) {
+        if (!properties.hasOwnProperty(property)) {
+            changes[property] = null;
+        }
+    }
+
+    return changes;
+}
+
+// Gets the names of the system columns that are, or are not, included in the specified system properties
+function getSystemColumnNames(systemProperties, isIncluded) {
+    var names = [];
+    for (var name in MobileServiceSystemColumns) {
+        if (((systemProperties & SystemProperties[name]) !== 0) === isIncluded) {
+            names.push(MobileServiceSystemColumns[name]);
+        }
+    }
+    return names;
+}
+
+// Creates the async iterator returned by readPages
+function createPageIterator(table, query, parameters, options) {
+    var requestOptions = { timeout: options.timeout, signal: options.signal },
+        pageQuery = null,   // query for reading the next page by skipping the items read so far, if the server does not return a nextLink
+        nextLink = null,
+        isServerPaged = false,
+        pageCount = 0,
+        itemCount = 0,      // number of items returned by the server so far
+        isDone = false,
+        isFirstPage = true;
+
+    // Only a Query can be used to read the next page by skipping items, not a raw query string
+    var components = null;
+    if (_.isNull(query)) {
+        components = new Query(table.getTableName()).getComponents();
+    } else if (!_.isString(query) && query.getComponents) {
+        components = query.getComponents();
+    }
+
+    var readNextPage = function (callback) {
+        if (isDone || isLimitReached()) {
+            isDone = true;
+            return callback(null, { done: true, value: undefined });
+        }
+
+        if (options.signal && options.signal.aborted) {
+            isDone = true;
+            return callback(_.createError(createAbortError(false)));
+        }
+
+        // The nextLink returned by the server already includes the user-defined parameters
+        var pageRequest = isFirstPage ? query : (nextLink || pageQuery),
+            pageParameters = !isFirstPage && nextLink ? null : parameters;
+        isFirstPage = false;
+
+        table._read(pageRequest, pageParameters, requestOptions, function (error, page) {
+            if (error) {
+                isDone = true;
+                return callback(error);
+            }
+
+            page = page || [];
+            setNextPage(page);
+
+            // Pages without items are not returned
+            if (page.length === 0) {
+                return readNextPage(callback);
+            }
+
+            if (!_.isNull(options.maxItems) && itemCount > options.maxItems) {
+                var totalCount = page.totalCount;
+                page = page.slice(0, page.length - (itemCount - options.maxItems));
+                page.totalCount = totalCount;
+            }
+
+            pageCount++;
+            callback(null, { done: false, value: page });
+        });
+    };
+
+    var setNextPage = function (page) {
+        itemCount += page.length;
+        nextLink = page.nextLink || null;
+        pageQuery = null;
+
+        // Once the server has returned a nextLink, a page without one is the last page
+        isServerPaged = isServerPaged || !!nextLink;
+        if (nextLink || isServerPaged || page.length === 0 || !components) {
+            isDone = !nextLink;
+            return;
+        }
+
+        var remaining = _.isNull(components.take) ? null : components.take - itemCount;
+        if (remaining !== null && remaining <= 0) {
+            isDone = true;
+            return;
+        }
+
+        pageQuery = new Query(table.getTableName());
+        pageQuery.setComponents(components);
+        pageQuery.skip((components.skip || 0) + itemCount);
+        if (remaining !== null) {
+            pageQuery.take(remaining);
+        }
+    };
+
+    var isLimitReached = function () {
+        return (!_.isNull(options.maxPages) && pageCount >= options.maxPages) ||
+               (!_.isNull(options.maxItems) && itemCount >= options.maxItems);
+    };
+
+    var iterator = {
+        next: _.clientAsync(readNextPage, function () {
+            return table.getMobileServiceClient();
+        }),
+        'return': _.clientAsync(function (callback) {
+            isDone = true;
+            callback(null, { done: true, value: undefined });
+        }, function () {
+            return table.getMobileServiceClient();
+        })
+    };
+
+    if (typeof Symbol !== 'undefined' && Symbol.asyncIterator) {
+        iterator[Symbol.asyncIterator] = function () {
+            return this;
+        };
+    }
+
+    return iterator;
+}
+
+// Performs a table operation on each instance of an array, given the arguments of insertMany, updateMany
+// or deleteMany. The callback is invoked with an array that has, for each instance, an object with the
+// instance, and the result of the operation or the error if it failed.
+function runBulkOperation(table, operation, args) {
+    args = Array.prototype.slice.call(args);
+    var callback = args.pop(),
+        instances = args[0],
+        parameters = args[1],
+        options = args[2];
+
+    Validate.notNull(instances, 'instances');
+    Validate.isArray(instances, 'instances');
+    if (!_.isNull(parameters)) {
+        Validate.isValidParametersObject(parameters, 'parameters');
+    }
+    options = options || {};
+    Validate.isObject(options, 'options');
+
+    var concurrency = _.isNull(options.concurrency) ? defaultBulkConcurrency : options.concurrency;
+    Validate.isInteger(concurrency, 'concurrency');
+    if (concurrency <= 0) {
+        throw _.format(Platform.getResourceString("Validate_InvalidPositiveInteger"), 'concurrency');
+    }
+
+    var requestOptions = { timeout: options.timeout, signal: options.signal },
+        results = new Array(instances.length),
+        nextIndex = 0,
+        completedCount = 0;
+
+    var runNext = function () {
+        var index = nextIndex++,
+            instance = instances[index];
+
+        table[operation](instance, parameters, requestOptions).then(function (result) {
+            results[index] = { instance: instance, result: operation === 'del' ? null : result, error: null };
+        }, function (error) {
+            results[index] = { instance: instance, result: null, error: error };
+        }).then(function () {
+            completedCount++;
+            if (completedCount === instances.length) {
+                callback(null, results);
+            } else if (nextIndex < instances.length) {
+                runNext();
+            }
+        });
+    };
+
+    if (instances.length === 0) {
+        return callback(null, results);
+    }
+
+    for (var i = 0; i < concurrency && i < instances.length; i++) {
+        runNext();
+    }
+}
+
+// Performs an update or a delete of a record using performFn(record, callback). If it fails with a
+// conflict and the table or its client has a conflict resolver, the resolver is invoked with the client and
+// server versions and the operation is retried with the server version, up to maxConflictResolutionAttempts times.
+function runWithConflictResolution(table, operation, record, performFn, callback) {
+    var resolver = table.conflictResolver || table.getMobileServiceClient().conflictResolver,
+        attempt = 0;
+
+    var perform = function (clientInstance) {
+        performFn(clientInstance, function (error, result) {
+            if (_.isNull(error) || !resolver || error.status !== 412 || _.isNull(error.serverInstance) ||
+                attempt >= maxConflictResolutionAttempts) {
+                return callback(error, result);
+            }
+
+            attempt++;
+            var context = { tableName: table.getTableName(), operation: operation, attempt: attempt },
+                resolution;
+
+            try {
+                resolution = resolver(fromServerInstance(table, clientInstance),
+                                      fromServerInstance(table, error.serverInstance),
+                                      context);
+            } catch (ex) {
+                return callback(ex);
+            }
+
+            if (resolution && _.isFunction(resolution.then)) {
+                resolution.then(function (value) {
+                    applyResolution(value, clientInstance, error);
+                }, function (resolverError) {
+                    callback(resolverError);
+                });
+            } else {
+                applyResolution(resolution, clientInstance, error);
+            }
+        });
+    };
+
+    var applyResolution = function (resolution, clientInstance, error) {
+        var serverInstance = error.serverInstance,
+            retryInstance;
+
+        if (resolution === ConflictResolution.ServerWins) {
+            if (operation === 'delete') {
+                return callback(null);
+            }
+            var result = removeUnrequestedSystemProperties(table, _.extend({}, serverInstance));
+            rememberOriginalValues(table, result);
+            return callback(null, result);
+        }
+
+        if (resolution === ConflictResolution.ClientWins) {
+            // Keep the original values so that only the changed properties are sent again
+            retryInstance = _.extend({}, clientInstance);
+            copyOriginalValues(clientInstance, retryInstance);
+        } else if (!_.isNull(resolution) && _.isObject(resolution) && !Array.isArray(resolution)) {
+            retryInstance = _.extend({}, toServerInstance(table, resolution));
+            retryInstance[table.idPropertyName] = record[table.idPropertyName];
+        } else {
+            return callback(error);
+        }
+
+        retryInstance[MobileServiceSystemColumns.Version] = serverInstance[MobileServiceSystemColumns.Version];
+        perform(retryInstance);
+    };
+
+    perform(record);
+}
+
+// Merges the headers of a table operation with the headers configured for the table
+function getRequestHeaders(table, headers) {
+    return _.mergeHeaders(_.extend({}, table.headers), headers);
+}
+
+// Wraps a function that takes a callback into a function that returns a promise,
+// created using the promise implementation configured for the table's client
+function tableAsync(func) {
+    return _.clientAsync(func, function (table) {
+        return table.getMobileServiceClient();
+    });
+}
+
 // Add double quotes and unescape any internal quotes
 function getItemFromResponse(response) {
     var result = _.fromJson(response.responseText);
@@ -644,13 +1659,6 @@ function getItemFromResponse(response) {
     return result;
 }
 
-// Converts an error to precondition failed error
-function setServerItemIfPreconditionFailed(error) {
-    if (error.request && error.request.status === 412) {
-        error.serverInstance = _.fromJson(error.request.responseText);
-    }
-}
-
 // Add wrapping double quotes and escape all double quotes
 function getEtagFromVersion(version) {
     var result = version.replace(/\"/g, '\\\"');
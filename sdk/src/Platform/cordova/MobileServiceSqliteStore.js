@@ -16,7 +16,6 @@ var Platform = require('.'),
     Query = require('azure-query-js').Query,
     formatSql = require('azure-odata-sql').format,
     taskRunner = require('../../Utilities/taskRunner'),
-    idPropertyName = "id", // TODO: Add support for case insensitive ID and custom ID column
     defaultDbName = 'mobileapps.db';
 
 /**
@@ -95,6 +94,7 @@ var MobileServiceSqliteStore = function (dbName) {
      * 
      * Example of a valid tableDefinition object:
      * name: "todoItemTable",
+     * idPropertyName: "id", // optional, defaults to id. The ID column can be a string or an integer column.
      * columnDefinitions : {
      *      id : "string",
      *      metadata : MobileServiceSqliteStore.ColumnType.Object,
@@ -159,6 +159,37 @@ var MobileServiceSqliteStore = function (dbName) {
         });
     };
 
+    /**
+     * Gets the name of the ID column of a table
+     * 
+     * @param tableName Name of the local table
+     * @returns The name of the ID column specified while defining the table, or id if none was specified.
+     */
+    this.getIdPropertyName = function (tableName) {
+        Validate.isString(tableName, 'tableName');
+        Validate.notNullOrEmpty(tableName, 'tableName');
+
+        return storeHelper.getIdPropertyName(storeHelper.getTableDefinition(tableDefinitions, tableName));
+    };
+
+    /**
+     * Gets the type of the ID column of a table
+     * 
+     * @param tableName Name of the local table
+     * @returns The type of the ID column, as specified while defining the table, or undefined if the table or its ID column is not defined.
+     */
+    this.getIdColumnType = function (tableName) {
+        Validate.isString(tableName, 'tableName');
+        Validate.notNullOrEmpty(tableName, 'tableName');
+
+        var tableDefinition = storeHelper.getTableDefinition(tableDefinitions, tableName);
+        if (!tableDefinition) {
+            return undefined;
+        }
+
+        return storeHelper.getColumnType(tableDefinition.columnDefinitions, storeHelper.getIdPropertyName(tableDefinition));
+    };
+
     /**
      * Updates or inserts one or more objects in the local table
      * If a property does not have a corresponding definition in tableDefinition, it will not be upserted into the table.
@@ -195,6 +226,8 @@ var MobileServiceSqliteStore = function (dbName) {
             throw new Error('Definition not found for table "' + tableName + '"');
         }
 
+        var idPropertyName = storeHelper.getIdPropertyName(tableDefinition);
+
         // If no data is provided, there is nothing more to be done.
         if (_.isNull(data)) {
             return;
@@ -214,7 +247,7 @@ var MobileServiceSqliteStore = function (dbName) {
         for (var i = 0; i < records.length; i++) {
             // Skip null or undefined record objects
             if (!_.isNull(records[i])) {
-                Validate.isValidId(storeHelper.getId(records[i]), 'records[' + i + '].' + idPropertyName);
+                Validate.isValidId(storeHelper.getId(records[i], idPropertyName), 'records[' + i + '].' + idPropertyName);
                 records[i] = sqliteSerializer.serialize(records[i], tableDefinition.columnDefinitions);
             }
         }
@@ -258,7 +291,7 @@ var MobileServiceSqliteStore = function (dbName) {
                 insertParams.push('?');
                 insertValues.push(record[property]);
                 
-                if (!storeHelper.isId(property)) {
+                if (!storeHelper.isId(property, idPropertyName)) {
                     updateColumnNames.push(property);
                     updateExpressions.push(property + ' = ?');
                     updateValues.push(record[property]);
@@ -272,7 +305,7 @@ var MobileServiceSqliteStore = function (dbName) {
             // If there is any property other than id that needs to be upserted, update the record.
             if (updateValues.length > 0) {
                 statements.push(_.format("UPDATE {0} SET {1} WHERE {2} = ?", tableName, updateExpressions.join(), idPropertyName));
-                updateValues.push(storeHelper.getId(record)); // Add value of record ID as the last parameter.. for the WHERE clause in the statement.
+                updateValues.push(storeHelper.getId(record, idPropertyName)); // Add value of record ID as the last parameter.. for the WHERE clause in the statement.
                 parameters.push(updateValues);
             }
         }
@@ -312,7 +345,7 @@ var MobileServiceSqliteStore = function (dbName) {
                 throw new Error('Definition not found for table "' + tableName + '"');
             }
 
-            var lookupStatement = _.format("SELECT * FROM [{0}] WHERE {1} = ? COLLATE NOCASE", tableName, idPropertyName);
+            var lookupStatement = _.format("SELECT * FROM [{0}] WHERE {1} = ? COLLATE NOCASE", tableName, storeHelper.getIdPropertyName(tableDefinition));
 
             return Platform.async(function(callback) {
                 self._db.executeSql(lookupStatement, [id], function (result) {
@@ -416,9 +449,10 @@ var MobileServiceSqliteStore = function (dbName) {
                 Validate.notNullOrEmpty(tableName);
 
                 // Get list of IDs from the records returned by read.
-                var ids = [];
+                var idPropertyName = self.getIdPropertyName(tableName),
+                    ids = [];
                 result.forEach(function(record) {
-                    ids.push(record[idPropertyName]);
+                    ids.push(storeHelper.getId(record, idPropertyName));
                 });
 
                 // Delete the records returned by read.
@@ -446,7 +480,7 @@ var MobileServiceSqliteStore = function (dbName) {
             }
         }
         
-        var deleteStatement = _.format("DELETE FROM {0} WHERE {1} in ({2})", tableName, idPropertyName, deleteExpressions.join());
+        var deleteStatement = _.format("DELETE FROM {0} WHERE {1} in ({2})", tableName, this.getIdPropertyName(tableName), deleteExpressions.join());
         if (this._editStatement) { // test hook
             deleteStatement = this._editStatement(deleteStatement);
         }
@@ -615,7 +649,7 @@ function createTable(transaction, tableDefinition) {
 
         var columnDefinitionClause = _.format("[{0}] {1}", columnName, sqliteSerializer.getSqliteType(columnType));
 
-        if (storeHelper.isId(columnName)) {
+        if (storeHelper.isId(columnName, storeHelper.getIdPropertyName(tableDefinition))) {
             columnDefinitionClause += " PRIMARY KEY";
         }
 
@@ -6,7 +6,7 @@
  * @file Helper functions for performing store related operations
  */
 
-var idPropertyName = require('../../constants').table.idPropertyName,
+var defaultIdPropertyName = require('../../constants').table.idPropertyName,
     Validate = require('../../Utilities/Validate');
 
 /**
@@ -20,6 +20,11 @@ function validateTableDefinition(tableDefinition) {
     Validate.isString(tableDefinition.name, 'tableDefinition.name');
     Validate.notNullOrEmpty(tableDefinition.name, 'tableDefinition.name');
 
+    if (tableDefinition.idPropertyName !== undefined) {
+        Validate.isString(tableDefinition.idPropertyName, 'tableDefinition.idPropertyName');
+        Validate.notNullOrEmpty(tableDefinition.idPropertyName, 'tableDefinition.idPropertyName');
+    }
+
     // Validate the specified column types and check for duplicate columns
     var columnDefinitions = tableDefinition.columnDefinitions,
         definedColumns = {};
@@ -97,13 +102,23 @@ function getColumnName(columnDefinitions, property) {
     return property; // If no definition found for property, simply returns the column name as is
 }
 
+/**
+ * Gets the name of the ID property of the table with the specified definition
+ */
+function getIdPropertyName(tableDefinition) {
+    return (tableDefinition && tableDefinition.idPropertyName) || defaultIdPropertyName;
+}
+
 /**
  * Returns the Id property value OR undefined if none exists
+ * @param record The record
+ * @param [idPropertyName] Name of the ID property. Defaults to id.
  */
-function getId(record) {
+function getId(record, idPropertyName) {
     Validate.isObject(record);
     Validate.notNull(record);
 
+    idPropertyName = idPropertyName || defaultIdPropertyName;
     for (var property in record) {
         if (property.toLowerCase() === idPropertyName.toLowerCase()) {
             return record[property];
@@ -113,11 +128,14 @@ function getId(record) {
 
 /**
  * Checks if property is an ID property.
+ * @param property The property name
+ * @param [idPropertyName] Name of the ID property. Defaults to id.
  */
-function isId(property) {
+function isId(property, idPropertyName) {
     Validate.isString(property);
     Validate.notNullOrEmpty(property);
 
+    idPropertyName = idPropertyName || defaultIdPropertyName;
     return property.toLowerCase() === idPropertyName.toLowerCase();
 }
 
@@ -126,6 +144,7 @@ module.exports = {
     getColumnName: getColumnName,
     getColumnType: getColumnType,
     getId: getId,
+    getIdPropertyName: getIdPropertyName,
     getTableDefinition: getTableDefinition,
     isId: isId,
     validateTableDefinition: validateTableDefinition
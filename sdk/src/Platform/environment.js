@@ -8,11 +8,14 @@
  * Gets details of the target
  * @private
  * 
- * @return 'Cordova', 'Web' or 'Unknown'
+ * @return 'Cordova', 'Node', 'Web' or 'Unknown'
  */
 exports.getTarget = function() {
     if (typeof global !== 'undefined' && global.cordova && global.cordova.version) {
         return 'Cordova';
+    } else if (typeof process !== 'undefined' && process.versions && process.versions.node && typeof global.XMLHttpRequest === 'undefined') {
+        // Browserify's process shim does not define process.versions.node
+        return 'Node';
     } else if (typeof global !== 'undefined') {
         return 'Web';
     } else {
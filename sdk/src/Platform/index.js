@@ -6,6 +6,8 @@ var target = require('./environment').getTarget();
 
 if (target === 'Cordova') {
     module.exports = require('./cordova');
+} else if (target === 'Node') {
+    module.exports = require('./node');
 } else if (target === 'Web') {
     module.exports = require('./web');
 } else {
@@ -0,0 +1,114 @@
+// ----------------------------------------------------------------------------
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// ----------------------------------------------------------------------------
+
+/**
+ * Defines Node.js implementation of target independent APIs.
+ * The browser implementation is reused for everything that is runtime agnostic, like
+ * async, JSON conversion and resources. Web requests, settings and environment details
+ * are specific to Node.js and are defined here.
+ */
+
+var fs = require('fs'),
+    os = require('os'),
+    path = require('path'),
+    browserExports = require('../web'),
+    version = require('../../../../package.json').version,
+    transport = require('../../Transports/NodeHttpTransport');
+
+// Settings are persisted to this file. The location can be changed using an environment variable.
+var settingsFilePath = process.env.AZURE_MOBILE_APPS_SETTINGS_FILE || path.join(os.homedir(), '.azure-mobile-apps-client.json'),
+    settings;
+
+// Add each export individually to module.exports instead of
+// simply returning browserExports to work around a limitation / bug
+// in browserify's cyclic dependency handling
+for (var i in browserExports) {
+    exports[i] = browserExports[i];
+}
+
+exports.readSetting = function readSetting(name) {
+    /// <summary>
+    /// Read a setting from a global configuration store.
+    /// </summary>
+    /// <param name="name" type="String">
+    /// Name of the setting to read.
+    /// </param>
+    /// <returns type="String" mayBeNull="true">
+    /// The value of the setting or null if not set.
+    /// </returns>
+
+    return loadSettings()[name];
+};
+
+exports.writeSetting = function writeSetting(name, value) {
+    /// <summary>
+    /// Write a setting to a global configuration store.
+    /// </summary>
+    /// <param name="name" type="String">
+    /// Name of the setting to write.
+    /// </param>
+    /// <param name="value" type="String" mayBeNull="true">
+    /// The value of the setting.
+    /// </returns>
+
+    loadSettings()[name] = value;
+
+    try {
+        fs.writeFileSync(settingsFilePath, JSON.stringify(settings));
+    } catch (e) {
+        // The settings file is not writable. Continue with the in-memory value.
+    }
+};
+
+exports.webRequest = function (request, callback) {
+    /// <summary>
+    /// Make a web request.
+    /// </summary>
+    /// <param name="request" type="Object">
+    /// Object describing the request (in the WinJS.xhr format).
+    /// </param>
+    /// <param name="callback" type="Function">
+    /// The callback to execute when the request completes.
+    /// </param>
+
+    return transport.performRequest(request, callback);
+};
+
+exports.getUserAgent = function () {
+    // Unlike browsers, Node.js allows setting the user-agent.
+    return 'azure-mobile-apps-client/' + version + ' Node.js/' + process.version + ' (' + os.type() + ' ' + os.release() + '; ' + os.arch() + ')';
+};
+
+exports.getOperatingSystemInfo = function () {
+    return {
+        name: os.type(),
+        version: os.release(),
+        architecture: os.arch()
+    };
+};
+
+exports.login = function (startUri, endUri, callback) {
+    // There is no UI to host the server flow in. Only client flow (login with a provider token)
+    // and overrideLoginWithBearerToken are supported.
+    callback('Server flow login is not supported in Node.js. Log in with a provider token instead.', null);
+};
+
+exports.sdkExports = require('./sdkExports');
+
+// Lazily loads the settings from the settings file
+function loadSettings() {
+    if (!settings) {
+        try {
+            settings = JSON.parse(fs.readFileSync(settingsFilePath, 'utf8'));
+        } catch (e) {
+            // The settings file does not exist yet or is corrupt. Start with empty settings.
+        }
+
+        if (!settings || typeof settings !== 'object') {
+            settings = {};
+        }
+    }
+
+    return settings;
+}
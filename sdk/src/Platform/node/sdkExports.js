@@ -0,0 +1,8 @@
+// ----------------------------------------------------------------------------
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// ----------------------------------------------------------------------------
+
+// Node.js specific modules that need to be exposed outside the SDK
+module.exports = {
+    // None as of now.
+};
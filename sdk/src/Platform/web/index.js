@@ -8,6 +8,7 @@
 var _ = require('../../Utilities/Extensions'),
     Validate = require('../../Utilities/Validate'),
     Promises = require('../../Utilities/Promises'),
+    errors = require('../../errors'),
     version = require('../../../../package.json').version,
     resources = require('../../resources.json'),
     environment = require('../environment'),
@@ -24,6 +25,7 @@ try {
 
 var bestAvailableTransport = null;
 var knownTransports = [ // In order of preference
+    require('../../Transports/FetchTransport'),
     require('../../Transports/DirectAjaxTransport'),
     require('../../Transports/IframeTransport')
 ];
@@ -78,8 +80,8 @@ exports.async = function async(func) {
                 func.apply(that, args);
             } catch (ex) {
                 // Thread any immediate errors like parameter validation
-                // through the the callback
-                callback(_.createError(ex));
+                // through the the callback. Validation failures are thrown as messages.
+                callback(_.isString(ex) ? new errors.ValidationError(ex) : _.createError(ex));
             }
         });
     };
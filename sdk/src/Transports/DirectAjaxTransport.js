@@ -6,6 +6,8 @@
 
 // This transport is for modern browsers - it uses XMLHttpRequest with Cross-Origin Resource Sharing (CORS)
 
+var createAbortError = require('./transportHelper').createAbortError;
+
 exports.name = "DirectAjaxTransport";
 
 exports.supportsCurrentRuntime = function () {
@@ -24,6 +26,8 @@ exports.performRequest = function (request, callback) {
     /// </summary>
     /// <param name="request" type="Object">
     /// Object describing the request (in the WinJS.xhr format).
+    /// Optionally, request.signal can specify an AbortSignal for cancelling the request
+    /// and request.timeout can specify the number of milliseconds after which the request will be aborted.
     /// </param>
     /// <param name="callback" type="Function">
     /// The callback to execute when the request completes.
@@ -32,14 +36,41 @@ exports.performRequest = function (request, callback) {
     var headers = request.headers || {},
         url = request.url.replace(/#.*$/, ""), // Strip hash part of URL for consistency across browsers
         httpMethod = request.type ? request.type.toUpperCase() : "GET",
-        xhr = new global.XMLHttpRequest();
+        xhr = new global.XMLHttpRequest(),
+        isTimedOut = false,
+        isAborted = false,
+        timeoutId;
+
+    var abort = function () {
+        isAborted = true;
+        xhr.abort(); // This will invoke onreadystatechange
+    };
 
     xhr.onreadystatechange = function () {
         if (xhr.readyState === 4) {
-            callback(null, xhr);
+            if (timeoutId) {
+                clearTimeout(timeoutId);
+            }
+            if (request.signal && request.signal.removeEventListener) {
+                request.signal.removeEventListener('abort', abort);
+            }
+
+            if (isAborted) {
+                callback(createAbortError(isTimedOut), null);
+            } else {
+                callback(null, xhr);
+            }
         }
     };
 
+    // Hook up cancellation
+    if (request.signal) {
+        if (request.signal.aborted) {
+            return callback(createAbortError(false), null);
+        }
+        request.signal.addEventListener('abort', abort);
+    }
+
     xhr.open(httpMethod, url);
 
     for (var key in headers) {
@@ -48,5 +79,12 @@ exports.performRequest = function (request, callback) {
         }
     }
 
+    if (request.timeout > 0) {
+        timeoutId = setTimeout(function () {
+            isTimedOut = true;
+            abort();
+        }, request.timeout);
+    }
+
     xhr.send(request.data);
 };
\ No newline at end of file
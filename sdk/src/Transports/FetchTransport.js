@@ -0,0 +1,147 @@
+// ----------------------------------------------------------------------------
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// ----------------------------------------------------------------------------
+
+// This transport is for modern browsers that support the fetch API.
+// The response body is streamed when the runtime supports it, and the request can be cancelled
+// using an AbortSignal (request.signal) or a timeout in milliseconds (request.timeout).
+// The response is exposed through an XMLHttpRequest-like object so that the rest of the SDK
+// can treat it the same way as the responses returned by the other transports.
+
+var createAbortError = require('./transportHelper').createAbortError,
+    createResponse = require('./transportHelper').createResponse;
+
+exports.name = "FetchTransport";
+
+exports.supportsCurrentRuntime = function () {
+    /// <summary>
+    /// Determines whether or not this transport is usable in the current runtime.
+    /// </summary>
+
+    return typeof global.fetch === "function";
+};
+
+exports.performRequest = function (request, callback) {
+    /// <summary>
+    /// Make a web request.
+    /// </summary>
+    /// <param name="request" type="Object">
+    /// Object describing the request (in the WinJS.xhr format).
+    /// Optionally, request.signal can specify an AbortSignal for cancelling the request
+    /// and request.timeout can specify the number of milliseconds after which the request will be aborted.
+    /// </param>
+    /// <param name="callback" type="Function">
+    /// The callback to execute when the request completes.
+    /// </param>
+
+    var headers = request.headers || {},
+        url = request.url.replace(/#.*$/, ""), // Strip hash part of URL for consistency across browsers
+        httpMethod = request.type ? request.type.toUpperCase() : "GET",
+        controller = typeof global.AbortController === "function" ? new global.AbortController() : null,
+        isComplete = false,
+        isTimedOut = false,
+        timeoutId,
+        fetchHeaders = {};
+
+    var complete = function (error, response) {
+        if (isComplete) {
+            return;
+        }
+        isComplete = true;
+
+        if (timeoutId) {
+            clearTimeout(timeoutId);
+        }
+        if (request.signal && request.signal.removeEventListener) {
+            request.signal.removeEventListener('abort', abort);
+        }
+
+        callback(error, response);
+    };
+
+    var abort = function () {
+        if (controller) {
+            controller.abort();
+        }
+        complete(createAbortError(isTimedOut), null);
+    };
+
+    for (var key in headers) {
+        if (headers.hasOwnProperty(key)) {
+            fetchHeaders[key] = headers[key];
+        }
+    }
+
+    // Hook up cancellation
+    if (request.signal) {
+        if (request.signal.aborted) {
+            return complete(createAbortError(false), null);
+        }
+        request.signal.addEventListener('abort', abort);
+    }
+    if (request.timeout > 0) {
+        timeoutId = setTimeout(function () {
+            isTimedOut = true;
+            abort();
+        }, request.timeout);
+    }
+
+    var init = {
+        method: httpMethod,
+        headers: fetchHeaders
+    };
+    if (request.data !== null && request.data !== undefined) {
+        init.body = request.data;
+    }
+    if (controller) {
+        init.signal = controller.signal;
+    }
+
+    global.fetch(url, init).then(function (fetchResponse) {
+        return readBody(fetchResponse).then(function (responseText) {
+            complete(null, createResponse(fetchResponse.status, fetchResponse.statusText, getHeaders(fetchResponse), responseText));
+        });
+    }).then(undefined, function (error) {
+        // Like XMLHttpRequest, a connection failure is reported as a response with status 0.
+        // If the request was aborted, this has no effect as abort() has already reported it.
+        complete(null, createResponse(0, '', {}, ''));
+    });
+};
+
+function readBody(fetchResponse) {
+    /// <summary>
+    /// Reads the response body as text, streaming it chunk by chunk if the runtime supports it.
+    /// </summary>
+
+    if (!fetchResponse.body || typeof fetchResponse.body.getReader !== "function" || typeof global.TextDecoder !== "function") {
+        return fetchResponse.text();
+    }
+
+    var reader = fetchResponse.body.getReader(),
+        decoder = new global.TextDecoder('utf-8'),
+        text = '';
+
+    var readChunk = function () {
+        return reader.read().then(function (result) {
+            if (result.done) {
+                return text + decoder.decode();
+            }
+            text += decoder.decode(result.value, { stream: true });
+            return readChunk();
+        });
+    };
+
+    return readChunk();
+}
+
+function getHeaders(fetchResponse) {
+    /// <summary>
+    /// Copies the headers of a fetch response into an object.
+    /// </summary>
+
+    var headers = {};
+    fetchResponse.headers.forEach(function (value, name) {
+        headers[name] = value;
+    });
+    return headers;
+}
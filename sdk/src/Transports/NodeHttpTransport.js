@@ -0,0 +1,134 @@
+// ----------------------------------------------------------------------------
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// ----------------------------------------------------------------------------
+
+// This transport is for Node.js - it uses the built-in http / https modules.
+// The response is exposed through an XMLHttpRequest-like object so that the rest of the SDK
+// can treat it the same way as the responses returned by the browser transports.
+
+var url = require('url'),
+    createAbortError = require('./transportHelper').createAbortError,
+    createResponse = require('./transportHelper').createResponse;
+
+exports.name = "NodeHttpTransport";
+
+exports.supportsCurrentRuntime = function () {
+    /// <summary>
+    /// Determines whether or not this transport is usable in the current runtime.
+    /// </summary>
+
+    return typeof process !== 'undefined' && !!process.versions && !!process.versions.node;
+};
+
+exports.performRequest = function (request, callback) {
+    /// <summary>
+    /// Make a web request.
+    /// </summary>
+    /// <param name="request" type="Object">
+    /// Object describing the request (in the WinJS.xhr format).
+    /// Optionally, request.signal can specify an AbortSignal for cancelling the request
+    /// and request.timeout can specify the number of milliseconds after which the request will be aborted.
+    /// </param>
+    /// <param name="callback" type="Function">
+    /// The callback to execute when the request completes.
+    /// </param>
+
+    var headers = request.headers || {},
+        requestUrl = url.parse(request.url.replace(/#.*$/, "")), // Strip hash part of URL for consistency with the other transports
+        httpMethod = request.type ? request.type.toUpperCase() : "GET",
+        httpModule = requestUrl.protocol === 'https:' ? require('https') : require('http'),
+        isComplete = false,
+        timeoutId,
+        req,
+        options = {
+            method: httpMethod,
+            protocol: requestUrl.protocol,
+            hostname: requestUrl.hostname,
+            port: requestUrl.port,
+            path: requestUrl.path,
+            headers: {}
+        };
+
+    for (var key in headers) {
+        if (headers.hasOwnProperty(key)) {
+            options.headers[key] = headers[key];
+        }
+    }
+
+    if (request.data !== null && request.data !== undefined) {
+        options.headers['Content-Length'] = Buffer.byteLength(request.data);
+    }
+
+    var complete = function (error, response) {
+        // Guard against completing the request more than once, e.g. an error after the request is aborted
+        if (isComplete) {
+            return;
+        }
+        isComplete = true;
+
+        if (timeoutId) {
+            clearTimeout(timeoutId);
+        }
+        if (request.signal && request.signal.removeEventListener) {
+            request.signal.removeEventListener('abort', abort);
+        }
+
+        callback(error, response);
+    };
+
+    var fail = function () {
+        // Like XMLHttpRequest, a connection failure is reported as a response with status 0
+        complete(null, createResponse(0, '', {}, ''));
+    };
+
+    var abort = function (isTimedOut) {
+        complete(createAbortError(isTimedOut === true), null);
+        req.abort();
+    };
+
+    // Hook up cancellation
+    if (request.signal) {
+        if (request.signal.aborted) {
+            return complete(createAbortError(false), null);
+        }
+        request.signal.addEventListener('abort', abort);
+    }
+
+    req = httpModule.request(options, function (res) {
+        var chunks = [];
+
+        res.on('data', function (chunk) {
+            chunks.push(chunk);
+        });
+
+        res.on('end', function () {
+            if (!res.complete) {
+                return fail();
+            }
+            complete(null, createResponse(res.statusCode, res.statusMessage, res.headers, Buffer.concat(chunks).toString('utf8')));
+        });
+
+        // The connection can be dropped after the headers are received, before the whole body is
+        res.on('aborted', fail);
+        res.on('error', fail);
+        res.on('close', function () {
+            if (!res.complete) {
+                fail();
+            }
+        });
+    });
+
+    req.on('error', fail);
+
+    if (request.timeout > 0) {
+        timeoutId = setTimeout(function () {
+            abort(true);
+        }, request.timeout);
+    }
+
+    if (request.data !== null && request.data !== undefined) {
+        req.write(request.data);
+    }
+
+    req.end();
+};
@@ -0,0 +1,216 @@
+// ----------------------------------------------------------------------------
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// ----------------------------------------------------------------------------
+
+/**
+ * @file Transports that record request / response exchanges to a JSON fixture and replay them later.
+ *
+ * The fixture has the same shape as the log of a HAR file:
+ * { log: { version: '1.2', entries: [ { request: { method, url, headers, postData }, response: { status, statusText, headers, content } } ] } }
+ * Requests that fail without a response, e.g. because they time out, are recorded with an `error` instead of a `response`.
+ */
+
+var Validate = require('../Utilities/Validate'),
+    Platform = require('../Platform'),
+    _ = require('../Utilities/Extensions'),
+    transportHelper = require('./transportHelper'),
+    createAbortError = transportHelper.createAbortError;
+
+var fixtureVersion = '1.2',
+    defaultRedactedHeaders = ['X-ZUMO-AUTH', 'Authorization'],
+    redactedValue = '[REDACTED]';
+
+/**
+ * Creates a transport that sends requests using another transport and records each exchange.
+ * The transport can be used with the `transport` option of {@link MobileServiceClient}.
+ *
+ * @param {object} [options] Recording options
+ * @param {object} [options.transport] The transport used to send the requests. Defaults to the transport of the current platform.
+ * @param {string[]} [options.redactedHeaders] Names of the request headers whose values are not recorded.
+ *                                             Defaults to X-ZUMO-AUTH and Authorization.
+ *
+ * @returns An object with a performRequest(request, callback) method, like the other transports, and a getFixture() method
+ *          that returns the exchanges recorded so far as an object that can be serialized using JSON.stringify
+ */
+function createRecordingTransport(options) {
+    if (!_.isNull(options)) {
+        Validate.isObject(options, 'options');
+    }
+    options = options || {};
+
+    var transport = options.transport || null,
+        redactedHeaders = options.redactedHeaders || defaultRedactedHeaders,
+        entries = [];
+
+    if (!_.isNull(transport)) {
+        Validate.isObject(transport, 'transport');
+        Validate.isFunction(transport.performRequest, 'transport.performRequest');
+    }
+    Validate.isArray(redactedHeaders, 'redactedHeaders');
+
+    redactedHeaders = redactedHeaders.map(function (name) {
+        Validate.isString(name, 'redactedHeaders');
+        return name.toLowerCase();
+    });
+
+    return {
+        name: 'RecordingTransport',
+        supportsCurrentRuntime: function () {
+            return true;
+        },
+        performRequest: function (request, callback) {
+            var entry = {
+                request: {
+                    method: getMethod(request),
+                    url: request.url,
+                    headers: getRequestHeaders(request.headers, redactedHeaders),
+                    postData: _.isNull(request.data) ? null : { text: request.data }
+                }
+            };
+
+            var send = transport ? transport.performRequest.bind(transport) : Platform.webRequest;
+            send(request, function (error, response) {
+                if (!_.isNull(error)) {
+                    entry.error = { name: error.name, message: error.message };
+                } else {
+                    entry.response = {
+                        status: response.status,
+                        statusText: response.statusText || '',
+                        headers: getResponseHeaders(response),
+                        content: { text: _.isNull(response.responseText) ? null : response.responseText }
+                    };
+                }
+                entries.push(entry);
+
+                callback(error, response);
+            });
+        },
+        getFixture: function () {
+            return {
+                log: {
+                    version: fixtureVersion,
+                    entries: JSON.parse(JSON.stringify(entries))
+                }
+            };
+        }
+    };
+}
+
+/**
+ * Creates a transport that responds to requests with the responses recorded in a fixture, without sending them.
+ * The transport can be used with the `transport` option of {@link MobileServiceClient}.
+ *
+ * A request is matched with a recorded request that has the same method, URL and body. Each recorded exchange is replayed
+ * once, in the order it was recorded, so that a request sent more than once can get a different response each time.
+ * A request that does not match any of the remaining recorded requests fails.
+ *
+ * @param {object|string} fixture The fixture returned by the getFixture() method of a recording transport, or its JSON representation.
+ *
+ * @returns An object with a performRequest(request, callback) method, like the other transports, and a getRemainingEntries() method
+ *          that returns the recorded exchanges that have not been replayed yet
+ */
+function createReplayTransport(fixture) {
+    if (_.isString(fixture)) {
+        fixture = _.fromJson(fixture);
+    }
+
+    if (!_.isObject(fixture) || !_.isObject(fixture.log) || !Array.isArray(fixture.log.entries)) {
+        throw Platform.getResourceString("RecordReplayTransport_InvalidFixture");
+    }
+
+    var entries = fixture.log.entries.slice();
+
+    return {
+        name: 'ReplayTransport',
+        supportsCurrentRuntime: function () {
+            return true;
+        },
+        performRequest: function (request, callback) {
+            var method = getMethod(request),
+                index = findEntry(entries, method, request.url, request.data),
+                entry = index >= 0 ? entries.splice(index, 1)[0] : null;
+
+            // Complete asynchronously, like a real transport
+            setTimeout(function () {
+                if (request.signal && request.signal.aborted) {
+                    callback(createAbortError(false), null);
+                } else if (!entry) {
+                    callback(new Error(_.format(Platform.getResourceString("RecordReplayTransport_NoRecordedResponse"), method, request.url)), null);
+                } else if (entry.error) {
+                    var error = new Error(entry.error.message);
+                    error.name = entry.error.name;
+                    callback(error, null);
+                } else {
+                    callback(null, createRecordedResponse(entry.response));
+                }
+            }, 0);
+        },
+        getRemainingEntries: function () {
+            return entries.slice();
+        }
+    };
+}
+
+// Finds the index of the first entry whose request matches the specified method, URL and body
+function findEntry(entries, method, url, data) {
+    for (var i = 0; i < entries.length; i++) {
+        var recorded = entries[i].request,
+            recordedData = recorded.postData ? recorded.postData.text : null;
+
+        if (recorded.method === method && recorded.url === url && isSameBody(recordedData, data)) {
+            return i;
+        }
+    }
+    return -1;
+}
+
+function isSameBody(recordedData, data) {
+    if (_.isNullOrEmpty(recordedData) || _.isNullOrEmpty(data)) {
+        return _.isNullOrEmpty(recordedData) && _.isNullOrEmpty(data);
+    }
+    return recordedData === data;
+}
+
+function getMethod(request) {
+    return request.type ? request.type.toUpperCase() : 'GET';
+}
+
+function getRequestHeaders(headers, redactedHeaders) {
+    var result = [];
+    for (var name in headers) {
+        if (headers.hasOwnProperty(name)) {
+            result.push({
+                name: name,
+                value: redactedHeaders.indexOf(name.toLowerCase()) >= 0 ? redactedValue : String(headers[name])
+            });
+        }
+    }
+    return result;
+}
+
+// Gets the response headers in the format of the fixture
+function getResponseHeaders(response) {
+    var headers = transportHelper.getResponseHeaders(response);
+
+    return Object.keys(headers).map(function (name) {
+        return { name: name, value: headers[name] };
+    });
+}
+
+// Creates an XMLHttpRequest-like response from a recorded response
+function createRecordedResponse(recorded) {
+    var headers = {};
+
+    (recorded.headers || []).forEach(function (header) {
+        if (headers.hasOwnProperty(header.name)) {
+            headers[header.name] = [].concat(headers[header.name], header.value);
+        } else {
+            headers[header.name] = header.value;
+        }
+    });
+
+    return transportHelper.createResponse(recorded.status, recorded.statusText, headers, recorded.content ? recorded.content.text : null);
+}
+
+exports.createRecordingTransport = createRecordingTransport;
+exports.createReplayTransport = createReplayTransport;
@@ -0,0 +1,94 @@
+// ----------------------------------------------------------------------------
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// ----------------------------------------------------------------------------
+
+/**
+ * @file Helper functions shared by the transports
+ */
+
+/**
+ * Creates the error that a transport reports when a request is aborted.
+ * The error names match the corresponding DOM exceptions so that the rest of the SDK
+ * can recognize them irrespective of the transport.
+ * 
+ * @param isTimedOut true if the request was aborted because it timed out, false if it was cancelled.
+ */
+function createAbortError(isTimedOut) {
+    var error = new Error(isTimedOut ? 'The request timed out.' : 'The request was aborted.');
+    error.name = isTimedOut ? 'TimeoutError' : 'AbortError';
+    return error;
+}
+
+/**
+ * Creates an object that exposes the subset of the XMLHttpRequest interface used by the SDK.
+ * 
+ * @param status HTTP status code of the response. 0 reports a connection failure, like XMLHttpRequest does.
+ * @param statusText HTTP status text of the response
+ * @param headers Response headers, as an object whose keys are the header names. Names are matched case insensitively
+ *                and the values of headers that are repeated can be specified as an array.
+ * @param responseText The response body
+ */
+function createResponse(status, statusText, headers, responseText) {
+    headers = headers || {};
+
+    return {
+        readyState: 4,
+        status: status,
+        statusText: statusText || '',
+        responseText: responseText,
+        getResponseHeader: function (name) {
+            return findHeader(headers, name);
+        },
+        getAllResponseHeaders: function () {
+            return Object.keys(headers).map(function (name) {
+                return name + ': ' + formatHeaderValue(headers[name]);
+            }).join('\r\n');
+        }
+    };
+}
+
+/**
+ * Gets the headers of an XMLHttpRequest-like response, using getAllResponseHeaders() if the response supports it.
+ * 
+ * @param response The response
+ * @returns The headers as an object whose keys are the header names, in the case used by the response
+ */
+function getResponseHeaders(response) {
+    var headers = {},
+        allHeaders = typeof response.getAllResponseHeaders === 'function' ? response.getAllResponseHeaders() : null;
+
+    (allHeaders || '').split(/\r?\n/).forEach(function (line) {
+        var separator = line.indexOf(':');
+        if (separator > 0) {
+            headers[line.substring(0, separator).trim()] = line.substring(separator + 1).trim();
+        }
+    });
+
+    return headers;
+}
+
+/**
+ * Finds the value of a header, matching its name case insensitively.
+ * 
+ * @param headers The headers, as an object whose keys are the header names
+ * @param name Name of the header
+ * @returns The value of the header, or null if there is no such header
+ */
+function findHeader(headers, name) {
+    name = name.toLowerCase();
+    for (var header in headers) {
+        if (headers.hasOwnProperty(header) && header.toLowerCase() === name && headers[header] !== undefined && headers[header] !== null) {
+            return formatHeaderValue(headers[header]);
+        }
+    }
+    return null;
+}
+
+function formatHeaderValue(value) {
+    return Array.isArray(value) ? value.join(', ') : String(value);
+}
+
+exports.createAbortError = createAbortError;
+exports.createResponse = createResponse;
+exports.getResponseHeaders = getResponseHeaders;
+exports.findHeader = findHeader;
@@ -7,6 +7,7 @@
 
 var Validate = require('./Validate');
 var Platform = require('../Platform');
+var errors = require('../errors');
 var _ = exports;
 
 exports.isNull = function (value) {
@@ -137,6 +138,28 @@ exports.extend = function extend(target, members) {
     return target;
 };
 
+exports.mergeHeaders = function (target, headers) {
+    /// <summary>
+    /// Copies the headers to the target, replacing any headers of the target
+    /// with the same name regardless of the case of the name.
+    /// </summary>
+    /// <param name="target" type="Object">The headers to merge into.</param>
+    /// <param name="headers" type="Object">The headers to merge.</param>
+    /// <returns type="Object">The target object with the merged headers.
+    /// </returns>
+
+    var targetNames = Object.keys(target);
+    Object.keys(headers || {}).forEach(function (name) {
+        targetNames.forEach(function (targetName) {
+            if (targetName !== name && targetName.toLowerCase() === name.toLowerCase()) {
+                delete target[targetName];
+            }
+        });
+        target[name] = headers[name];
+    });
+    return target;
+};
+
 exports.isObject = function (value) {
     /// <summary>
     /// Determine if a value is an object.
@@ -565,6 +588,40 @@ exports.tryParseIsoDateString = function (text) {
     return Platform.tryParseIsoDateString(text);
 };
 
+exports.clientAsync = function (func, getClient) {
+    /// <summary>
+    /// Wrap a function that takes a callback into a function that returns a
+    /// promise, like Platform.async, using the promise implementation that
+    /// is configured for the MobileServiceClient, if any.
+    /// </summary>
+    /// <param name="func" type="Function">
+    /// An async function with a callback as its last parameter
+    /// </param>
+    /// <param name="getClient" type="Function">
+    /// Function that returns the MobileServiceClient given the context of
+    /// the call
+    /// </param>
+    /// <returns type="Function">
+    /// Function that when invoked will return a promise.
+    /// </returns>
+
+    var asyncFunc = Platform.async(func);
+
+    return function () {
+        var promise = asyncFunc.apply(this, arguments),
+            client = getClient(this),
+            PromiseImplementation = client && client._promiseImplementation;
+
+        if (!PromiseImplementation) {
+            return promise;
+        }
+
+        return new PromiseImplementation(function (resolve, reject) {
+            promise.then(resolve, reject);
+        });
+    };
+};
+
 exports.createError = function (exceptionOrMessage, request) {
     /// <summary>
     /// Wrap an error thrown as an exception.
@@ -575,59 +632,97 @@ exports.createError = function (exceptionOrMessage, request) {
     /// <param name="request">
     /// The failing request.
     /// </param>
-    /// <returns>An object with error details</returns>
+    /// <returns type="MobileServiceError">
+    /// A MobileServiceError, or one of its derived types, with error details
+    /// </returns>
 
-    // Create an error object to return
-    var error = { message: Platform.getResourceString("Extensions_DefaultErrorMessage") };
-    error.toString = function () {
-        return error.message;
-    };
+    var error,
+        message = Platform.getResourceString("Extensions_DefaultErrorMessage");
 
     if (request) {
-        error.request = request;
         if (request.status === 0) {
             // Provide a more helpful message for connection failures
-            error.message = Platform.getResourceString("Extensions_ConnectionFailureMessage");
-        } else {
-            // Try to pull out an error message from the response before
-            // defaulting to the status
-            var isText = false;
-            if (request.getResponseHeader) {
-                var contentType = request.getResponseHeader('Content-Type');
-                if (contentType) {
-                    isText = contentType.toLowerCase().indexOf("text") >= 0;
-                }
+            return new errors.NetworkError(Platform.getResourceString("Extensions_ConnectionFailureMessage"), request);
+        }
+
+        // Try to pull out an error message from the response before
+        // defaulting to the status
+        var isText = false;
+        if (request.getResponseHeader) {
+            var contentType = request.getResponseHeader('Content-Type');
+            if (contentType) {
+                isText = contentType.toLowerCase().indexOf("text") >= 0;
             }
+        }
 
-            try {
-                var response = JSON.parse(request.responseText);
-                if (typeof response === 'string') {
-                    error.message = response;
-                } else {
-                    error.message =
-                        response.error ||
-                        response.description ||
-                        request.statusText ||
-                        Platform.getResourceString("Extensions_DefaultErrorMessage");
-                }
-            } catch (ex) {
-                if (isText) {
-                    error.message = request.responseText;
-                } else {
-                    error.message =
-                        request.statusText ||
-                        Platform.getResourceString("Extensions_DefaultErrorMessage");
-                }
+        try {
+            var response = JSON.parse(request.responseText);
+            if (typeof response === 'string') {
+                message = response;
+            } else {
+                message =
+                    response.error ||
+                    response.description ||
+                    request.statusText ||
+                    Platform.getResourceString("Extensions_DefaultErrorMessage");
+            }
+        } catch (ex) {
+            if (isText) {
+                message = request.responseText;
+            } else {
+                message =
+                    request.statusText ||
+                    Platform.getResourceString("Extensions_DefaultErrorMessage");
             }
         }
+
+        switch (request.status) {
+            case 400:
+                return new errors.ValidationError(message, request);
+            case 401:
+            case 403:
+                return new errors.AuthenticationError(message, request);
+            case 409:
+            case 412:
+                // The server returns its version of the record with conflicts
+                return new errors.ConflictError(message, request, getServerInstance(request));
+            default:
+                return new errors.MobileServiceError(message, request);
+        }
+    } else if (exceptionOrMessage instanceof errors.MobileServiceError) {
+        // Already wrapped, e.g. by a filter of another client
+        return exceptionOrMessage;
     } else if (_.isString(exceptionOrMessage) && !_.isNullOrEmpty(exceptionOrMessage)) {
         // If it's a string, just use that as the message
-        error.message = exceptionOrMessage;
+        return new errors.MobileServiceError(exceptionOrMessage);
     } else if (!_.isNull(exceptionOrMessage)) {
         // Otherwise we'll use the object as an exception and leave the
-        // default error message
+        // default error message.
+        // Transports report timed out and aborted requests using errors named like the DOM exceptions
+        if (exceptionOrMessage.name === 'TimeoutError') {
+            error = new errors.TimeoutError(Platform.getResourceString("Extensions_TimeoutMessage"));
+        } else if (exceptionOrMessage.name === 'AbortError') {
+            error = new errors.CancellationError(Platform.getResourceString("Extensions_AbortedMessage"));
+        } else {
+            error = new errors.MobileServiceError(message);
+        }
         error.exception = exceptionOrMessage;
+        return error;
     }
 
-    return error;
-};
\ No newline at end of file
+    return new errors.MobileServiceError(message);
+};
+
+function getServerInstance(request) {
+    /// <summary>
+    /// Get the server version of the record from a conflict response.
+    /// </summary>
+    /// <returns>The record or null if the response doesn't contain one</returns>
+
+    try {
+        var serverInstance = _.fromJson(request.responseText);
+        return _.isObject(serverInstance) && !Array.isArray(serverInstance) ? serverInstance : null;
+    } catch (ex) {
+        return null;
+    }
+}
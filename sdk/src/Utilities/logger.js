@@ -0,0 +1,101 @@
+// ----------------------------------------------------------------------------
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// ----------------------------------------------------------------------------
+
+/**
+ * @file Logging of structured events to a pluggable logger, like console
+ */
+
+var Validate = require('./Validate'),
+    Platform = require('../Platform'),
+    _ = require('./Extensions');
+
+var levels = ['debug', 'info', 'warn', 'error', 'none'],
+    defaultLevel = 'info',
+    defaultRedactedHeaders = ['X-ZUMO-AUTH', 'Authorization'],
+    redactedValue = '[REDACTED]';
+
+/**
+ * Creates a logger that forwards events of the configured level and above to the specified logger.
+ *
+ * @param {object} [options] Logging options
+ * @param {object} [options.logger] The logger to forward events to. It can have a method for each level, i.e. debug, info,
+ *                                  warn and error, which is invoked with a message and an event object. Missing methods are
+ *                                  ignored, so `console` can be used as a logger. If not specified, nothing is logged.
+ * @param {string} [options.logLevel] The minimum level of the events to log: 'debug', 'info', 'warn', 'error' or 'none'.
+ *                                    Defaults to 'info'.
+ * @param {string[]} [options.redactedHeaders] Names of the headers whose values are redacted from logged events.
+ *                                             Defaults to X-ZUMO-AUTH and Authorization.
+ *
+ * @returns An object with debug, info, warn and error methods, each accepting a message and an event object.
+ */
+function createLogger(options) {
+    options = options || {};
+
+    var logger = options.logger || null,
+        level = options.logLevel || defaultLevel,
+        redactedHeaders = options.redactedHeaders || defaultRedactedHeaders;
+
+    if (!_.isNull(logger)) {
+        Validate.isObject(logger, 'logger');
+    }
+    Validate.isString(level, 'logLevel');
+    if (levels.indexOf(level) < 0) {
+        throw _.format(Platform.getResourceString("Logger_InvalidLogLevel"), level, levels.join(', '));
+    }
+    Validate.isArray(redactedHeaders, 'redactedHeaders');
+
+    var lowerCaseRedactedHeaders = redactedHeaders.map(function (name) {
+        Validate.isString(name, 'redactedHeaders');
+        return name.toLowerCase();
+    });
+
+    return {
+        logger: logger,
+        logLevel: level,
+        redactedHeaders: redactedHeaders,
+        isEnabled: isEnabled,
+        redactHeaders: redactHeaders,
+        debug: createLogMethod('debug'),
+        info: createLogMethod('info'),
+        warn: createLogMethod('warn'),
+        error: createLogMethod('error')
+    };
+
+    /**
+     * Checks if events of the specified level are logged
+     */
+    function isEnabled(eventLevel) {
+        return !!logger && levels.indexOf(eventLevel) >= levels.indexOf(level);
+    }
+
+    /**
+     * Creates a copy of the headers with the values of sensitive headers redacted
+     */
+    function redactHeaders(headers) {
+        var result = {};
+        for (var name in headers) {
+            if (headers.hasOwnProperty(name)) {
+                result[name] = lowerCaseRedactedHeaders.indexOf(name.toLowerCase()) >= 0 ? redactedValue : headers[name];
+            }
+        }
+        return result;
+    }
+
+    function createLogMethod(eventLevel) {
+        return function (message, event) {
+            if (!isEnabled(eventLevel) || typeof logger[eventLevel] !== 'function') {
+                return;
+            }
+
+            event = _.extend({ level: eventLevel, timestamp: new Date() }, event);
+            try {
+                logger[eventLevel](message, event);
+            } catch (ex) {
+                // A failing logger must not fail the operation being logged
+            }
+        };
+    }
+}
+
+exports.createLogger = createLogger;
@@ -0,0 +1,183 @@
+// ----------------------------------------------------------------------------
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// ----------------------------------------------------------------------------
+
+/**
+ * @file Error types used to report failed operations
+ */
+
+/**
+ * Base class of the errors reported by the SDK.
+ *
+ * For backward compatibility with the plain error objects reported by earlier versions of the SDK,
+ * the failed response is also available as `request`, and `toString()` returns the error message.
+ *
+ * @class
+ * @param {string} message Error message
+ * @param {object} [response] The XMLHttpRequest-like response of the failed request, if any
+ * @param {string} [code] Machine readable error code. Defaults to 'RequestFailed'
+ * @property {string} name Name of the error type
+ * @property {string} message Error message
+ * @property {string} code Machine readable error code
+ * @property {number} status HTTP status code of the failed request, or null if there isn't a response
+ * @property {object} response The XMLHttpRequest-like response of the failed request, or null if there isn't a response
+ * @property {object} request Same as `response`. Retained for backward compatibility
+ */
+function MobileServiceError(message, response, code) {
+    this.name = 'MobileServiceError';
+    this.message = message;
+    this.code = code || 'RequestFailed';
+    this.response = response || null;
+    this.request = this.response;
+    this.status = response ? response.status : null;
+
+    if (Error.captureStackTrace) {
+        Error.captureStackTrace(this, this.constructor);
+    } else {
+        this.stack = (new Error(message)).stack;
+    }
+}
+
+inherit(MobileServiceError, Error);
+
+MobileServiceError.prototype.toString = function () {
+    return this.message;
+};
+
+/**
+ * Error reported when the server could not be reached.
+ *
+ * @class
+ * @extends MobileServiceError
+ * @param {string} message Error message
+ * @param {object} [response] The XMLHttpRequest-like response of the failed request, if any
+ */
+function NetworkError(message, response) {
+    MobileServiceError.call(this, message, response, 'NetworkFailure');
+    this.name = 'NetworkError';
+}
+
+inherit(NetworkError, MobileServiceError);
+
+/**
+ * Error reported when a request does not complete within the configured timeout.
+ *
+ * @class
+ * @extends MobileServiceError
+ * @param {string} message Error message
+ * @property {boolean} isTimeout Always true. Retained for backward compatibility
+ */
+function TimeoutError(message) {
+    MobileServiceError.call(this, message, null, 'Timeout');
+    this.name = 'TimeoutError';
+    this.isTimeout = true;
+}
+
+inherit(TimeoutError, MobileServiceError);
+
+/**
+ * Error reported when a request, a pull or a push is cancelled using an AbortSignal.
+ *
+ * @class
+ * @extends MobileServiceError
+ * @param {string} message Error message
+ * @property {boolean} isAborted Always true. Retained for backward compatibility
+ */
+function CancellationError(message) {
+    MobileServiceError.call(this, message, null, 'Aborted');
+    this.name = 'CancellationError';
+    this.isAborted = true;
+}
+
+inherit(CancellationError, MobileServiceError);
+
+/**
+ * Error reported when the server responds with 409 (Conflict) or 412 (Precondition Failed).
+ *
+ * @class
+ * @extends MobileServiceError
+ * @param {string} message Error message
+ * @param {object} response The XMLHttpRequest-like response of the failed request
+ * @param {object} [serverInstance] The server version of the record, if the server returned it
+ * @property {object} serverInstance The server version of the record, or null if the server did not return it
+ */
+function ConflictError(message, response, serverInstance) {
+    MobileServiceError.call(this, message, response, response && response.status === 412 ? 'PreconditionFailed' : 'Conflict');
+    this.name = 'ConflictError';
+    this.serverInstance = serverInstance || null;
+}
+
+inherit(ConflictError, MobileServiceError);
+
+/**
+ * Error reported when the server responds with 401 (Unauthorized) or 403 (Forbidden).
+ *
+ * @class
+ * @extends MobileServiceError
+ * @param {string} message Error message
+ * @param {object} response The XMLHttpRequest-like response of the failed request
+ */
+function AuthenticationError(message, response) {
+    MobileServiceError.call(this, message, response, response && response.status === 403 ? 'Forbidden' : 'Unauthorized');
+    this.name = 'AuthenticationError';
+}
+
+inherit(AuthenticationError, MobileServiceError);
+
+/**
+ * Error reported when a request is rejected as invalid, either by the SDK before it is sent, e.g. because
+ * an argument or a record is invalid, or by the server with 400 (Bad Request).
+ *
+ * @class
+ * @extends MobileServiceError
+ * @param {string} message Error message
+ * @param {object} [response] The XMLHttpRequest-like response of the failed request, if any
+ * @param {object[]} [validationErrors] The errors found by validating a record against the schema of its table
+ * @property {object[]} validationErrors The errors found by validating a record against the schema of its table,
+ *                                       each with the path of the invalid property and a message. Empty if the
+ *                                       request was not rejected by a schema.
+ */
+function ValidationError(message, response, validationErrors) {
+    MobileServiceError.call(this, message, response, 'BadRequest');
+    this.name = 'ValidationError';
+    this.validationErrors = validationErrors || [];
+}
+
+inherit(ValidationError, MobileServiceError);
+
+/**
+ * Error reported when a pull is not performed because pushing the pending operations of the pulled table
+ * resulted in errors that were not handled by the push handler.
+ *
+ * @class
+ * @extends MobileServiceError
+ * @param {string} message Error message
+ * @param {object[]} conflicts The unhandled push errors
+ * @property {object[]} conflicts The unhandled push errors, see MobileServiceSyncContext#push
+ */
+function PushFailedError(message, conflicts) {
+    MobileServiceError.call(this, message, null, 'PushFailed');
+    this.name = 'PushFailedError';
+    this.conflicts = conflicts || [];
+}
+
+inherit(PushFailedError, MobileServiceError);
+
+function inherit(derived, base) {
+    derived.prototype = Object.create(base.prototype, {
+        constructor: {
+            value: derived,
+            writable: true,
+            configurable: true
+        }
+    });
+}
+
+exports.MobileServiceError = MobileServiceError;
+exports.NetworkError = NetworkError;
+exports.TimeoutError = TimeoutError;
+exports.CancellationError = CancellationError;
+exports.ConflictError = ConflictError;
+exports.AuthenticationError = AuthenticationError;
+exports.ValidationError = ValidationError;
+exports.PushFailedError = PushFailedError;
@@ -2,7 +2,9 @@
 // Copyright (c) Microsoft Corporation. All rights reserved.
 // ----------------------------------------------------------------------------
 
-var _ = require('./Utilities/Extensions');
+var _ = require('./Utilities/Extensions'),
+    errors = require('./errors'),
+    recordReplayTransport = require('./Transports/RecordReplayTransport');
 
 // Modules that need to be exposed outside the SDK for all targets 
 var api = {
@@ -10,7 +12,19 @@ var api = {
     MobileServiceLogin: require('./MobileServiceLogin'),
     MobileServiceSyncTable: require('./sync/MobileServiceSyncTable'),
     MobileServiceTable: require('./MobileServiceTable'),
-    Query: require('azure-query-js').Query
+    Query: require('azure-query-js').Query,
+    createRetryPolicyFilter: require('./Filters/retryPolicyFilter').createRetryPolicyFilter,
+    createETagCacheFilter: require('./Filters/etagCacheFilter').createETagCacheFilter,
+    createRecordingTransport: recordReplayTransport.createRecordingTransport,
+    createReplayTransport: recordReplayTransport.createReplayTransport,
+    MobileServiceError: errors.MobileServiceError,
+    NetworkError: errors.NetworkError,
+    TimeoutError: errors.TimeoutError,
+    CancellationError: errors.CancellationError,
+    ConflictError: errors.ConflictError,
+    AuthenticationError: errors.AuthenticationError,
+    ValidationError: errors.ValidationError,
+    PushFailedError: errors.PushFailedError
 };
 
 // Target (i.e. Cordova / Browser / etc) specific definitions that need to be exposed outside the SDK
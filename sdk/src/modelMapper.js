@@ -0,0 +1,105 @@
+// ----------------------------------------------------------------------------
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// ----------------------------------------------------------------------------
+
+/**
+ * @file Maps the records of a table to and from the application's model objects
+ * @private
+ */
+
+var Validate = require('./Utilities/Validate'),
+    _ = require('./Utilities/Extensions');
+
+/**
+ * Creates a mapper between the records of a table and the application's model objects.
+ *
+ * Records are mapped to model objects by renaming their properties, invoking fromServer and finally
+ * creating an object of type, unless fromServer already returned one. Model objects are mapped to records
+ * by invoking toServer, or copying their own enumerable properties, and renaming the properties.
+ *
+ * @param {object} model The model definition
+ * @param {function} [model.type] Constructor of the model objects. Records are turned into model objects by
+ *                                copying their properties into an object created from the type's prototype,
+ *                                without invoking the constructor.
+ * @param {object} [model.properties] Property renames, mapping the name of each renamed model property
+ *                                    to the name of the record property
+ * @param {function} [model.fromServer] Function that is invoked with a record, after its properties are renamed,
+ *                                      and returns the model object
+ * @param {function} [model.toServer] Function that is invoked with a model object and returns the record,
+ *                                    before its properties are renamed
+ *
+ * @returns {{fromServer: function, toServer: function}} The mapper
+ */
+function createModelMapper(model) {
+    Validate.notNull(model, 'model');
+    Validate.isObject(model, 'model');
+    if (!_.isNull(model.type)) {
+        Validate.isFunction(model.type, 'model.type');
+    }
+    if (!_.isNull(model.fromServer)) {
+        Validate.isFunction(model.fromServer, 'model.fromServer');
+    }
+    if (!_.isNull(model.toServer)) {
+        Validate.isFunction(model.toServer, 'model.toServer');
+    }
+
+    var modelToServerNames = _.extend({}, model.properties),
+        serverToModelNames = {};
+
+    Validate.isObject(modelToServerNames, 'model.properties');
+    for (var name in modelToServerNames) {
+        Validate.isString(modelToServerNames[name], 'model.properties.' + name);
+        Validate.notNullOrEmpty(modelToServerNames[name], 'model.properties.' + name);
+        serverToModelNames[modelToServerNames[name]] = name;
+    }
+
+    return {
+        /**
+         * Maps a record to a model object
+         */
+        fromServer: function (record) {
+            if (!isRecord(record)) {
+                return record;
+            }
+
+            var result = rename(record, serverToModelNames);
+            if (model.fromServer) {
+                result = model.fromServer(result);
+            }
+            if (model.type && isRecord(result) && !(result instanceof model.type)) {
+                result = _.extend(Object.create(model.type.prototype), result);
+            }
+
+            return result;
+        },
+
+        /**
+         * Maps a model object to a record
+         */
+        toServer: function (instance) {
+            if (!isRecord(instance)) {
+                return instance;
+            }
+
+            var result = model.toServer ? model.toServer(instance) : _.extend({}, instance);
+            return isRecord(result) ? rename(result, modelToServerNames) : result;
+        }
+    };
+}
+
+// Copies the own properties of an object, renaming the properties that have a new name
+function rename(source, names) {
+    var result = {};
+    for (var property in source) {
+        if (source.hasOwnProperty(property)) {
+            result[names.hasOwnProperty(property) ? names[property] : property] = source[property];
+        }
+    }
+    return result;
+}
+
+function isRecord(value) {
+    return !_.isNull(value) && _.isObject(value) && !Array.isArray(value);
+}
+
+exports.createModelMapper = createModelMapper;
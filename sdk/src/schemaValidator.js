@@ -0,0 +1,191 @@
+// ----------------------------------------------------------------------------
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// ----------------------------------------------------------------------------
+
+/**
+ * @file Validates records against the schema of a table before they are written
+ * @private
+ */
+
+var Validate = require('./Utilities/Validate'),
+    Platform = require('./Platform'),
+    ValidationError = require('./errors').ValidationError,
+    tableConstants = require('./constants').table,
+    _ = require('./Utilities/Extensions');
+
+// Properties managed by the server, which a schema does not need to define
+var systemPropertyNames = [
+    tableConstants.sysProps.createdAtColumnName,
+    tableConstants.sysProps.updatedAtColumnName,
+    tableConstants.sysProps.versionColumnName,
+    tableConstants.sysProps.deletedColumnName
+];
+
+/**
+ * Creates a validator for the records of a table.
+ *
+ * The schema is either a validator function or a JSON schema. A validator function is invoked with the record and
+ * the operation ('insert' or 'update'). It returns nothing or true if the record is valid, and false, an error
+ * message or an array of error messages if it isn't.
+ *
+ * JSON schemas support the type, enum, properties, required, additionalProperties, items, minimum, maximum,
+ * minLength, maxLength, pattern and format ('date-time') keywords. Dates can be used wherever the schema expects
+ * a date-time string. The ID and the system properties of the records do not need to be defined by the schema.
+ * As updates can send only some of the properties of a record, required properties are only checked by inserts.
+ *
+ * @param {function|object} schema The validator function or the JSON schema
+ * @param {string} [idPropertyName] Name of the ID property of the records. Defaults to id.
+ *
+ * @returns {function} A function with the signature function(record, operation) that returns the errors of the record,
+ *                     as an array of objects with a path and a message. The array is empty if the record is valid.
+ */
+function createSchemaValidator(schema, idPropertyName) {
+    Validate.notNull(schema, 'schema');
+
+    if (_.isFunction(schema)) {
+        return function (record, operation) {
+            var result = schema(record, operation);
+
+            if (_.isNull(result) || result === true) {
+                return [];
+            }
+            if (result === false) {
+                return [{ path: '', message: 'is not valid' }];
+            }
+            return (Array.isArray(result) ? result : [result]).map(function (message) {
+                return { path: '', message: message };
+            });
+        };
+    }
+
+    Validate.isObject(schema, 'schema');
+
+    var ignoredProperties = systemPropertyNames.concat(idPropertyName || tableConstants.idPropertyName);
+    return function (record, operation) {
+        var errors = [];
+        validateValue(schema, record, '', errors, {
+            checkRequired: operation !== 'update',
+            ignoredProperties: ignoredProperties
+        });
+        return errors;
+    };
+}
+
+/**
+ * Validates a record of a table, throwing a ValidationError if it isn't valid
+ *
+ * @param {function} validator A validator returned by createSchemaValidator
+ * @param {string} tableName Name of the table
+ * @param {object} record The record
+ * @param {string} operation 'insert' or 'update'
+ */
+function validateRecord(validator, tableName, record, operation) {
+    var errors = validator(record, operation);
+
+    if (errors.length > 0) {
+        var messages = errors.map(function (error) {
+            return error.path ? error.path + ' ' + error.message : error.message;
+        });
+        throw new ValidationError(
+            _.format(Platform.getResourceString("MobileServiceTable_RecordNotValid"), tableName, messages.join('; ')),
+            null,
+            errors);
+    }
+}
+
+function validateValue(schema, value, path, errors, settings) {
+    if (!_.isNull(schema.type)) {
+        var types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        if (!types.some(function (type) { return isOfType(value, type, schema); })) {
+            return errors.push({ path: path, message: 'must be of type ' + types.join(' or ') });
+        }
+    }
+
+    if (Array.isArray(schema.enum) && !schema.enum.some(function (allowed) { return allowed === value; })) {
+        return errors.push({ path: path, message: 'must be one of ' + schema.enum.map(JSON.stringify).join(', ') });
+    }
+
+    if (_.isNumber(value)) {
+        if (_.isNumber(schema.minimum) && value < schema.minimum) {
+            errors.push({ path: path, message: 'must be greater than or equal to ' + schema.minimum });
+        }
+        if (_.isNumber(schema.maximum) && value > schema.maximum) {
+            errors.push({ path: path, message: 'must be less than or equal to ' + schema.maximum });
+        }
+    } else if (typeof value === 'string') {
+        if (_.isNumber(schema.minLength) && value.length < schema.minLength) {
+            errors.push({ path: path, message: 'must have at least ' + schema.minLength + ' characters' });
+        }
+        if (_.isNumber(schema.maxLength) && value.length > schema.maxLength) {
+            errors.push({ path: path, message: 'must have at most ' + schema.maxLength + ' characters' });
+        }
+        if (!_.isNull(schema.pattern) && !new RegExp(schema.pattern).test(value)) {
+            errors.push({ path: path, message: 'must match the pattern ' + schema.pattern });
+        }
+        if (schema.format === 'date-time' && isNaN(Date.parse(value))) {
+            errors.push({ path: path, message: 'must be a date-time' });
+        }
+    } else if (Array.isArray(value)) {
+        if (!_.isNull(schema.items)) {
+            value.forEach(function (item, index) {
+                validateValue(schema.items, item, path + '[' + index + ']', errors, settings);
+            });
+        }
+    } else if (!_.isNull(value) && _.isObject(value)) {
+        validateProperties(schema, value, path, errors, settings);
+    }
+}
+
+function validateProperties(schema, record, path, errors, settings) {
+    var properties = schema.properties || {},
+        isTopLevel = path === '',
+        name;
+
+    if (Array.isArray(schema.required) && (settings.checkRequired || !isTopLevel)) {
+        schema.required.forEach(function (required) {
+            if (record[required] === undefined) {
+                errors.push({ path: join(path, required), message: 'is required' });
+            }
+        });
+    }
+
+    for (name in record) {
+        if (!record.hasOwnProperty(name) || record[name] === undefined) {
+            continue;
+        }
+
+        if (properties.hasOwnProperty(name)) {
+            validateValue(properties[name], record[name], join(path, name), errors, settings);
+        } else if (schema.additionalProperties === false && !(isTopLevel && settings.ignoredProperties.indexOf(name) >= 0)) {
+            errors.push({ path: join(path, name), message: 'is not allowed' });
+        }
+    }
+}
+
+function isOfType(value, type, schema) {
+    switch (type) {
+        case 'null':
+            return value === null;
+        case 'string':
+            return typeof value === 'string' || (_.isDate(value) && schema.format === 'date-time');
+        case 'number':
+            return _.isNumber(value);
+        case 'integer':
+            return _.isInteger(value);
+        case 'boolean':
+            return _.isBool(value);
+        case 'array':
+            return Array.isArray(value);
+        case 'object':
+            return !_.isNull(value) && _.isObject(value) && !Array.isArray(value);
+        default:
+            throw new Error('Unsupported schema type ' + type);
+    }
+}
+
+function join(path, name) {
+    return path ? path + '.' + name : name;
+}
+
+exports.createSchemaValidator = createSchemaValidator;
+exports.validateRecord = validateRecord;
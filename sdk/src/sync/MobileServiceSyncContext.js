@@ -9,6 +9,10 @@ var Validate = require('../Utilities/Validate'),
     createPullManager = require('./pull').createPullManager,
     createPushManager = require('./push').createPushManager,
     createPurgeManager = require('./purge').createPurgeManager,
+    getIdPropertyName = require('./ids').getIdPropertyName,
+    hasIntegerIds = require('./ids').hasIntegerIds,
+    schemaValidator = require('../schemaValidator'),
+    errors = require('../errors'),
     uuid = require('node-uuid'),
     _ = require('../Utilities/Extensions');
 
@@ -30,6 +34,7 @@ function MobileServiceSyncContext(client) {
         pushManager,
         purgeManager,
         isInitialized = false,
+        schemas = {}, // Schemas of the local tables, by lower case table name
         syncTaskRunner = taskRunner(), // Used to run push / pull tasks
         storeTaskRunner = taskRunner(); // Used to run insert / update / delete tasks on the store
 
@@ -74,12 +79,23 @@ function MobileServiceSyncContext(client) {
     this.insert = function (tableName, instance) { //TODO: add an insert method to the store
         return storeTaskRunner.run(function() {
             validateInitialization();
-            
-            // Generate an ID if it is not set already 
-            if (_.isNull(instance.id)) {
-                instance.id = uuid.v4();
+
+            Validate.notNull(instance, 'instance');
+            var idPropertyName = getIdPropertyName(store, tableName);
+
+            // Generate an ID if it is not set already.
+            // Integer IDs are generated by the server, so records with integer IDs can only be inserted in the server table.
+            if (_.isNull(instance[idPropertyName])) {
+                if (hasIntegerIds(store, tableName)) {
+                    throw new Error(_.format(Platform.getResourceString("MobileServiceSyncContext_InsertIntegerIdTable"), tableName));
+                }
+                instance[idPropertyName] = uuid.v4();
+            } else if (_.isNumber(instance[idPropertyName])) {
+                throw new Error(_.format(Platform.getResourceString("MobileServiceTable_InsertIntegerIdAlreadySet"), idPropertyName));
             }
 
+            validateRecord(tableName, instance, 'insert');
+
             // Delegate parameter validation to upsertWithLogging
             return upsertWithLogging(tableName, instance, 'insert');
         });
@@ -97,12 +113,36 @@ function MobileServiceSyncContext(client) {
     this.update = function (tableName, instance) { //TODO: add an update method to the store
         return storeTaskRunner.run(function() {
             validateInitialization();
+
+            Validate.notNull(instance, 'instance');
+            validateRecord(tableName, instance, 'update');
             
             // Delegate parameter validation to upsertWithLogging
             return upsertWithLogging(tableName, instance, 'update', true /* shouldOverwrite */);
         });
     };
 
+    /**
+     * Sets the schema that inserts and updates of a local table check before anything is written to the store
+     * or logged in the operation table. Invalid records are rejected with a ValidationError.
+     * 
+     * @param tableName Name of the local table
+     * @param schema A JSON schema or a function(record, operation) returning the errors of a record, see the schema option
+     *               of MobileServiceTable. Specify null to remove the schema of the table.
+     */
+    this.setSchema = function (tableName, schema) {
+        Validate.isString(tableName, 'tableName');
+        Validate.notNullOrEmpty(tableName, 'tableName');
+
+        if (_.isNull(schema)) {
+            delete schemas[tableName.toLowerCase()];
+        } else {
+            // Fail early if the schema is not valid
+            schemaValidator.createSchemaValidator(schema);
+            schemas[tableName.toLowerCase()] = schema;
+        }
+    };
+
     /**
      * Gets an object from the specified local table.
      * 
@@ -172,18 +212,20 @@ function MobileServiceSyncContext(client) {
             Validate.notNullOrEmpty(tableName, 'tableName');
 
             Validate.notNull(instance);
-            Validate.isValidId(instance.id);
 
             if (!store) {
                 throw new Error('MobileServiceSyncContext not initialized');
             }
 
+            var id = instance[getIdPropertyName(store, tableName)];
+            Validate.isValidId(id);
+
             return operationTableManager.getLoggingOperation(tableName, 'delete', instance).then(function(loggingOperation) {
                 return store.executeBatch([
                     {
                         action: 'delete',
                         tableName: tableName,
-                        id: instance.id
+                        id: id
                     },
                     loggingOperation
                 ]);
@@ -196,18 +238,55 @@ function MobileServiceSyncContext(client) {
      * 
      * @param query Query specifying which records to pull
      * @param [queryId] A unique string ID for an incremental pull query OR null for a vanilla pull query.
+     * Unless settings.pushBeforePull is false, the pending operations performed on the table being pulled are pushed first,
+     * so that the pulled records are not skipped because of local changes that haven't been pushed yet. If any of them
+     * cannot be pushed, the pull fails without pulling any records.
+     * 
      * @param [settings] An object that defines various pull settings. 
+     * @param [settings.pageSize] Number of records to pull at a time
+     * @param [settings.pushBeforePull] If true, which is the default, the pending operations of the table are pushed before pulling.
+     *                                  The push uses the pushHandler of the sync context. If the push fails, the pull is rejected
+     *                                  with the push error. If the push results in conflicts that aren't handled, the pull is
+     *                                  rejected with a PushFailedError whose conflicts property is the array of unhandled push errors.
+     * @param [settings.signal] An AbortSignal that can be used to cancel the pull. Pulling stops before the next page is pulled,
+     *                          or the request of the current page is aborted, and the pull is rejected with a CancellationError.
+     * @param [settings.onProgress] A function that is called with a progress event each time a page is pulled. The event's type is 'pull',
+     *                              and its pageCount, recordCount and lastKnownUpdatedAt properties report the number of pages and records
+     *                              pulled so far and the largest updatedAt value pulled so far. The push performed before pulling
+     *                              also reports its progress to this function, using events of type 'push'.
      * 
      * @returns A promise that is fulfilled when all records are pulled OR is rejected if the pull fails or is cancelled.  
      */
     this.pull = function (query, queryId, settings) { 
-        //TODO: Implement cancel
-        //TODO: Perform push before pulling
         return syncTaskRunner.run(function() {
             validateInitialization();
-            
-            return pullManager.pull(query, queryId, settings);
-        });
+
+            Validate.notNull(query, 'query');
+            Validate.isObject(query, 'query');
+            Validate.isFunction(query.getComponents, 'query.getComponents');
+            Validate.isObject(settings, 'settings');
+            settings = settings || {};
+            if (!_.isNull(settings.pushBeforePull)) {
+                Validate.isBool(settings.pushBeforePull, 'settings.pushBeforePull');
+            }
+
+            if (settings.pushBeforePull === false) {
+                return pullManager.pull(query, queryId, settings);
+            }
+
+            var tableName = query.getComponents().table;
+            return pushManager.push(this.pushHandler, {
+                tableNames: [tableName],
+                signal: settings.signal,
+                onProgress: settings.onProgress
+            }).then(function(conflicts) {
+                if (conflicts.length > 0) {
+                    throw new errors.PushFailedError(_.format(Platform.getResourceString("MobileServiceSyncContext_PushBeforePullFailed"), tableName, conflicts.length), conflicts);
+                }
+
+                return pullManager.pull(query, queryId, settings);
+            });
+        }.bind(this));
     };
     
     /**
@@ -218,13 +297,27 @@ function MobileServiceSyncContext(client) {
      * - function onConflict (pushError) - this is called when a conflict is encountered while pushing a record to the server.
      * - function onError (pushError) - this is called when an error is encountered while pushing a record to the server.
      * 
+     * @param [settings] An object that defines the push settings.
+     * @param [settings.tableNames] An array of table names. If specified, only the operations performed on these tables are pushed.
+     * @param [settings.itemIds] An array of record IDs. If specified, only the operations performed on these records are pushed.
+     *                           If tableNames is also specified, only the operations performed on these records in these tables are pushed.
+     *                           The operations that are not pushed stay pending, and the selected operations are pushed in the
+     *                           order in which they were performed.
+     * @param [settings.signal] An AbortSignal that can be used to cancel the push. Pushing stops before the next operation is pushed,
+     *                          or the request of the current operation is aborted, and the push is rejected with a CancellationError.
+     *                          The operations that were not pushed stay pending.
+     * @param [settings.onProgress] A function that is called with a progress event each time an operation is pushed or results in a conflict
+     *                              that isn't handled. The event's type is 'push', its tableName, action and itemId properties identify the
+     *                              operation, and its pushedCount, conflictCount and totalCount properties report the number of operations
+     *                              pushed so far, the number of conflicts so far and the number of operations pending when the push started.
+     * 
      * @returns A promise that is fulfilled when all pending operations are pushed OR is rejected if the push fails or is cancelled.  
      */
-    this.push = function () { //TODO: Implement cancel
+    this.push = function (settings) {
         return syncTaskRunner.run(function() {
             validateInitialization();
 
-            return pushManager.push(this.pushHandler);
+            return pushManager.push(this.pushHandler, settings);
         }.bind(this));
     };
     
@@ -253,6 +346,74 @@ function MobileServiceSyncContext(client) {
         }.bind(this));
     };
     
+    /**
+     * Gets the changes made to the local tables that are waiting to be pushed to the server.
+     * 
+     * @param [tableName] If specified, only the changes made to this table are returned
+     * 
+     * @returns A promise that is resolved with an array of pending operations, in the order in which they will be pushed.
+     *          Each pending operation is an object with the following properties:
+     *          - tableName - name of the table that was changed
+     *          - action - 'insert', 'update' or 'delete'
+     *          - itemId - ID of the record that was changed
+     *          - data - the current value of the record in the local table, or null if the record was deleted
+     */
+    this.getPendingOperations = function (tableName) {
+        return storeTaskRunner.run(function() {
+            validateInitialization();
+            validateOptionalTableName(tableName);
+
+            return operationTableManager.readAllPendingOperationsWithData(getOperationFilter(tableName));
+        }).then(function(operations) {
+            return operations.map(function(operation) {
+                return {
+                    tableName: operation.logRecord.tableName,
+                    action: operation.logRecord.action,
+                    itemId: operation.logRecord.itemId,
+                    data: operation.data
+                };
+            });
+        });
+    };
+
+    /**
+     * Gets the number of changes made to the local tables that are waiting to be pushed to the server.
+     * 
+     * @param [tableName] If specified, only the changes made to this table are counted
+     * 
+     * @returns A promise that is resolved with the number of pending operations.
+     */
+    this.getPendingOperationCount = function (tableName) {
+        return storeTaskRunner.run(function() {
+            validateInitialization();
+            validateOptionalTableName(tableName);
+
+            return operationTableManager.countPendingOperations(getOperationFilter(tableName));
+        });
+    };
+
+    /**
+     * Checks if a record has changes that are waiting to be pushed to the server.
+     * 
+     * @param tableName Name of the local table
+     * @param id ID of the record
+     * 
+     * @returns A promise that is resolved with true if the record has pending operations, and false otherwise.
+     */
+    this.hasPendingOperations = function (tableName, id) {
+        return storeTaskRunner.run(function() {
+            validateInitialization();
+
+            Validate.isString(tableName, 'tableName');
+            Validate.notNullOrEmpty(tableName, 'tableName');
+            Validate.isValidId(id, 'id');
+
+            return operationTableManager.readPendingOperations(tableName, id);
+        }).then(function(operations) {
+            return operations.length > 0;
+        });
+    };
+    
     // Unit test purposes only
     this._getOperationTableManager = function () {
         return operationTableManager;
@@ -268,15 +429,17 @@ function MobileServiceSyncContext(client) {
         Validate.notNullOrEmpty(tableName, 'tableName');
 
         Validate.notNull(instance, 'instance');
-        Validate.isValidId(instance.id, 'instance.id');
         
         if (!store) {
             throw new Error('MobileServiceSyncContext not initialized');
         }
+
+        var idPropertyName = getIdPropertyName(store, tableName);
+        Validate.isValidId(instance[idPropertyName], 'instance.' + idPropertyName);
         
-        return store.lookup(tableName, instance.id, true /* suppressRecordNotFoundError */).then(function(existingRecord) {
+        return store.lookup(tableName, instance[idPropertyName], true /* suppressRecordNotFoundError */).then(function(existingRecord) {
             if (existingRecord && !shouldOverwrite) {
-                throw new Error('Record with ID ' + existingRecord.id + ' already exists in the table ' + tableName);
+                throw new Error('Record with ID ' + instance[idPropertyName] + ' already exists in the table ' + tableName);
             }
         }).then(function() {
             return operationTableManager.getLoggingOperation(tableName, action, instance);
@@ -294,6 +457,30 @@ function MobileServiceSyncContext(client) {
         });
     }
 
+    // Throws a ValidationError if the record does not match the schema of the local table
+    function validateRecord(tableName, instance, operation) {
+        Validate.isString(tableName, 'tableName');
+        Validate.notNullOrEmpty(tableName, 'tableName');
+
+        var schema = schemas[tableName.toLowerCase()];
+        if (!_.isNull(schema)) {
+            var validator = schemaValidator.createSchemaValidator(schema, getIdPropertyName(store, tableName));
+            schemaValidator.validateRecord(validator, tableName, instance, operation);
+        }
+    }
+
+    // Gets a filter that selects the pending operations of the specified table, or all pending operations if tableName is not specified
+    function getOperationFilter(tableName) {
+        return _.isNull(tableName) ? undefined : { tableNames: [tableName] };
+    }
+
+    function validateOptionalTableName(tableName) {
+        if (!_.isNull(tableName)) {
+            Validate.isString(tableName, 'tableName');
+            Validate.notNullOrEmpty(tableName, 'tableName');
+        }
+    }
+
     // Throws an error if the sync context is not initialized
     function validateInitialization() {
         if (!isInitialized) {
@@ -6,19 +6,33 @@ var Validate = require('../Utilities/Validate'),
     Query = require('azure-query-js').Query,
     _ = require('../Utilities/Extensions'),
     tableHelper = require('../tableHelper'),
+    createModelMapper = require('../modelMapper').createModelMapper,
     Platform = require('../Platform');
 
 /**
  * Creates an instance of MobileServiceSyncTable
  * @param tableName Name of the local table
  * @param client The MobileServiceClient to be used to make requests to the backend.
+ * @param {object} [options] Optional table configuration
+ * @param {object} [options.model] Maps the records of the table to and from the application's model objects.
+ *                                 See the model option of MobileServiceTable.
+ * @param {object|function} [options.schema] Schema that inserts and updates of the table check. It is set as the schema
+ *                                           of the table in the client's sync context, see MobileServiceSyncContext#setSchema.
  */
-function MobileServiceSyncTable(tableName, client) {
+function MobileServiceSyncTable(tableName, client, options) {
     Validate.isString(tableName, 'tableName');
     Validate.notNullOrEmpty(tableName, 'tableName');
 
     Validate.notNull(client, 'client');
 
+    options = options || {};
+    Validate.isObject(options, 'options');
+
+    var modelMapper = _.isNull(options.model) ? null : createModelMapper(options.model);
+    if (!_.isNull(options.schema)) {
+        client.getSyncContext().setSchema(tableName, options.schema);
+    }
+
     /**
      * Gets the name of the local table
      */
@@ -40,7 +54,7 @@ function MobileServiceSyncTable(tableName, client) {
      *          If the operation fails, the promise is rejected.
      */
     this.insert = function (instance) {
-        return client.getSyncContext().insert(tableName, instance);
+        return fromRecords(client.getSyncContext().insert(tableName, toRecord(instance)));
     };
 
     /**
@@ -50,7 +64,7 @@ function MobileServiceSyncTable(tableName, client) {
      *          If the operation fails, the promise is rejected.
      */
     this.update = function (instance) {
-        return client.getSyncContext().update(tableName, instance);
+        return fromRecords(client.getSyncContext().update(tableName, toRecord(instance)));
     };
 
     /**
@@ -65,7 +79,7 @@ function MobileServiceSyncTable(tableName, client) {
      *          If the operation fails, the promise is rejected.
      */
     this.lookup = function (id, suppressRecordNotFoundError) {
-        return client.getSyncContext().lookup(tableName, id, suppressRecordNotFoundError);
+        return fromRecords(client.getSyncContext().lookup(tableName, id, suppressRecordNotFoundError));
     };
 
     /**
@@ -81,7 +95,7 @@ function MobileServiceSyncTable(tableName, client) {
             query = new Query(tableName);
         }
         
-        return client.getSyncContext().read(query);
+        return fromRecords(client.getSyncContext().read(query));
     };
 
     /**
@@ -91,7 +105,7 @@ function MobileServiceSyncTable(tableName, client) {
      *          If the operation fails, the promise is rejected
      */
     this.del = function (instance) {
-        return client.getSyncContext().del(tableName, instance);
+        return client.getSyncContext().del(tableName, toRecord(instance));
     };
 
     /**
@@ -131,6 +145,31 @@ function MobileServiceSyncTable(tableName, client) {
 
         return client.getSyncContext().purge(query, forcePurge);
     };
+
+    // Maps a model object to a record, if the table has a model
+    function toRecord(instance) {
+        return modelMapper ? modelMapper.toServer(instance) : instance;
+    }
+
+    // Maps the record, or the array of records, that a promise is resolved with to model objects,
+    // if the table has a model
+    function fromRecords(promise) {
+        if (!modelMapper) {
+            return promise;
+        }
+
+        return promise.then(function (result) {
+            if (Array.isArray(result)) {
+                // Map the records in place to keep properties of the array like totalCount
+                for (var i = 0; i < result.length; i++) {
+                    result[i] = modelMapper.fromServer(result[i]);
+                }
+                return result;
+            }
+
+            return modelMapper.fromServer(result);
+        });
+    }
 }
 
 // Define query operators
@@ -0,0 +1,57 @@
+// ----------------------------------------------------------------------------
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// ----------------------------------------------------------------------------
+
+/**
+ * @file Helper functions for working with the IDs of the records in the local tables
+ */
+
+var defaultIdPropertyName = require('../constants').table.idPropertyName,
+    ColumnType = require('./ColumnType'),
+    _ = require('../Utilities/Extensions');
+
+/**
+ * Gets the name of the ID property of a local table.
+ *
+ * The store can be a custom store provided by the user code, so defining getIdPropertyName(tableName)
+ * is optional. Stores that do not define it use id as the ID property of all the tables.
+ *
+ * @param store The local store
+ * @param tableName Name of the local table
+ * @returns The name of the ID property of the table
+ */
+function getIdPropertyName(store, tableName) {
+    var idPropertyName = store && _.isFunction(store.getIdPropertyName) ? store.getIdPropertyName(tableName) : undefined;
+    return idPropertyName || defaultIdPropertyName;
+}
+
+/**
+ * Checks if the ID column of a local table is an integer column.
+ *
+ * Defining getIdColumnType(tableName) is optional for custom stores. The ID columns of stores that
+ * do not define it are not considered to be integer columns.
+ *
+ * @param store The local store
+ * @param tableName Name of the local table
+ * @returns true if the IDs of the table are integers, false otherwise
+ */
+function hasIntegerIds(store, tableName) {
+    var columnType = store && _.isFunction(store.getIdColumnType) ? store.getIdColumnType(tableName) : undefined;
+    return _.isString(columnType) && (columnType.toLowerCase() === ColumnType.Integer || columnType.toLowerCase() === ColumnType.Int);
+}
+
+/**
+ * Checks if two IDs refer to the same record.
+ * Integer IDs can be stored as strings, for example in the itemId column of the operation table, so
+ * they are compared as strings.
+ */
+function areIdsEqual(id1, id2) {
+    if (_.isNull(id1) || _.isNull(id2)) {
+        return id1 === id2;
+    }
+    return id1.toString() === id2.toString();
+}
+
+exports.getIdPropertyName = getIdPropertyName;
+exports.hasIntegerIds = hasIntegerIds;
+exports.areIdsEqual = areIdsEqual;
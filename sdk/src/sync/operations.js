@@ -12,11 +12,11 @@ var Validate = require('../Utilities/Validate'),
     ColumnType = require('./ColumnType'),
     taskRunner = require('../Utilities/taskRunner'),
     tableConstants = require('../constants').table,
+    getIdPropertyName = require('./ids').getIdPropertyName,
     _ = require('../Utilities/Extensions'),
     Query = require('azure-query-js').Query;
 
-var idPropertyName = tableConstants.idPropertyName,
-    versionColumnName = tableConstants.sysProps.versionColumnName,
+var versionColumnName = tableConstants.sysProps.versionColumnName,
     operationTableName = tableConstants.operationTableName;
     
 function createOperationTableManager(store) {
@@ -35,6 +35,8 @@ function createOperationTableManager(store) {
         lockOperation: lockOperation,
         unlockOperation: unlockOperation,
         readPendingOperations: readPendingOperations,
+        countPendingOperations: countPendingOperations,
+        readAllPendingOperationsWithData: readAllPendingOperationsWithData,
         readFirstPendingOperationWithData: readFirstPendingOperationWithData,
         removeLockedOperation: removeLockedOperation,
         getLoggingOperation: getLoggingOperation,
@@ -50,6 +52,8 @@ function createOperationTableManager(store) {
     /**
      * Defines the operation table in the local store.
      * Schema of the operation table is: [ INT id | TEXT tableName | TEXT action | TEXT itemId ]
+     * Integer item IDs are stored as text, and metadata.itemIdType is set to 'number' so that they can be converted back
+     * when the operations are read.
      * If the table already exists, it will have no effect.
      * @param localStore The local store to create the operation table in.
      * @returns A promise that is resolved when initialization is complete and rejected if it fails.
@@ -113,7 +117,7 @@ function createOperationTableManager(store) {
      * 
      * @param tableName Name of the table on which the action is performed
      * @param action Action performed on the table. Valid actions are 'insert', 'update' or 'delete'
-     * @param item Record that is being inserted, updated or deleted. In case of 'delete', all properties other than id will be ignored.
+     * @param item Record that is being inserted, updated or deleted. In case of 'delete', all properties other than the ID will be ignored.
      * 
      * @returns Promise that is resolved with the logging operation. In case of a failure the promise is rejected.
      */
@@ -129,13 +133,13 @@ function createOperationTableManager(store) {
             
             Validate.notNull(item);
             Validate.isObject(item);
-            Validate.isValidId(item[idPropertyName]);
+            Validate.isValidId(item[getIdPropertyName(store, tableName)]);
 
             if (!isInitialized) {
                 throw new Error('Operation table manager is not initialized');
             }
             
-            return readPendingOperations(tableName, item[idPropertyName]).then(function(pendingOperations) {
+            return readPendingOperations(tableName, item[getIdPropertyName(store, tableName)]).then(function(pendingOperations) {
                 
                 // Multiple operations can be pending for <tableName, itemId> due to an opertion being locked in the past.
                 // Get the last pending operation
@@ -177,19 +181,81 @@ function createOperationTableManager(store) {
             var query = new Query(operationTableName);
             return store.read(query.where(function (tableName, itemId) {
                 return this.tableName === tableName && this.itemId === itemId;
-            }, tableName, itemId).orderBy('id'));
+            }, tableName, _.isNumber(itemId) ? itemId.toString() : itemId).orderBy('id'));
+        }).then(function(logRecords) {
+            logRecords.forEach(restoreItemId);
+            return logRecords;
+        });
+    }
+    
+    /**
+     * Counts the pending operations in the operation table.
+     * @param [filter] An object that selects the operations to count, see readFirstPendingOperationWithData
+     * @returns A promise that is resolved with the number of pending operations
+     */
+    function countPendingOperations(filter) {
+        return Platform.async(function(callback) {
+            callback();
+        })().then(function() {
+            var query = filterOperations(new Query(operationTableName), filter);
+            return store.read(query.take(0).includeTotalCount());
+        }).then(function(result) {
+            return result.count;
+        });
+    }
+    
+    /**
+     * Reads the pending operations, oldest first, along with the records they were performed on.
+     * @param [filter] An object that selects the operations to read, see readFirstPendingOperationWithData
+     * @returns A promise that is resolved with an array of objects containing logRecord (record from the operation table)
+     * and data (the record in the local table, or null if the record is deleted).
+     */
+    function readAllPendingOperationsWithData(filter) {
+        return runner.run(function() {
+            var query = filterOperations(new Query(operationTableName), filter);
+
+            return store.read(query.orderBy('id')).then(function(logRecords) {
+                var chain = Platform.async(function(callback) {
+                        callback();
+                    })(),
+                    operations = [];
+
+                logRecords.forEach(function(logRecord) {
+                    restoreItemId(logRecord);
+                    chain = chain.then(function() {
+                        if (logRecord.action === 'delete') {
+                            return;
+                        }
+                        return store.lookup(logRecord.tableName, logRecord.itemId, true /* suppressRecordNotFoundError */);
+                    }).then(function(data) {
+                        operations.push({
+                            logRecord: logRecord,
+                            data: data || null
+                        });
+                    });
+                });
+
+                return chain.then(function() {
+                    return operations;
+                });
+            });
         });
     }
     
     /**
      * Gets the first / oldest pending operation, i.e. the one with smallest id value
      * 
+     * @param lastProcessedOperationId Only operations with an id greater than this are read
+     * @param [filter] An object that selects the operations to read. If not specified, all operations are read.
+     * @param [filter.tableNames] If specified, only operations performed on these tables are read
+     * @param [filter.itemIds] If specified, only operations performed on the records with these IDs are read
+     * 
      * @returns Object containing logRecord (record from the operation table) and an optional data record (i.e. record associated with logRecord).
      * The data record will be present only for insert and update operations.
      */
-    function readFirstPendingOperationWithData(lastProcessedOperationId) {
+    function readFirstPendingOperationWithData(lastProcessedOperationId, filter) {
         return runner.run(function() {
-            return readFirstPendingOperationWithDataInternal(lastProcessedOperationId);
+            return readFirstPendingOperationWithDataInternal(lastProcessedOperationId, filter);
         });
     }
 
@@ -206,21 +272,43 @@ function createOperationTableManager(store) {
     }
     
 
+    // Restricts a query on the operation table to the operations selected by the filter
+    function filterOperations(query, filter) {
+        if (filter && filter.tableNames) {
+            query = query.where(function (tableNames) {
+                return this.tableName in tableNames;
+            }, filter.tableNames);
+        }
+
+        if (filter && filter.itemIds) {
+            // Integer item IDs are stored as text
+            query = query.where(function (itemIds) {
+                return this.itemId in itemIds;
+            }, filter.itemIds.map(function (itemId) {
+                return _.isNumber(itemId) ? itemId.toString() : itemId;
+            }));
+        }
+
+        return query;
+    }
+
     // Checks if the specified operation is locked
     function isLocked(operation) {
         return operation && operation.id === lockedOperationId;
     }
 
-    function readFirstPendingOperationWithDataInternal(lastProcessedOperationId) {
+    function readFirstPendingOperationWithDataInternal(lastProcessedOperationId, filter) {
         var logRecord, // the record logged in the operation table
             query = new Query(operationTableName).where(function(lastProcessedOperationId) {
                         return this.id > lastProcessedOperationId;
-                    }, lastProcessedOperationId).orderBy('id').take(1);
+                    }, lastProcessedOperationId);
+
+        query = filterOperations(query, filter).orderBy('id').take(1);
         
         // Read record from operation table with the smallest ID
         return store.read(query).then(function(result) {
             if (result.length === 1) {
-                logRecord = result[0];
+                logRecord = restoreItemId(result[0]);
             } else if (result.length === 0) { // no pending records
                 return;
             } else {
@@ -255,7 +343,7 @@ function createOperationTableManager(store) {
                 // In such a case, we remove the log operation from the operation table and proceed to the next log operation.
                 return removePendingOperationInternal(logRecord.id).then(function() {
                     lastProcessedOperationId = logRecord.id;
-                    return readFirstPendingOperationWithDataInternal(lastProcessedOperationId);
+                    return readFirstPendingOperationWithDataInternal(lastProcessedOperationId, filter);
                 });
             });
         });
@@ -324,7 +412,7 @@ function createOperationTableManager(store) {
                     id: ++maxId,
                     tableName: tableName,
                     action: action,
-                    itemId: item[idPropertyName],
+                    itemId: item[getIdPropertyName(store, tableName)],
                     metadata: metadata
                 }
             };
@@ -370,7 +458,13 @@ function createOperationTableManager(store) {
         return Platform.async(function(callback) {
             callback();
         })().then(function() {
-            var metadata = {};
+            var metadata = {},
+                itemId = item[getIdPropertyName(store, tableName)];
+
+            // Integer IDs are stored as text in the operation table. Remember the type of the ID to be able to restore it.
+            if (_.isNumber(itemId)) {
+                metadata.itemIdType = 'number';
+            }
 
             // If action is update and item defines version property OR if action is insert / update,
             // define metadata.version to be the item's version property
@@ -380,7 +474,7 @@ function createOperationTableManager(store) {
                 metadata[versionColumnName] = item[versionColumnName];
                 return metadata;
             } else if (action == 'update' || action === 'delete') { // Read item's version property from the table
-                return store.lookup(tableName, item[idPropertyName], true /* suppressRecordNotFoundError */).then(function(result) {
+                return store.lookup(tableName, itemId, true /* suppressRecordNotFoundError */).then(function(result) {
                     if (result) {
                         metadata[versionColumnName] = result[versionColumnName];
                     }
@@ -393,6 +487,16 @@ function createOperationTableManager(store) {
         
     }
 
+    /**
+     * Converts the item ID of a record read from the operation table back to the type it was logged with
+     */
+    function restoreItemId(logRecord) {
+        if (logRecord && logRecord.metadata && logRecord.metadata.itemIdType === 'number' && _.isString(logRecord.itemId)) {
+            logRecord.itemId = Number(logRecord.itemId);
+        }
+        return logRecord;
+    }
+
     /**
      * Gets the largest operation ID from the operation table
      * If there are no records in the operation table, returns 0.
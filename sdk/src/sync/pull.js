@@ -13,10 +13,11 @@ var Validate = require('../Utilities/Validate'),
     MobileServiceTable = require('../MobileServiceTable'),
     constants = require('../constants'),
     tableConstants = constants.table,
+    getIdPropertyName = require('./ids').getIdPropertyName,
+    createAbortError = require('../Transports/transportHelper').createAbortError,
     _ = require('../Utilities/Extensions');
     
 var defaultPageSize = 50,
-    idPropertyName = tableConstants.idPropertyName,
     pulltimeTableName = tableConstants.pulltimeTableName,
     sysProps = tableConstants.sysProps;
     
@@ -28,7 +29,12 @@ function createPullManager(client, store, storeTaskRunner, operationTableManager
         lastKnownUpdatedAt, // get the largest known value of the updatedAt column 
         tablePullQuery, // the query specified by the user for pulling the table 
         pagePullQuery, // query for fetching a single page
-        pullQueryId; // the query ID. if this is a non-null string, the pull will be performed incrementally.
+        signal, // AbortSignal that cancels the pull
+        pullQueryId, // the query ID. if this is a non-null string, the pull will be performed incrementally.
+        pulledRecordCount, // number of records pulled so far, for logging and reporting progress
+        pulledPageCount, // number of pages pulled so far, for reporting progress
+        onProgress, // callback that is notified of the progress of the pull
+        log = client._log;
     
     return {
         initialize: initialize,
@@ -56,7 +62,17 @@ function createPullManager(client, store, storeTaskRunner, operationTableManager
      * 
      * @param query Query specifying which records to pull
      * @param pullQueryId A unique string ID for an incremental pull query OR null for a vanilla pull query.
-     * @param [settings] An object that defines the various pull settings - currently only pageSize
+     * @param [settings] An object that defines the various pull settings
+     * @param [settings.pageSize] Number of records to pull at a time
+     * @param [settings.signal] An AbortSignal that can be used to cancel the pull. The pull stops before pulling the next page,
+     *                          or aborts the request of the page that is being pulled, and is rejected with a CancellationError.
+     *                          Pages that were already pulled are kept in the store.
+     * @param [settings.onProgress] A function that is called with a progress event each time a page is pulled. The event has the following properties:
+     *                              - type - 'pull'
+     *                              - tableName and queryId - the table and the query ID of the pull
+     *                              - pageCount - number of pages pulled so far
+     *                              - recordCount - number of records pulled and processed so far
+     *                              - lastKnownUpdatedAt - the largest updatedAt value pulled so far
      * 
      * @returns A promise that is fulfilled when all records are pulled OR is rejected if the pull fails or is cancelled.  
      */
@@ -77,17 +93,43 @@ function createPullManager(client, store, storeTaskRunner, operationTableManager
             } else {
                 throw new Error('Page size must be a positive integer. Page size ' + settings.pageSize + ' is invalid.');
             }
+            if (!_.isNull(settings.signal)) {
+                Validate.isObject(settings.signal, 'settings.signal');
+            }
+            signal = settings.signal;
+            if (!_.isNull(settings.onProgress)) {
+                Validate.isFunction(settings.onProgress, 'settings.onProgress');
+            }
+            onProgress = settings.onProgress;
+            throwIfCancelled();
 
             // Make a copy of the query as we will be modifying it
             tablePullQuery = copyQuery(query);            
 
-            mobileServiceTable = client.getTable(tablePullQuery.getComponents().table);
+            var tableName = tablePullQuery.getComponents().table;
+            mobileServiceTable = client.getTable(tableName, { idPropertyName: getIdPropertyName(store, tableName) });
             mobileServiceTable._features = queryId ? [constants.features.OfflineSync, constants.features.IncrementalPull] : [constants.features.OfflineSync];
             pullQueryId = queryId;
 
+            var start = Date.now(),
+                event = {
+                    type: 'pull',
+                    tableName: tableName,
+                    queryId: queryId,
+                    pageSize: pageSize
+                };
+            pulledRecordCount = 0;
+            pulledPageCount = 0;
+            log.info('Pull started', _.extend({ step: 'start' }, event));
+
             // Set up the query for initiating a pull and then pull all pages          
             return setupQuery().then(function() {
                 return pullAllPages();
+            }).then(function() {
+                log.info('Pull completed', _.extend({ step: 'complete', count: pulledRecordCount, duration: Date.now() - start }, event));
+            }, function(error) {
+                log.error('Pull failed', _.extend({ step: 'error', count: pulledRecordCount, duration: Date.now() - start, error: error.message }, event));
+                throw error;
             });
         });
     }
@@ -106,13 +148,22 @@ function createPullManager(client, store, storeTaskRunner, operationTableManager
         // 3. If it is complete, go to 5. If not, update the query to fetch the next page.
         // 4. Go to 1
         // 5. DONE
-        return pullPage().then(function(pulledRecords) {
+        return Platform.async(function(callback) {
+            callback();
+        })().then(function() {
+            // Stop between pages if the pull is cancelled. The state of the incremental pull is already saved.
+            throwIfCancelled();
+            return pullPage();
+        }).then(function(pulledRecords) {
             if (!isPullComplete(pulledRecords)) {
                 // update query and continue pulling the remaining pages
                 return updateQueryForNextPage(pulledRecords).then(function() {
+                    reportProgress();
                     return pullAllPages();
                 });
             }
+
+            reportProgress();
         });
     }
     
@@ -140,8 +191,11 @@ function createPullManager(client, store, storeTaskRunner, operationTableManager
         var tableName = pagePullQuery.getComponents().table;
         queryString = queryString.replace(new RegExp('^/' + tableName), '').replace("datetime'", "datetimeoffset'");
 
-        return mobileServiceTable.read(queryString, params).then(function(result) {
+        return mobileServiceTable.read(queryString, params, { signal: signal }).then(function(result) {
             pulledRecords = result;
+            pulledRecordCount += pulledRecords.length;
+            ++pulledPageCount;
+            log.debug('Pulled page', { type: 'pull', step: 'page', tableName: tableName, queryId: pullQueryId, count: pulledRecords.length });
 
             var chain = Platform.async(function(callback) {
                 callback();
@@ -167,18 +221,19 @@ function createPullManager(client, store, storeTaskRunner, operationTableManager
 
             // Update the store as per the pulled record 
             return storeTaskRunner.run(function() {
-                if (Validate.isValidId(pulledRecord[idPropertyName])) {
+                var id = pulledRecord[getIdPropertyName(store, tableName)];
+                if (Validate.isValidId(id)) {
                     throw new Error('Pulled record does not have a valid ID');
                 }
                 
-                return operationTableManager.readPendingOperations(tableName, pulledRecord[idPropertyName]).then(function(pendingOperations) {
+                return operationTableManager.readPendingOperations(tableName, id).then(function(pendingOperations) {
                     // If there are pending operations for the record we just pulled, we ignore it.
                     if (pendingOperations.length > 0) {
                         return;
                     }
 
                     if (pulledRecord[sysProps.deletedColumnName] === true) {
-                        return store.del(tableName, pulledRecord.id);
+                        return store.del(tableName, id);
                     } else if (pulledRecord[sysProps.deletedColumnName] === false) {
                         return store.upsert(tableName, pulledRecord);
                     } else {
@@ -273,6 +328,27 @@ function createPullManager(client, store, storeTaskRunner, operationTableManager
         }
     }
 
+    // Notifies the onProgress callback, if any, that a page is pulled
+    function reportProgress() {
+        if (onProgress) {
+            onProgress({
+                type: 'pull',
+                tableName: pagePullQuery.getComponents().table,
+                queryId: pullQueryId,
+                pageCount: pulledPageCount,
+                recordCount: pulledRecordCount,
+                lastKnownUpdatedAt: lastKnownUpdatedAt
+            });
+        }
+    }
+
+    // Rejects the pull with an aborted error if it is cancelled
+    function throwIfCancelled() {
+        if (signal && signal.aborted) {
+            throw _.createError(createAbortError(false));
+        }
+    }
+
     // Not all query operations are allowed while pulling.
     // This function validates that the query does not perform unsupported operations.
     function validateQuery(query) {
@@ -17,6 +17,9 @@ var Validate = require('../Utilities/Validate'),
     sysProps = require('../constants').table.sysProps,
     createPushError = require('./pushError').createPushError,
     handlePushError = require('./pushError').handlePushError,
+    getIdPropertyName = require('./ids').getIdPropertyName,
+    createAbortError = require('../Transports/transportHelper').createAbortError,
+    errors = require('../errors'),
     _ = require('../Utilities/Extensions');
 
 function createPushManager(client, store, storeTaskRunner, operationTableManager) {
@@ -27,7 +30,13 @@ function createPushManager(client, store, storeTaskRunner, operationTableManager
         lastFailedOperationId,
         retryCount,
         maxRetryCount = 5,
-        pushHandler;
+        pushHandler,
+        signal, // AbortSignal that cancels the push
+        operationFilter, // selects the operations to push
+        onProgress, // callback that is notified of the progress of the push
+        totalOperationCount, // number of operations pending when the push started, for reporting progress
+        pushedOperationCount, // number of operations pushed so far, for logging
+        log = client._log;
     
     return {
         push: push
@@ -36,16 +45,86 @@ function createPushManager(client, store, storeTaskRunner, operationTableManager
     /**
      * Pushes operations performed on the local store to the server tables.
      * 
+     * @param [handler] The push handler, see MobileServiceSyncContext#push
+     * @param [settings] An object that defines the push settings
+     * @param [settings.signal] An AbortSignal that can be used to cancel the push. The push stops before pushing the next operation,
+     *                          or aborts the request of the operation that is being pushed, and is rejected with a CancellationError.
+     *                          Operations that were not pushed stay in the operation table.
+     * @param [settings.tableNames] An array of table names. If specified, only the operations performed on these tables are pushed.
+     * @param [settings.itemIds] An array of record IDs. If specified, only the operations performed on these records are pushed.
+     *                           If tableNames is also specified, only the operations performed on these records in these tables are pushed.
+     *                           The operations that are not pushed stay in the operation table, and the selected operations are pushed
+     *                           in the order in which they were performed.
+     * @param [settings.onProgress] A function that is called with a progress event each time an operation is pushed or results in a
+     *                              conflict that isn't handled. The event has the following properties:
+     *                              - type - 'push'
+     *                              - tableName, action and itemId - the operation that was pushed
+     *                              - pushedCount - number of operations pushed so far
+     *                              - conflictCount - number of conflicts that weren't handled so far
+     *                              - totalCount - number of operations that were pending when the push started
+     * 
      * @returns A promise that is fulfilled when all pending operations are pushed. Conflict errors won't fail the push operation.
      *          All conflicts are collected and returned to the user at the completion of the push operation. 
      *          The promise is rejected if pushing any record fails for reasons other than conflict or is cancelled.
      */
-    function push(handler) {
+    function push(handler, settings) {
         return pushTaskRunner.run(function() {
+            Validate.isObject(settings, 'settings');
+            settings = settings || {};
+            if (!_.isNull(settings.signal)) {
+                Validate.isObject(settings.signal, 'settings.signal');
+            }
+            if (!_.isNull(settings.tableNames)) {
+                Validate.isArray(settings.tableNames, 'settings.tableNames');
+                settings.tableNames.forEach(function(tableName) {
+                    Validate.isString(tableName, 'settings.tableNames');
+                    Validate.notNullOrEmpty(tableName, 'settings.tableNames');
+                });
+            }
+            if (!_.isNull(settings.itemIds)) {
+                Validate.isArray(settings.itemIds, 'settings.itemIds');
+                settings.itemIds.forEach(function(itemId) {
+                    Validate.isValidId(itemId, 'settings.itemIds');
+                });
+            }
+            if (!_.isNull(settings.onProgress)) {
+                Validate.isFunction(settings.onProgress, 'settings.onProgress');
+            }
+
             reset();
             pushHandler = handler;
-            return pushAllOperations().then(function() {
+            signal = settings.signal;
+            operationFilter = {
+                tableNames: settings.tableNames,
+                itemIds: settings.itemIds
+            };
+            onProgress = settings.onProgress;
+            throwIfCancelled();
+
+            var start = Date.now();
+            log.info('Push started', { type: 'push', step: 'start' });
+
+            return countOperations().then(function() {
+                return pushAllOperations();
+            }).then(function() {
+                log.info('Push completed', {
+                    type: 'push',
+                    step: 'complete',
+                    count: pushedOperationCount,
+                    conflicts: pushConflicts.length,
+                    duration: Date.now() - start
+                });
                 return pushConflicts;
+            }, function(error) {
+                log.error('Push failed', {
+                    type: 'push',
+                    step: 'error',
+                    count: pushedOperationCount,
+                    conflicts: pushConflicts.length,
+                    duration: Date.now() - start,
+                    error: error.message
+                });
+                throw error;
             });
         });
     }
@@ -56,6 +135,7 @@ function createPushManager(client, store, storeTaskRunner, operationTableManager
         lastFailedOperationId = -1; // Initialize to an invalid operation id
         retryCount = 0;
         pushConflicts = [];
+        pushedOperationCount = 0;
     }
     
     // Pushes all pending operations, one at a time.
@@ -69,18 +149,35 @@ function createPushManager(client, store, storeTaskRunner, operationTableManager
     function pushAllOperations() {
         var currentOperation,
             pushError;
-        return readAndLockFirstPendingOperation().then(function(pendingOperation) {
+        return Platform.async(function(callback) {
+            callback();
+        })().then(function() {
+            // Stop between operations if the push is cancelled
+            throwIfCancelled();
+            return readAndLockFirstPendingOperation();
+        }).then(function(pendingOperation) {
             if (!pendingOperation) {
                 return; // No more pending operations. Push is complete
             }
             
             var currentOperation = pendingOperation;
             
+            log.debug('Pushing operation', getOperationEvent(currentOperation, 'operation'));
             return pushOperation(currentOperation).then(function() {
+                ++pushedOperationCount;
                 return removeLockedOperation();
             }, function(error) {
                 // failed to push
+                log.warn('Failed to push operation', _.extend(getOperationEvent(currentOperation, 'operationError'), {
+                    status: error && error.request ? error.request.status : null,
+                    error: error && error.message
+                }));
                 return unlockPendingOperation().then(function() {
+                    // A cancelled operation stays in the operation table, to be pushed again later
+                    if (error instanceof errors.CancellationError) {
+                        throw error;
+                    }
+
                     pushError = createPushError(store, operationTableManager, storeTaskRunner, currentOperation, error);
                     //TODO: If the conflict isn't resolved but the error is marked as handled by the user,
                     //we can end up in an infinite loop. Guard against this by capping the max number of 
@@ -101,6 +198,7 @@ function createPushManager(client, store, storeTaskRunner, operationTableManager
             }).then(function() {
                 if (!pushError) { // no push error
                     lastProcessedOperationId = currentOperation.logRecord.id;
+                    reportProgress(currentOperation);
                 } else if (pushError && !pushError.isHandled) { // push failed and not handled
 
                     // For conflict errors, we add the error to the list of errors and continue pushing other records
@@ -108,6 +206,7 @@ function createPushManager(client, store, storeTaskRunner, operationTableManager
                     if (pushError.isConflict()) {
                         lastProcessedOperationId = currentOperation.logRecord.id;
                         pushConflicts.push(pushError);
+                        reportProgress(currentOperation);
                     } else { 
                         throw new verror.VError(pushError.getError(), 'Push failed while pushing operation for tableName : ' + currentOperation.logRecord.tableName +
                                                                  ', action: ' + currentOperation.logRecord.action +
@@ -123,10 +222,41 @@ function createPushManager(client, store, storeTaskRunner, operationTableManager
         });
     }
     
+    // Counts the operations to push, if the progress is reported
+    function countOperations() {
+        totalOperationCount = undefined;
+        if (!onProgress) {
+            return Platform.async(function(callback) {
+                callback();
+            })();
+        }
+
+        return storeTaskRunner.run(function() {
+            return operationTableManager.countPendingOperations(operationFilter).then(function(count) {
+                totalOperationCount = count;
+            });
+        });
+    }
+
+    // Notifies the onProgress callback, if any, that the specified operation is done
+    function reportProgress(operation) {
+        if (onProgress) {
+            onProgress({
+                type: 'push',
+                tableName: operation.logRecord.tableName,
+                action: operation.logRecord.action,
+                itemId: operation.logRecord.itemId,
+                pushedCount: pushedOperationCount,
+                conflictCount: pushConflicts.length,
+                totalCount: totalOperationCount
+            });
+        }
+    }
+
     function readAndLockFirstPendingOperation() {
         return storeTaskRunner.run(function() {
             var pendingOperation;
-            return operationTableManager.readFirstPendingOperationWithData(lastProcessedOperationId).then(function(operation) {
+            return operationTableManager.readFirstPendingOperationWithData(lastProcessedOperationId, operationFilter).then(function(operation) {
                 pendingOperation = operation;
                 
                 if (!pendingOperation) {
@@ -161,22 +291,28 @@ function createPushManager(client, store, storeTaskRunner, operationTableManager
         }).then(function() {
             // perform push
 
-            var mobileServiceTable = client.getTable(operation.logRecord.tableName);
+            var tableName = operation.logRecord.tableName,
+                idPropertyName = getIdPropertyName(store, tableName),
+                mobileServiceTable = client.getTable(tableName, { idPropertyName: idPropertyName }),
+                requestOptions = { signal: signal };
             mobileServiceTable._features = [constants.features.OfflineSync];
             switch(operation.logRecord.action) {
                 case 'insert':
                     removeSysProps(operation.data); // We need to remove system properties before we insert in the server table
-                    return mobileServiceTable.insert(operation.data).then(function(result) {
+                    return mobileServiceTable.insert(operation.data, null, requestOptions).then(function(result) {
                         return store.upsert(operation.logRecord.tableName, result); // Upsert the result of insert into the local table
                     });
                 case 'update':
-                    return mobileServiceTable.update(operation.data).then(function(result) {
+                    return mobileServiceTable.update(operation.data, null, requestOptions).then(function(result) {
                         return store.upsert(operation.logRecord.tableName, result); // Upsert the result of update into the local table
                     });
                 case 'delete':
                     // Use the version info form the log record.
                     operation.logRecord.metadata = operation.logRecord.metadata || {};
-                    return mobileServiceTable.del({id: operation.logRecord.itemId, version: operation.logRecord.metadata.version});
+                    var record = {};
+                    record[idPropertyName] = operation.logRecord.itemId;
+                    record.version = operation.logRecord.metadata.version;
+                    return mobileServiceTable.del(record, null, requestOptions);
                 default:
                     throw new Error('Unsupported action ' + operation.logRecord.action);
             }
@@ -187,6 +323,25 @@ function createPushManager(client, store, storeTaskRunner, operationTableManager
         
     }
     
+    // Rejects the push with an aborted error if it is cancelled
+    function throwIfCancelled() {
+        if (signal && signal.aborted) {
+            throw _.createError(createAbortError(false));
+        }
+    }
+
+    // Gets the details of an operation to log
+    function getOperationEvent(operation, step) {
+        return {
+            type: 'push',
+            step: step,
+            operationId: operation.logRecord.id,
+            tableName: operation.logRecord.tableName,
+            action: operation.logRecord.action,
+            itemId: operation.logRecord.itemId
+        };
+    }
+    
     function removeSysProps(record) {
         for (var i in sysProps) {
             delete record[sysProps[i]];
@@ -8,7 +8,8 @@
 
 var Platform = require('../Platform'),
     _ = require('../Utilities/Extensions'),
-    tableConstants = require('../constants').table;
+    tableConstants = require('../constants').table,
+    ids = require('./ids');
     
 var operationTableName = tableConstants.operationTableName,
     deletedColumnName = tableConstants.sysProps.deletedColumnName;
@@ -86,7 +87,7 @@ function createPushError(store, operationTableManager, storeTaskRunner, pushOper
      * @returns true - if the current error is a conflict error. false - otherwise.
      */
     function isConflict() {
-        return operationError.request.status === 409 || operationError.request.status === 412;
+        return !!operationError.request && (operationError.request.status === 409 || operationError.request.status === 412);
     }
     
     /**
@@ -108,11 +109,12 @@ function createPushError(store, operationTableManager, storeTaskRunner, pushOper
                 throw new Error('Need a valid object to update the record');
             }
             
-            if (!_.isValidId(newValue.id)) {
-                throw new Error('Invalid ID: ' + newValue.id);
+            var idPropertyName = ids.getIdPropertyName(store, pushOperation.logRecord.tableName);
+            if (!_.isValidId(newValue[idPropertyName])) {
+                throw new Error('Invalid ID: ' + newValue[idPropertyName]);
             }
             
-            if (newValue.id !== pushOperation.data.id) {
+            if (!ids.areIdsEqual(newValue[idPropertyName], pushOperation.data[idPropertyName])) {
                 throw new Error('Only updating the record being pushed is allowed');
             }
             
@@ -188,11 +190,12 @@ function createPushError(store, operationTableManager, storeTaskRunner, pushOper
                 throw new Error('Need a valid object to update the record');
             }
             
-            if (!_.isValidId(newValue.id)) {
-                throw new Error('Invalid ID: ' + newValue.id);
+            var idPropertyName = ids.getIdPropertyName(store, pushOperation.logRecord.tableName);
+            if (!_.isValidId(newValue[idPropertyName])) {
+                throw new Error('Invalid ID: ' + newValue[idPropertyName]);
             }
             
-            if (newValue.id !== pushOperation.data.id) {
+            if (!ids.areIdsEqual(newValue[idPropertyName], pushOperation.data[idPropertyName])) {
                 throw new Error('Only updating the record being pushed is allowed');
             }
 
@@ -251,13 +254,14 @@ function createPushError(store, operationTableManager, storeTaskRunner, pushOper
             // If a new value for the record is specified, use the version property to update the metadata
             // If not, there is nothing that needs to be changed in the metadata. Just use the metadata we already have.
             if (newClientRecord) {
-                if (!newClientRecord.id) {
+                var newId = newClientRecord[ids.getIdPropertyName(store, pushOperation.logRecord.tableName)];
+                if (!newId) {
                     throw new Error('New client record value must specify the record ID');
                 }
                     
-                if (newClientRecord.id !== pushOperation.logRecord.itemId) {
+                if (!ids.areIdsEqual(newId, pushOperation.logRecord.itemId)) {
                     throw new Error('New client record value cannot change the record ID. Original ID: ' +
-                                    pushOperation.logRecord.id + ' New ID: ' + newClientRecord.id);
+                                    pushOperation.logRecord.id + ' New ID: ' + newId);
                 }
 
                 // FYI: logOperation.data and pushOperation.data are not the same thing!
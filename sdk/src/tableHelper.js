@@ -23,8 +23,8 @@ var copyOperator = function (table, operator) {
         // Add a .read() method on the query which will execute the query.
         // This method is defined here per query instance because it's
         // implicitly tied to the table.
-        query.read = function (parameters) {
-            return table.read(query, parameters);
+        query.read = function (parameters, options) {
+            return table.read(query, parameters, options);
         };
 
         // Invoke the query operator on the newly created query
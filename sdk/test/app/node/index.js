@@ -0,0 +1,47 @@
+// ----------------------------------------------------------------------------
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// ----------------------------------------------------------------------------
+
+// Runs the shared and the Node.js specific unit tests using QUnit in Node.js
+
+var fs = require('fs'),
+    os = require('os'),
+    path = require('path'),
+    testsDir = path.join(__dirname, '..', '..', 'tests'),
+    testDirectories = [
+        path.join(testsDir, 'shared'),
+        path.join(testsDir, 'target', 'node')
+    ];
+
+global.QUnit = require('qunitjs');
+
+// Keep the settings written by the tests out of the user's settings file
+process.env.AZURE_MOBILE_APPS_SETTINGS_FILE = path.join(os.tmpdir(), 'azure-mobile-apps-client.tests.json');
+
+// The SDK entry point needs to be loaded first to resolve the cyclic dependencies
+// in the same order as the browserified bundles
+require('../../../src/index');
+require('../../misc/testframework');
+
+testDirectories.forEach(function (dir) {
+    fs.readdirSync(dir).forEach(function (file) {
+        if (path.extname(file) === '.js') {
+            require(path.join(dir, file));
+        }
+    });
+});
+
+QUnit.log(function (details) {
+    if (!details.result) {
+        console.log('FAILED: ' + details.module + ' - ' + details.name + ': ' + (details.message || '') +
+                    ' (expected: ' + JSON.stringify(details.expected) + ', actual: ' + JSON.stringify(details.actual) + ')');
+    }
+});
+
+QUnit.done(function (details) {
+    console.log(details.passed + ' of ' + details.total + ' assertions passed in ' + details.runtime + 'ms');
+    process.exit(details.failed > 0 ? 1 : 0);
+});
+
+$run();
+QUnit.load();
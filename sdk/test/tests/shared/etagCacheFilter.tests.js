@@ -0,0 +1,215 @@
+// ----------------------------------------------------------------------------
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// ----------------------------------------------------------------------------
+
+/**
+ * @file unit tests for the ETag cache filter
+ */
+
+var testHelper = require('./testHelper'),
+    createClient = testHelper.createClient,
+    createResponse = testHelper.createResponse,
+    createETagCacheFilter = require('../../../src/Filters/etagCacheFilter').createETagCacheFilter;
+
+$testGroup('ETag cache filter tests',
+
+    $test('lookup is revalidated and served from the cache')
+    .checkAsync(function () {
+        var requests = [];
+        var table = createClient(function (req) {
+            requests.push(req.headers['If-None-Match']);
+            if (requests.length === 1) {
+                return createResponse('{"id":"1","text":"a"}', { ETag: '"AAA"' });
+            }
+            return createResponse('', null, 304);
+        }).withFilter(createETagCacheFilter()).getTable('books');
+
+        return table.lookup('1').then(function (result) {
+            $assert.areEqual(result, { id: '1', text: 'a', version: 'AAA' });
+            return table.lookup('1');
+        }).then(function (result) {
+            $assert.areEqual(result, { id: '1', text: 'a', version: 'AAA' });
+            $assert.areEqual(requests, [undefined, '"AAA"']);
+        });
+    }),
+
+    $test('changed records replace the cached response')
+    .checkAsync(function () {
+        var requests = [];
+        var table = createClient(function (req) {
+            requests.push(req.headers['If-None-Match']);
+            return createResponse('{"id":"1","text":"' + requests.length + '"}', { ETag: '"' + requests.length + '"' });
+        }).withFilter(createETagCacheFilter()).getTable('books');
+
+        return table.lookup('1').then(function () {
+            return table.lookup('1');
+        }).then(function (result) {
+            $assert.areEqual(result.text, '2');
+            return table.lookup('1');
+        }).then(function () {
+            $assert.areEqual(requests, [undefined, '"1"', '"2"']);
+        });
+    }),
+
+    $test('refresh is revalidated using the version of the record')
+    .checkAsync(function () {
+        var requests = [];
+        var table = createClient(function (req) {
+            requests.push(req.headers['If-None-Match']);
+            if (requests.length === 1) {
+                return createResponse('[{"id":"1","text":"a","version":"AAA"}]');
+            }
+            return createResponse('', null, 304);
+        }).withFilter(createETagCacheFilter()).getTable('books');
+
+        return table.refresh({ id: '1' }).then(function () {
+            return table.refresh({ id: '1', text: 'old' });
+        }).then(function (result) {
+            $assert.areEqual(result, { id: '1', text: 'a', version: 'AAA' });
+            $assert.areEqual(requests, [undefined, '"AAA"']);
+        });
+    }),
+
+    $test('refresh escapes the quotes in the version of the record')
+    .checkAsync(function () {
+        var requests = [];
+        var table = createClient(function (req) {
+            requests.push(req.headers['If-None-Match']);
+            return createResponse('[{"id":"1","version":"A\\"B"}]');
+        }).withFilter(createETagCacheFilter()).getTable('books');
+
+        return table.refresh({ id: '1' }).then(function () {
+            return table.refresh({ id: '1' });
+        }).then(function () {
+            $assert.areEqual(requests, [undefined, '"A\\"B"']);
+        });
+    }),
+
+    $test('cached response is served if it is invalidated while it is revalidated')
+    .checkAsync(function () {
+        var requests = [],
+            cache = createETagCacheFilter();
+        var table = createClient(function (req) {
+            requests.push(req.headers['If-None-Match']);
+            if (requests.length === 1) {
+                return createResponse('{"id":"1","text":"a"}', { ETag: '"AAA"' });
+            }
+            if (requests.length === 2) {
+                // Invalidate the entry after the request is sent, but before the 304 is received
+                cache.invalidate('books');
+                return createResponse('', null, 304);
+            }
+            return createResponse('{"id":"1","text":"b"}', { ETag: '"BBB"' });
+        }).withFilter(cache).getTable('books');
+
+        return table.lookup('1').then(function () {
+            return table.lookup('1');
+        }).then(function (result) {
+            $assert.areEqual(result, { id: '1', text: 'a', version: 'AAA' });
+            return table.lookup('1');
+        }).then(function (result) {
+            $assert.areEqual(result, { id: '1', text: 'b', version: 'BBB' });
+            $assert.areEqual(requests, [undefined, '"AAA"', undefined]);
+        });
+    }),
+
+    $test('writes invalidate the cached responses of the table')
+    .checkAsync(function () {
+        var requests = [];
+        var client = createClient(function (req) {
+            requests.push(req.type + ' ' + req.url + ' ' + req.headers['If-None-Match']);
+            return createResponse('{"id":"1"}', { ETag: '"AAA"' });
+        }).withFilter(createETagCacheFilter());
+
+        var books = client.getTable('books'),
+            authors = client.getTable('authors');
+
+        return books.lookup('1').then(function () {
+            return authors.lookup('1');
+        }).then(function () {
+            return books.update({ id: '1' });
+        }).then(function () {
+            return books.lookup('1');
+        }).then(function () {
+            return authors.lookup('1');
+        }).then(function () {
+            $assert.areEqual(requests, [
+                'GET http://www.test.com/tables/books/1 undefined',
+                'GET http://www.test.com/tables/authors/1 undefined',
+                'PATCH http://www.test.com/tables/books/1 undefined',
+                'GET http://www.test.com/tables/books/1 undefined',
+                'GET http://www.test.com/tables/authors/1 "AAA"'
+            ]);
+        });
+    }),
+
+    $test('invalidate and clear remove cached responses')
+    .checkAsync(function () {
+        var requests = [],
+            cache = createETagCacheFilter();
+        var client = createClient(function (req) {
+            requests.push(req.headers['If-None-Match']);
+            return createResponse('{"id":"1"}', { ETag: '"AAA"' });
+        }).withFilter(cache);
+
+        var table = client.getTable('Books');
+        return table.lookup('1').then(function () {
+            cache.invalidate('books');
+            return table.lookup('1');
+        }).then(function () {
+            cache.clear();
+            return table.lookup('1');
+        }).then(function () {
+            return table.lookup('1');
+        }).then(function () {
+            $assert.areEqual(requests, [undefined, undefined, undefined, '"AAA"']);
+        });
+    }),
+
+    $test('least recently used responses are evicted')
+    .checkAsync(function () {
+        var requests = [];
+        var table = createClient(function (req) {
+            requests.push(req.url.substring(req.url.length - 1) + ' ' + req.headers['If-None-Match']);
+            return createResponse('{"id":"1"}', { ETag: '"AAA"' });
+        }).withFilter(createETagCacheFilter({ maxEntries: 2 })).getTable('books');
+
+        return table.lookup('1').then(function () {
+            return table.lookup('2');
+        }).then(function () {
+            return table.lookup('1');
+        }).then(function () {
+            return table.lookup('3');
+        }).then(function () {
+            return table.lookup('2');
+        }).then(function () {
+            return table.lookup('1');
+        }).then(function () {
+            $assert.areEqual(requests, ['1 undefined', '2 undefined', '1 "AAA"', '3 undefined', '2 undefined', '1 undefined']);
+        });
+    }),
+
+    $test('responses without an ETag are not cached')
+    .checkAsync(function () {
+        var requests = [];
+        var client = createClient(function (req) {
+            requests.push(req.headers['If-None-Match']);
+            return createResponse('[{"id":"1"},{"id":"2","version":"AAA"}]');
+        }).withFilter(createETagCacheFilter());
+
+        return client.getTable('books').read().then(function () {
+            return client.invokeApi('tables', { method: 'GET' });
+        }).then(function () {
+            return client.getTable('books').read();
+        }).then(function () {
+            $assert.areEqual(requests, [undefined, undefined, undefined]);
+        });
+    }),
+
+    $test('options are validated')
+    .check(function () {
+        $assertThrows(function () { createETagCacheFilter('options'); });
+        $assertThrows(function () { createETagCacheFilter({ maxEntries: 0 }); });
+        $assertThrows(function () { createETagCacheFilter({ maxEntries: 1.5 }); });
+    })
+);
@@ -2,7 +2,8 @@
 // Copyright (c) Microsoft Corporation. All rights reserved.
 // ----------------------------------------------------------------------------
 
-var Extensions = require('../../../src/Utilities/Extensions');
+var Extensions = require('../../../src/Utilities/Extensions'),
+    errors = require('../../../src/errors');
 
 $testGroup('Extensions.js',
 
@@ -434,6 +435,75 @@ $testGroup('Extensions.js',
         $assert.isNull(error.exception);
     }),
 
+    $test('createError - error types')
+    .description('Verify the type of the created errors')
+    .check(function () {
+        var error = Extensions.createError('BOOM');
+        $assert.isTrue(error instanceof Error);
+        $assert.isTrue(error instanceof errors.MobileServiceError);
+        $assert.areEqual(error.name, 'MobileServiceError');
+        $assert.areEqual(error.code, 'RequestFailed');
+        $assert.areEqual(error.toString(), 'BOOM');
+        $assert.isNotNull(error.stack);
+        $assert.isNull(error.status);
+        $assert.isNull(error.response);
+
+        error = Extensions.createError(null, { status: 500, responseText: '{"error":"BOOM"}' });
+        $assert.areEqual(error.constructor, errors.MobileServiceError);
+        $assert.areEqual(error.status, 500);
+        $assert.areEqual(error.response, error.request);
+
+        error = Extensions.createError(null, { status: 0, responseText: '' });
+        $assert.isTrue(error instanceof errors.NetworkError);
+        $assert.areEqual(error.code, 'NetworkFailure');
+
+        error = Extensions.createError({ name: 'TimeoutError' });
+        $assert.isTrue(error instanceof errors.TimeoutError);
+        $assert.isTrue(error instanceof errors.MobileServiceError);
+        $assert.areEqual(error.code, 'Timeout');
+        $assert.isTrue(error.isTimeout);
+
+        error = Extensions.createError({ name: 'AbortError' });
+        $assert.isTrue(error instanceof errors.CancellationError);
+        $assert.isTrue(error instanceof errors.MobileServiceError);
+        $assert.areEqual(error.code, 'Aborted');
+        $assert.isTrue(error.isAborted);
+
+        error = Extensions.createError(null, { status: 400, responseText: '{"error":"BOOM"}' });
+        $assert.isTrue(error instanceof errors.ValidationError);
+        $assert.areEqual(error.code, 'BadRequest');
+
+        error = Extensions.createError(null, { status: 401, responseText: '' });
+        $assert.isTrue(error instanceof errors.AuthenticationError);
+        $assert.areEqual(error.code, 'Unauthorized');
+
+        error = Extensions.createError(null, { status: 403, responseText: '' });
+        $assert.isTrue(error instanceof errors.AuthenticationError);
+        $assert.areEqual(error.code, 'Forbidden');
+
+        // Errors that are already wrapped are returned as is
+        $assert.areEqual(Extensions.createError(error), error);
+    }),
+
+    $test('createError - conflicts')
+    .description('Verify conflict errors carry the server version of the record')
+    .check(function () {
+        var error = Extensions.createError(null, { status: 409, responseText: '{"id":"1","text":"server"}' });
+        $assert.isTrue(error instanceof errors.ConflictError);
+        $assert.areEqual(error.code, 'Conflict');
+        $assert.areEqual(error.status, 409);
+        $assert.areEqual(error.serverInstance, { id: '1', text: 'server' });
+
+        error = Extensions.createError(null, { status: 412, responseText: '{"id":"1","text":"server"}' });
+        $assert.isTrue(error instanceof errors.ConflictError);
+        $assert.areEqual(error.code, 'PreconditionFailed');
+        $assert.areEqual(error.serverInstance, { id: '1', text: 'server' });
+
+        error = Extensions.createError(null, { status: 412, responseText: 'BOOM' });
+        $assert.isTrue(error instanceof errors.ConflictError);
+        $assert.isNull(error.serverInstance);
+    }),
+
     $test('installIdFormat')
     .description('Verify the format of the installation ids')
     .check(function () {
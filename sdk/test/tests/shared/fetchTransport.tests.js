@@ -0,0 +1,238 @@
+// ----------------------------------------------------------------------------
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// ----------------------------------------------------------------------------
+
+/**
+ * @file unit tests for the fetch based transport
+ */
+
+var Platform = require('../../../src/Platform'),
+    Promises = require('../../../src/Utilities/Promises'),
+    transport = require('../../../src/Transports/FetchTransport');
+
+var originalFetch,
+    fetchHandler;
+
+$testGroup('FetchTransport tests')
+
+    // Replace the global fetch with a fake for the duration of each test
+    .beforeEachAsync(function() {
+        return Platform.async(function(callback) {
+            originalFetch = global.fetch;
+            fetchHandler = undefined;
+            global.fetch = function(url, init) {
+                return fetchHandler(url, init);
+            };
+            callback();
+        })();
+    })
+    .afterEachAsync(function() {
+        return Platform.async(function(callback) {
+            global.fetch = originalFetch;
+            callback();
+        })();
+    }).tests(
+
+    $test('supportsCurrentRuntime')
+    .check(function () {
+        $assert.isTrue(transport.supportsCurrentRuntime());
+    }),
+
+    $test('request and response are converted')
+    .checkAsync(function () {
+        fetchHandler = function(url, init) {
+            $assert.areEqual(url, 'http://someurl/tables/todoitem');
+            $assert.areEqual(init.method, 'PATCH');
+            $assert.areEqual(init.headers, { 'Content-Type': 'application/json', 'If-Match': '"1"' });
+            $assert.areEqual(init.body, '{"id":"1"}');
+            return resolved(createFetchResponse(200, 'OK', { 'etag': '"2"' }, '{"id":"1","version":"2"}'));
+        };
+
+        return performRequest({
+            type: 'patch',
+            url: 'http://someurl/tables/todoitem#hash',
+            headers: { 'Content-Type': 'application/json', 'If-Match': '"1"' },
+            data: '{"id":"1"}'
+        }).then(function(response) {
+            $assert.areEqual(response.status, 200);
+            $assert.areEqual(response.statusText, 'OK');
+            $assert.areEqual(response.responseText, '{"id":"1","version":"2"}');
+            $assert.areEqual(response.getResponseHeader('ETag'), '"2"');
+            $assert.isNull(response.getResponseHeader('Link'));
+            $assert.areEqual(response.getAllResponseHeaders(), 'etag: "2"');
+        });
+    }),
+
+    $test('no body is sent when data is null')
+    .checkAsync(function () {
+        fetchHandler = function(url, init) {
+            $assert.areEqual(init.method, 'GET');
+            $assert.isNull(init.body);
+            return resolved(createFetchResponse(200, 'OK', {}, '[]'));
+        };
+
+        return performRequest({
+            url: 'http://someurl/tables/todoitem',
+            data: null
+        }).then(function(response) {
+            $assert.areEqual(response.responseText, '[]');
+        });
+    }),
+
+    $test('response body is streamed')
+    .checkAsync(function () {
+        // 'aé' split across chunks in the middle of the multi-byte character
+        var chunks = [new Uint8Array([0x61, 0xC3]), new Uint8Array([0xA9])];
+        fetchHandler = function(url, init) {
+            var response = createFetchResponse(200, 'OK', {}, 'should not be used');
+            response.body = {
+                getReader: function() {
+                    return {
+                        read: function() {
+                            var chunk = chunks.shift();
+                            return resolved(chunk ? { done: false, value: chunk } : { done: true });
+                        }
+                    };
+                }
+            };
+            return resolved(response);
+        };
+
+        return performRequest({
+            type: 'GET',
+            url: 'http://someurl/tables/todoitem'
+        }).then(function(response) {
+            $assert.areEqual(response.responseText, 'aé');
+        });
+    }),
+
+    $test('connection failure results in status 0')
+    .checkAsync(function () {
+        fetchHandler = function(url, init) {
+            return rejected(new TypeError('Failed to fetch'));
+        };
+
+        return performRequest({
+            type: 'GET',
+            url: 'http://someurl/tables/todoitem'
+        }).then(function(response) {
+            $assert.areEqual(response.status, 0);
+        });
+    }),
+
+    $test('request is aborted using an AbortSignal')
+    .checkAsync(function () {
+        var signal = createSignal();
+        fetchHandler = function(url, init) {
+            return new Promises.Promise(function() {
+                signal.abort(); // never completes unless aborted
+            });
+        };
+
+        return performRequest({
+            type: 'GET',
+            url: 'http://someurl/tables/todoitem',
+            signal: signal
+        }).then(function(response) {
+            $assert.fail('request should have been aborted');
+        }, function(error) {
+            $assert.areEqual(error.name, 'AbortError');
+        });
+    }),
+
+    $test('request is not sent if the AbortSignal is already aborted')
+    .checkAsync(function () {
+        var signal = createSignal();
+        signal.aborted = true;
+        fetchHandler = function(url, init) {
+            $assert.fail('fetch should not have been called');
+        };
+
+        return performRequest({
+            type: 'GET',
+            url: 'http://someurl/tables/todoitem',
+            signal: signal
+        }).then(function(response) {
+            $assert.fail('request should have been aborted');
+        }, function(error) {
+            $assert.areEqual(error.name, 'AbortError');
+        });
+    }),
+
+    $test('request times out')
+    .checkAsync(function () {
+        fetchHandler = function(url, init) {
+            return new Promises.Promise(function() {}); // never completes
+        };
+
+        return performRequest({
+            type: 'GET',
+            url: 'http://someurl/tables/todoitem',
+            timeout: 10
+        }).then(function(response) {
+            $assert.fail('request should have timed out');
+        }, function(error) {
+            $assert.areEqual(error.name, 'TimeoutError');
+        });
+    })
+);
+
+function resolved(value) {
+    return new Promises.Promise(function(resolve) {
+        resolve(value);
+    });
+}
+
+function rejected(error) {
+    return new Promises.Promise(function(resolve, reject) {
+        reject(error);
+    });
+}
+
+function performRequest(request) {
+    return Platform.async(transport.performRequest)(request);
+}
+
+// Creates a minimal fetch Response without a streamable body
+function createFetchResponse(status, statusText, headers, body) {
+    return {
+        status: status,
+        statusText: statusText,
+        headers: {
+            get: function(name) {
+                var value = headers[name.toLowerCase()];
+                return value === undefined ? null : value;
+            },
+            forEach: function(callback) {
+                for (var name in headers) {
+                    callback(headers[name], name);
+                }
+            }
+        },
+        text: function() {
+            return resolved(body);
+        }
+    };
+}
+
+// Creates a minimal AbortSignal
+function createSignal() {
+    var listeners = [];
+    return {
+        aborted: false,
+        addEventListener: function(type, listener) {
+            listeners.push(listener);
+        },
+        removeEventListener: function(type, listener) {
+            listeners = listeners.filter(function(l) {
+                return l !== listener;
+            });
+        },
+        abort: function() {
+            this.aborted = true;
+            listeners.forEach(function(listener) {
+                listener();
+            });
+        }
+    };
+}
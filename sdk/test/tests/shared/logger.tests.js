@@ -0,0 +1,225 @@
+// ----------------------------------------------------------------------------
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// ----------------------------------------------------------------------------
+
+/**
+ * @file unit tests for the logger and the logging of HTTP requests
+ */
+
+var Platform = require('../../../src/Platform'),
+    MobileServiceClient = require('../../../src/MobileServiceClient'),
+    createLogger = require('../../../src/Utilities/logger').createLogger;
+
+var originalWebRequest,
+    webRequestHandler;
+
+$testGroup('logger tests')
+
+    // Replace the platform's web request with a fake for the duration of each test
+    .beforeEachAsync(function() {
+        return Platform.async(function(callback) {
+            originalWebRequest = Platform.webRequest;
+            webRequestHandler = undefined;
+            Platform.webRequest = function(request, callback) {
+                webRequestHandler(request, callback);
+            };
+            callback();
+        })();
+    })
+    .afterEachAsync(function() {
+        return Platform.async(function(callback) {
+            Platform.webRequest = originalWebRequest;
+            callback();
+        })();
+    }).tests(
+
+    $test('events below the log level are not logged')
+    .check(function () {
+        var sink = createSink(),
+            log = createLogger({ logger: sink, logLevel: 'warn' });
+
+        log.debug('debug message', { x: 1 });
+        log.info('info message', { x: 2 });
+        log.warn('warn message', { x: 3 });
+        log.error('error message', { x: 4 });
+
+        $assert.areEqual(sink.entries.length, 2);
+        $assert.areEqual(sink.entries[0].level, 'warn');
+        $assert.areEqual(sink.entries[0].message, 'warn message');
+        $assert.areEqual(sink.entries[0].event.x, 3);
+        $assert.areEqual(sink.entries[0].event.level, 'warn');
+        $assert.isTrue(sink.entries[0].event.timestamp instanceof Date);
+        $assert.areEqual(sink.entries[1].level, 'error');
+    }),
+
+    $test('default log level is info')
+    .check(function () {
+        var sink = createSink(),
+            log = createLogger({ logger: sink });
+
+        log.debug('debug message');
+        log.info('info message');
+
+        $assert.areEqual(sink.entries.length, 1);
+        $assert.areEqual(sink.entries[0].level, 'info');
+        $assert.isFalse(log.isEnabled('debug'));
+        $assert.isTrue(log.isEnabled('info'));
+    }),
+
+    $test('nothing is logged without a logger or with log level none')
+    .check(function () {
+        var log = createLogger();
+        $assert.isFalse(log.isEnabled('error'));
+        log.error('error message'); // should not throw
+
+        var sink = createSink();
+        log = createLogger({ logger: sink, logLevel: 'none' });
+        log.error('error message');
+        $assert.areEqual(sink.entries.length, 0);
+    }),
+
+    $test('missing logger methods and failing loggers are ignored')
+    .check(function () {
+        var log = createLogger({
+            logger: {
+                warn: function () {
+                    throw new Error('logger failure');
+                }
+            },
+            logLevel: 'debug'
+        });
+
+        log.debug('debug message');
+        log.warn('warn message');
+    }),
+
+    $test('sensitive headers are redacted')
+    .check(function () {
+        var log = createLogger({ logger: createSink() });
+        $assert.areEqual(log.redactHeaders({ 'x-zumo-auth': 'token', 'AUTHORIZATION': 'Bearer token', 'X-Other': 'value' }), {
+            'x-zumo-auth': '[REDACTED]',
+            'AUTHORIZATION': '[REDACTED]',
+            'X-Other': 'value'
+        });
+
+        log = createLogger({ logger: createSink(), redactedHeaders: ['X-Other'] });
+        $assert.areEqual(log.redactHeaders({ 'X-ZUMO-AUTH': 'token', 'X-Other': 'value' }), {
+            'X-ZUMO-AUTH': 'token',
+            'X-Other': '[REDACTED]'
+        });
+    }),
+
+    $test('invalid options')
+    .check(function () {
+        $assertThrows(function () { createLogger({ logger: 'console' }); });
+        $assertThrows(function () { createLogger({ logger: createSink(), logLevel: 'verbose' }); });
+        $assertThrows(function () { createLogger({ logger: createSink(), redactedHeaders: 'X-ZUMO-AUTH' }); });
+        $assertThrows(function () { new MobileServiceClient('http://www.test.com', { logLevel: 'verbose' }); });
+    }),
+
+    $test('requests are logged')
+    .checkAsync(function () {
+        var sink = createSink(),
+            client = new MobileServiceClient('http://www.test.com', { logger: sink, logLevel: 'debug' });
+
+        client.currentUser = { mobileServiceAuthenticationToken: 'secret' };
+        webRequestHandler = function (request, callback) {
+            $assert.areEqual(request.headers['X-ZUMO-AUTH'], 'secret');
+            callback(null, { status: 200, responseText: '{"id":"1"}', getResponseHeader: function () { return null; } });
+        };
+
+        return client.getTable('books').lookup('1').then(function () {
+            $assert.areEqual(sink.entries.length, 2);
+
+            var sending = sink.entries[0];
+            $assert.areEqual(sending.level, 'debug');
+            $assert.areEqual(sending.event.type, 'request');
+            $assert.areEqual(sending.event.method, 'GET');
+            $assert.areEqual(sending.event.url, 'http://www.test.com/tables/books/1');
+            $assert.areEqual(sending.event.headers['X-ZUMO-AUTH'], '[REDACTED]');
+            $assert.areEqual(sending.event.headers['ZUMO-API-VERSION'], '2.0.0');
+
+            var completed = sink.entries[1];
+            $assert.areEqual(completed.level, 'info');
+            $assert.areEqual(completed.event.status, 200);
+            $assert.areEqual(completed.event.features, []);
+            $assert.isTrue(completed.event.duration >= 0);
+            $assert.isNull(completed.event.headers);
+        });
+    }),
+
+    $test('failed requests are logged')
+    .checkAsync(function () {
+        var sink = createSink(),
+            client = new MobileServiceClient('http://www.test.com', { logger: sink });
+
+        webRequestHandler = function (request, callback) {
+            callback(null, { status: 404, responseText: '', getResponseHeader: function () { return null; } });
+        };
+
+        return client.getTable('books').lookup('1', { param: 'value' }).then(function () {
+            $assert.fail('request should have failed');
+        }, function (error) {
+            $assert.areEqual(sink.entries.length, 1);
+            $assert.areEqual(sink.entries[0].level, 'warn');
+            $assert.areEqual(sink.entries[0].event.status, 404);
+            $assert.areEqual(sink.entries[0].event.features, ['QS']);
+        });
+    }),
+
+    $test('each attempt of a retried request is logged')
+    .checkAsync(function () {
+        var sink = createSink(),
+            attempts = 0,
+            client = new MobileServiceClient('http://www.test.com', { logger: sink });
+
+        client = client.withFilter(function (req, next, callback) {
+            next(req, function (error, response) {
+                if (++attempts < 2) {
+                    return next(req, callback);
+                }
+                callback(error, response);
+            });
+        });
+
+        webRequestHandler = function (request, callback) {
+            var error = new Error('timed out');
+            error.name = 'TimeoutError';
+            callback(error, null);
+        };
+
+        return Platform.async(client._request).call(client, 'GET', 'foo', null).then(function () {
+            $assert.fail('request should have failed');
+        }, function () {
+            $assert.areEqual(sink.entries.length, 2);
+            $assert.areEqual(sink.entries[0].level, 'warn');
+            $assert.areEqual(sink.entries[0].event.error, 'timed out');
+            $assert.isNull(sink.entries[0].event.status);
+        });
+    }),
+
+    $test('withFilter copies the logging configuration')
+    .check(function () {
+        var sink = createSink(),
+            client = new MobileServiceClient('http://www.test.com', { logger: sink, logLevel: 'debug', redactedHeaders: ['X-Secret'] });
+
+        client = client.withFilter(function (req, next, callback) {
+            next(req, callback);
+        });
+
+        $assert.areEqual(client._log.logger, sink);
+        $assert.areEqual(client._log.logLevel, 'debug');
+        $assert.areEqual(client._log.redactedHeaders, ['X-Secret']);
+    })
+);
+
+// Creates a logger that records the logged entries
+function createSink() {
+    var sink = { entries: [] };
+    ['debug', 'info', 'warn', 'error'].forEach(function (level) {
+        sink[level] = function (message, event) {
+            sink.entries.push({ level: level, message: message, event: event });
+        };
+    });
+    return sink;
+}
@@ -0,0 +1,232 @@
+// ----------------------------------------------------------------------------
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// ----------------------------------------------------------------------------
+
+var MobileServiceClient = require('../../../src/MobileServiceClient'),
+    testHelper = require('./testHelper'),
+    createTable = testHelper.createTable,
+    errors = require('../../../src/errors');
+
+$testGroup('MobileServiceTables upsert and bulk operations',
+
+    $test('upsert inserts a new object')
+    .checkAsync(function () {
+        var requests = [];
+        var table = createTable(null, function (req) {
+            requests.push(req.type);
+            return { status: 201, responseText: req.data };
+        });
+
+        return table.upsert({ id: '1', text: 'a' }).then(function (result) {
+            $assert.areEqual(result, { id: '1', text: 'a' });
+            $assert.areEqual(requests, ['POST']);
+        });
+    }),
+
+    $test('upsert updates an existing object')
+    .checkAsync(function () {
+        var requests = [];
+        var table = createTable(null, function (req) {
+            requests.push(req.type + ' ' + req.url);
+            if (req.type === 'POST') {
+                return { status: 409, responseText: '{"id":"1","text":"old"}' };
+            }
+            return { status: 200, responseText: req.data };
+        });
+
+        return table.upsert({ id: '1', text: 'a' }, { custom: 'value' }).then(function (result) {
+            $assert.areEqual(result, { id: '1', text: 'a' });
+            $assert.areEqual(requests, [
+                'POST http://www.test.com/tables/books?custom=value',
+                'PATCH http://www.test.com/tables/books/1?custom=value'
+            ]);
+        });
+    }),
+
+    $test('upsert updates objects with integer ids')
+    .checkAsync(function () {
+        var requests = [];
+        var table = createTable({ idPropertyName: 'Id' }, function (req) {
+            requests.push(req.type + ' ' + req.url + ' ' + req.data);
+            return { status: 200, responseText: req.data };
+        });
+
+        return table.upsert({ Id: 5, text: 'a' }).then(function (result) {
+            $assert.areEqual(result, { Id: 5, text: 'a' });
+            $assert.areEqual(requests, ['PATCH http://www.test.com/tables/books/5 {"Id":5,"text":"a"}']);
+        });
+    }),
+
+    $test('upsert reports errors other than conflicts')
+    .checkAsync(function () {
+        var requests = [];
+        var table = createTable(null, function (req) {
+            requests.push(req.type);
+            return req.type === 'POST' ? { status: 400, responseText: '' } : { status: 412, responseText: '' };
+        });
+
+        return table.upsert({ id: '1', text: 'a' }).then(function () {
+            $assert.fail('upsert should have failed');
+        }, function (error) {
+            $assert.isTrue(error instanceof errors.ValidationError);
+            $assert.areEqual(requests, ['POST']);
+        });
+    }),
+
+    $test('upsert reports update failures')
+    .checkAsync(function () {
+        var table = createTable(null, function (req) {
+            return req.type === 'POST' ? { status: 409, responseText: '' } : { status: 412, responseText: '{"id":"1","version":"2"}' };
+        });
+
+        return table.upsert({ id: '1', version: '1' }).then(function () {
+            $assert.fail('upsert should have failed');
+        }, function (error) {
+            $assert.areEqual(error.code, 'PreconditionFailed');
+            $assert.areEqual(error.serverInstance, { id: '1', version: '2' });
+        });
+    }),
+
+    $test('upsert requires an id')
+    .checkAsync(function () {
+        var table = createTable(null, function () {
+            $assert.fail('request should not have been sent');
+        });
+
+        return table.upsert({ text: 'a' }).then(function () {
+            $assert.fail('upsert should have failed');
+        }, function (error) {
+            $assert.contains(error.message, 'id');
+        });
+    }),
+
+    $test('insertMany returns the result of each insert')
+    .checkAsync(function () {
+        var table = createTable(null, function (req) {
+            var item = JSON.parse(req.data);
+            return item.id === '2' ? { status: 409, responseText: '' } : { status: 201, responseText: req.data };
+        });
+
+        var instances = [{ id: '1' }, { id: '2' }, { id: '3' }];
+        return table.insertMany(instances).then(function (results) {
+            $assert.areEqual(results.length, 3);
+            $assert.areEqual(results[0].instance, instances[0]);
+            $assert.areEqual(results[0].result, { id: '1' });
+            $assert.isNull(results[0].error);
+            $assert.isNull(results[1].result);
+            $assert.isTrue(results[1].error instanceof errors.ConflictError);
+            $assert.areEqual(results[2].result, { id: '3' });
+        });
+    }),
+
+    $test('updateMany and deleteMany return the result of each operation')
+    .checkAsync(function () {
+        var requests = [];
+        var table = createTable(null, function (req) {
+            requests.push(req.type + ' ' + req.url);
+            return req.url.indexOf('/2') >= 0 ? { status: 404, responseText: '' } : { status: 200, responseText: req.data || '' };
+        });
+
+        return table.updateMany([{ id: '1', text: 'a' }, { id: '2', text: 'b' }]).then(function (results) {
+            $assert.areEqual(results[0].result, { id: '1', text: 'a' });
+            $assert.areEqual(results[1].error.status, 404);
+            return table.deleteMany([{ id: '1' }, { id: '2' }], { custom: 'value' });
+        }).then(function (results) {
+            $assert.isNull(results[0].result);
+            $assert.isNull(results[0].error);
+            $assert.areEqual(results[1].error.status, 404);
+            $assert.areEqual(requests.slice(2), [
+                'DELETE http://www.test.com/tables/books/1?custom=value',
+                'DELETE http://www.test.com/tables/books/2?custom=value'
+            ]);
+        });
+    }),
+
+    $test('invalid instances are reported as errors')
+    .checkAsync(function () {
+        var table = createTable(null, function (req) {
+            return { status: 200, responseText: req.data };
+        });
+
+        return table.updateMany([{ text: 'no id' }, { id: '1' }]).then(function (results) {
+            $assert.isNotNull(results[0].error);
+            $assert.areEqual(results[1].result, { id: '1' });
+        });
+    }),
+
+    $test('bulk operations are performed with bounded parallelism')
+    .checkAsync(function () {
+        var inProgress = 0,
+            maxInProgress = 0,
+            count = 0;
+
+        var client = new MobileServiceClient("http://www.test.com");
+        client = client.withFilter(function (req, next, callback) {
+            inProgress++;
+            count++;
+            maxInProgress = Math.max(maxInProgress, inProgress);
+            setTimeout(function () {
+                inProgress--;
+                callback(null, { status: 201, responseText: req.data });
+            }, 1);
+        });
+
+        var instances = [];
+        for (var i = 0; i < 10; i++) {
+            instances.push({ id: String(i) });
+        }
+
+        return client.getTable('books').insertMany(instances, null, { concurrency: 3 }).then(function (results) {
+            $assert.areEqual(count, 10);
+            $assert.areEqual(maxInProgress, 3);
+            $assert.areEqual(results.map(function (r) { return r.result.id; }), ['0', '1', '2', '3', '4', '5', '6', '7', '8', '9']);
+
+            count = maxInProgress = 0;
+            return client.getTable('books').insertMany(instances);
+        }).then(function () {
+            $assert.areEqual(count, 10);
+            $assert.areEqual(maxInProgress, 5);
+        });
+    }),
+
+    $test('bulk operations pass the request options')
+    .checkAsync(function () {
+        var table = createTable(null, function (req) {
+            $assert.areEqual(req.timeout, 1000);
+            return { status: 201, responseText: req.data };
+        });
+
+        return table.insertMany([{ id: '1' }, { id: '2' }], null, { timeout: 1000 }).then(function (results) {
+            $assert.isNull(results[0].error);
+            $assert.isNull(results[1].error);
+        });
+    }),
+
+    $test('bulk operations on an empty array')
+    .checkAsync(function () {
+        var table = createTable(null, function () {
+            $assert.fail('request should not have been sent');
+        });
+
+        return table.deleteMany([]).then(function (results) {
+            $assert.areEqual(results, []);
+        });
+    }),
+
+    $test('bulk operations validate their arguments')
+    .checkAsync(function () {
+        var table = createTable(null, function () {
+            $assert.fail('request should not have been sent');
+        });
+
+        return table.insertMany({ id: '1' }).then(function () {
+            $assert.fail('insertMany should have failed');
+        }, function () {
+            return table.insertMany([{ id: '1' }], null, { concurrency: 0 });
+        }).then(function () {
+            $assert.fail('insertMany should have failed');
+        }, function (error) {
+            $assert.contains(error.message, 'concurrency');
+        });
+    })
+);
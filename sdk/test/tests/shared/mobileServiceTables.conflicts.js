@@ -0,0 +1,240 @@
+// ----------------------------------------------------------------------------
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// ----------------------------------------------------------------------------
+
+var MobileServiceClient = require('../../../src/MobileServiceClient'),
+    testHelper = require('./testHelper'),
+    createTable = testHelper.createTable,
+    MobileServiceTable = require('../../../src/MobileServiceTable'),
+    Platform = require('../../../src/Platform'),
+    errors = require('../../../src/errors');
+
+$testGroup('MobileServiceTables conflict resolution',
+
+    $test('client wins retries the update with the server version')
+    .checkAsync(function () {
+        var requests = [],
+            resolverArgs;
+        var table = createTable({
+            conflictResolver: function (client, server, context) {
+                resolverArgs = [client, server, context];
+                return MobileServiceTable.ConflictResolution.ClientWins;
+            }
+        }, function (req) {
+            requests.push(req.headers['If-Match'] + ' ' + req.data);
+            if (requests.length === 1) {
+                return { status: 412, responseText: '{"id":"1","text":"server","version":"BBB"}' };
+            }
+            return { status: 200, responseText: '{"id":"1","text":"client","version":"CCC"}' };
+        });
+
+        return table.update({ id: '1', text: 'client', version: 'AAA' }).then(function (result) {
+            $assert.areEqual(result, { id: '1', text: 'client', version: 'CCC' });
+            $assert.areEqual(requests, ['"AAA" {"id":"1","text":"client"}', '"BBB" {"id":"1","text":"client"}']);
+            $assert.areEqual(resolverArgs, [
+                { id: '1', text: 'client', version: 'AAA' },
+                { id: '1', text: 'server', version: 'BBB' },
+                { tableName: 'books', operation: 'update', attempt: 1 }
+            ]);
+        });
+    }),
+
+    $test('client wins only sends the changed properties again when changes are tracked')
+    .checkAsync(function () {
+        var requests = [];
+        var table = createTable({
+            trackChanges: true,
+            conflictResolver: function () {
+                return MobileServiceTable.ConflictResolution.ClientWins;
+            }
+        }, function (req) {
+            if (req.type === 'GET') {
+                return { status: 200, responseText: '{"id":"1","a":1,"b":1,"version":"AAA"}' };
+            }
+            requests.push(req.headers['If-Match'] + ' ' + req.data);
+            if (requests.length === 1) {
+                return { status: 412, responseText: '{"id":"1","a":1,"b":5,"version":"BBB"}' };
+            }
+            return { status: 200, responseText: '{"id":"1","a":2,"b":5,"version":"CCC"}' };
+        });
+
+        return table.lookup('1').then(function (record) {
+            record.a = 2;
+            return table.update(record);
+        }).then(function (result) {
+            $assert.areEqual(result, { id: '1', a: 2, b: 5, version: 'CCC' });
+            $assert.areEqual(requests, ['"AAA" {"id":"1","a":2}', '"BBB" {"id":"1","a":2}']);
+        });
+    }),
+
+    $test('a merged object is sent with the server version')
+    .checkAsync(function () {
+        var requests = [];
+        var table = createTable({
+            conflictResolver: function (client, server) {
+                return Platform.async(function (callback) {
+                    callback(null, { text: client.text + server.text, count: server.count });
+                })();
+            }
+        }, function (req) {
+            requests.push(req.headers['If-Match'] + ' ' + req.data);
+            if (requests.length === 1) {
+                return { status: 412, responseText: '{"id":"1","text":"b","count":2,"version":"BBB"}' };
+            }
+            return { status: 200, responseText: req.data };
+        });
+
+        return table.update({ id: '1', text: 'a', version: 'AAA' }).then(function () {
+            $assert.areEqual(requests[1], '"BBB" {"text":"ab","count":2,"id":"1"}');
+        });
+    }),
+
+    $test('server wins returns the server version without retrying')
+    .checkAsync(function () {
+        var count = 0;
+        var table = createTable({
+            conflictResolver: function () {
+                return 'server-wins';
+            }
+        }, function (req) {
+            count++;
+            return { status: 412, responseText: '{"id":"1","text":"server","version":"BBB"}' };
+        });
+
+        return table.update({ id: '1', text: 'client', version: 'AAA' }).then(function (result) {
+            $assert.areEqual(result, { id: '1', text: 'server', version: 'BBB' });
+            $assert.areEqual(count, 1);
+            return table.del({ id: '1', version: 'AAA' });
+        }).then(function () {
+            $assert.areEqual(count, 2);
+        });
+    }),
+
+    $test('client wins retries the delete with the server version')
+    .checkAsync(function () {
+        var requests = [];
+        var table = createTable({
+            conflictResolver: function (client, server, context) {
+                $assert.areEqual(context.operation, 'delete');
+                return 'client-wins';
+            }
+        }, function (req) {
+            requests.push(req.type + ' ' + req.headers['If-Match']);
+            if (requests.length === 1) {
+                return { status: 412, responseText: '{"id":"1","version":"BBB"}' };
+            }
+            return { status: 200, responseText: '' };
+        });
+
+        return table.del({ id: '1', version: 'AAA' }).then(function () {
+            $assert.areEqual(requests, ['DELETE "AAA"', 'DELETE "BBB"']);
+        });
+    }),
+
+    $test('the operation is retried a limited number of times')
+    .checkAsync(function () {
+        var count = 0,
+            attempts = [];
+        var table = createTable({
+            conflictResolver: function (client, server, context) {
+                attempts.push(context.attempt);
+                return 'client-wins';
+            }
+        }, function (req) {
+            count++;
+            return { status: 412, responseText: '{"id":"1","version":"' + count + '"}' };
+        });
+
+        return table.update({ id: '1', version: '0' }).then(function () {
+            $assert.fail('update should have failed');
+        }, function (error) {
+            $assert.isTrue(error instanceof errors.ConflictError);
+            $assert.areEqual(error.serverInstance, { id: '1', version: '4' });
+            $assert.areEqual(attempts, [1, 2, 3]);
+            $assert.areEqual(count, 4);
+        });
+    }),
+
+    $test('the conflict is reported if the resolver does not resolve it')
+    .checkAsync(function () {
+        var table = createTable({
+            conflictResolver: function () {
+                return undefined;
+            }
+        }, function (req) {
+            return { status: 412, responseText: '{"id":"1","version":"BBB"}' };
+        });
+
+        return table.update({ id: '1', version: 'AAA' }).then(function () {
+            $assert.fail('update should have failed');
+        }, function (error) {
+            $assert.areEqual(error.code, 'PreconditionFailed');
+        });
+    }),
+
+    $test('resolver failures are reported')
+    .checkAsync(function () {
+        var table = createTable({
+            conflictResolver: function () {
+                throw new Error('resolver failed');
+            }
+        }, function (req) {
+            return { status: 412, responseText: '{"id":"1","version":"BBB"}' };
+        });
+
+        return table.update({ id: '1', version: 'AAA' }).then(function () {
+            $assert.fail('update should have failed');
+        }, function (error) {
+            $assert.areEqual(error.message, 'resolver failed');
+        });
+    }),
+
+    $test('the resolver is not invoked for other errors')
+    .checkAsync(function () {
+        var table = createTable({
+            conflictResolver: function () {
+                $assert.fail('resolver should not have been invoked');
+            }
+        }, function (req) {
+            return { status: 404, responseText: '' };
+        });
+
+        return table.update({ id: '1', version: 'AAA' }).then(function () {
+            $assert.fail('update should have failed');
+        }, function (error) {
+            $assert.areEqual(error.status, 404);
+        });
+    }),
+
+    $test('the client conflict resolver is used by tables without one')
+    .checkAsync(function () {
+        var used = [];
+        var client = new MobileServiceClient("http://www.test.com", {
+            conflictResolver: function () {
+                used.push('client');
+                return 'server-wins';
+            }
+        });
+        client = client.withFilter(function (req, next, callback) {
+            callback(null, { status: 412, responseText: '{"id":"1","version":"BBB"}' });
+        });
+
+        var tableResolver = function () {
+            used.push('table');
+            return 'server-wins';
+        };
+
+        return client.getTable('books').update({ id: '1', version: 'AAA' }).then(function () {
+            return client.getTable('books', { conflictResolver: tableResolver }).update({ id: '1', version: 'AAA' });
+        }).then(function () {
+            $assert.areEqual(used, ['client', 'table']);
+        });
+    }),
+
+    $test('conflictResolver is validated')
+    .check(function () {
+        var client = new MobileServiceClient("http://www.test.com");
+        $assertThrows(function () { client.getTable('books', { conflictResolver: 'client-wins' }); });
+        $assertThrows(function () { new MobileServiceClient("http://www.test.com", { conflictResolver: {} }); });
+    })
+);
@@ -0,0 +1,94 @@
+// ----------------------------------------------------------------------------
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// ----------------------------------------------------------------------------
+
+var testHelper = require('./testHelper'),
+    createTable = testHelper.createTable,
+    createResponse = testHelper.createResponse;
+
+$testGroup('MobileServiceTables custom ids',
+
+    $test('operations use the custom id member')
+    .checkAsync(function () {
+        var requests = [];
+        var table = createTable({ idPropertyName: 'Id' }, function (req) {
+            requests.push(req.type + ' ' + req.url + ' ' + (req.data || ''));
+            if (req.type === 'DELETE') {
+                return createResponse('');
+            }
+            var record = '{"Id":5,"text":"a"}';
+            return createResponse(req.url.indexOf('$filter') >= 0 ? '[' + record + ']' : record);
+        });
+
+        return table.insert({ text: 'a' }).then(function (item) {
+            $assert.areEqual(item, { Id: 5, text: 'a' });
+            return table.update({ Id: 5, text: 'b' });
+        }).then(function () {
+            return table.lookup(5);
+        }).then(function () {
+            return table.refresh({ Id: 5 });
+        }).then(function () {
+            return table.del({ Id: 5 });
+        }).then(function () {
+            $assert.areEqual(requests, [
+                'POST http://www.test.com/tables/books {"text":"a"}',
+                'PATCH http://www.test.com/tables/books/5 {"Id":5,"text":"b"}',
+                'GET http://www.test.com/tables/books/5 ',
+                'GET http://www.test.com/tables/books?$filter=Id eq 5 {"Id":5}',
+                'DELETE http://www.test.com/tables/books/5 '
+            ]);
+        });
+    }),
+
+    $test('string ids can be used with a custom id member')
+    .checkAsync(function () {
+        var table = createTable({ idPropertyName: 'key' }, function (req) {
+            $assert.areEqual(req.url, "http://www.test.com/tables/books?$filter=key eq 'a%27%27b'");
+            return createResponse('[{"key":"a\'b"}]');
+        });
+
+        return table.refresh({ key: "a'b" }).then(function (item) {
+            $assert.areEqual(item, { key: "a'b" });
+        });
+    }),
+
+    $test('insert rejects integer ids')
+    .checkAsync(function () {
+        var table = createTable({ idPropertyName: 'Id' }, function () {
+            $assert.fail('request should not have been sent');
+        });
+
+        return table.insert({ Id: 5 }).then(function () {
+            $assert.fail('insert should have failed');
+        }, function (error) {
+            $assert.contains(error.message, 'member is already set');
+            $assert.contains(error.message, 'Integer ids are generated by the server');
+            return table.insert({ id: 'a' });
+        }).then(function () {
+            $assert.fail('insert should have failed');
+        }, function (error) {
+            $assert.contains(error.message, 'member is already set');
+        });
+    }),
+
+    $test('update requires the custom id member')
+    .checkAsync(function () {
+        var table = createTable({ idPropertyName: 'Id' }, function () {
+            $assert.fail('request should not have been sent');
+        });
+
+        return table.update({ id: 5 }).then(function () {
+            $assert.fail('update should have failed');
+        }, function (error) {
+            $assert.contains(error.message, 'Id');
+        });
+    }),
+
+    $test('idPropertyName is validated')
+    .check(function () {
+        $assertThrows(function () { createTable({ idPropertyName: 5 }); });
+        $assertThrows(function () { createTable({ idPropertyName: '' }); });
+        $assert.areEqual(createTable().idPropertyName, 'id');
+        $assert.areEqual(createTable({ idPropertyName: 'Id' }).includeDeleted().idPropertyName, 'Id');
+    })
+);
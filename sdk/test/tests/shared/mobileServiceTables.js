@@ -5,7 +5,8 @@
 var testData = require('../../misc/constants'),
     Platform = require('../../../src/Platform'),
     MobileServiceClient = require('../../../src/MobileServiceClient'),
-    MobileServiceTable = require('../../../src/MobileServiceTable');
+    MobileServiceTable = require('../../../src/MobileServiceTable'),
+    errors = require('../../../src/errors');
 
 $testGroup('MobileServiceTables.js',
     $test('table.read() with no id results')
@@ -230,6 +231,98 @@ $testGroup('MobileServiceTables.js',
         });
     }),
 
+    $test('table operations with request options')
+    .description('Verify the request options passed to table operations are used for the request')
+    .checkAsync(function () {
+        var client = new MobileServiceClient("http://www.test.com"),
+            timeouts = [];
+        client = client.withFilter(function (req, next, callback) {
+            timeouts.push(req.timeout);
+            callback(null, { status: 200, responseText: '{"id":"1","title":"test"}' });
+        });
+
+        var table = client.getTable('books');
+        return table.read(null, null, { timeout: 10 }).then(function () {
+            return table.where({ title: 'test' }).read(null, { timeout: 20 });
+        }).then(function () {
+            return table.insert({ title: 'test' }, null, { timeout: 30 });
+        }).then(function () {
+            return table.update({ id: '1', title: 'test' }, null, { timeout: 40 });
+        }).then(function () {
+            return table.lookup('1', null, { timeout: 50 });
+        }).then(function () {
+            return table.del({ id: '1' }, null, { timeout: 60 });
+        }).then(function () {
+            return table.refresh({ id: '1' }, null, { timeout: 70 });
+        }).then(function () {
+            $assert.areEqual(timeouts, [10, 20, 30, 40, 50, 60, 70]);
+        });
+    }),
+
+    $test('table operations with table headers')
+    .description('Verify the table headers and client default headers are sent with all table operations')
+    .checkAsync(function () {
+        var client = new MobileServiceClient("http://www.test.com"),
+            requests = [];
+        client.defaultHeaders = { 'X-Tenant': 'contoso', 'X-Client': 'client' };
+        client = client.withFilter(function (req, next, callback) {
+            requests.push(req);
+            callback(null, { status: 200, responseText: '{"id":"1","title":"test"}' });
+        });
+
+        var table = client.getTable('books', { headers: { 'x-tenant': 'fabrikam', 'X-Correlation-Id': '123' } });
+        return table.read().then(function () {
+            return table.where({ title: 'test' }).read();
+        }).then(function () {
+            return table.insert({ title: 'test' });
+        }).then(function () {
+            return table.update({ id: '1', title: 'test', version: 'abc' });
+        }).then(function () {
+            return table.lookup('1');
+        }).then(function () {
+            return table.del({ id: '1' });
+        }).then(function () {
+            return table.refresh({ id: '1' });
+        }).then(function () {
+            $assert.areEqual(requests.length, 7);
+            requests.forEach(function (req) {
+                // Table headers take precedence over the client's default headers
+                $assert.areEqual(req.headers['x-tenant'], 'fabrikam');
+                $assert.isNull(req.headers['X-Tenant']);
+                $assert.areEqual(req.headers['X-Correlation-Id'], '123');
+                $assert.areEqual(req.headers['X-Client'], 'client');
+                $assert.areEqual(req.headers['ZUMO-API-VERSION'], '2.0.0');
+            });
+            $assert.areEqual(requests[3].headers['If-Match'], '"abc"');
+        });
+    }),
+
+    $test('table headers can be changed')
+    .description('Verify changes to the table headers are used for subsequent operations')
+    .checkAsync(function () {
+        var client = new MobileServiceClient("http://www.test.com");
+        client = client.withFilter(function (req, next, callback) {
+            $assert.areEqual(req.headers['X-Correlation-Id'], '456');
+            $assert.areEqual(req.headers['If-Match'], '"abc"');
+            $assert.isNull(req.headers['if-match']);
+            callback(null, { status: 200, responseText: '{"id":"1"}' });
+        });
+
+        var table = client.getTable('books');
+        $assert.areEqual(table.headers, {});
+        table.headers['X-Correlation-Id'] = '456';
+        // Headers set by the operation itself take precedence
+        table.headers['if-match'] = '"xyz"';
+        return table.update({ id: '1', version: 'abc' });
+    }),
+
+    $test('table headers are validated')
+    .check(function () {
+        var client = new MobileServiceClient("http://www.test.com");
+        $assertThrows(function () { client.getTable('books', 'options'); });
+        $assertThrows(function () { client.getTable('books', { headers: 'header' }); });
+    }),
+
     $test('query via query.read()')
     .description('Verify MobileTableService.query created a correct deferred query')
     .checkAsync(function () {
@@ -1718,6 +1811,141 @@ $testGroup('MobileServiceTables.js',
         });
     }),
 
+    $test('systemProperties are requested by reads')
+    .tag('SystemProperties')
+    .checkAsync(function () {
+        var expectedParameters = [
+                null,
+                '*',
+                'createdAt%2CupdatedAt%2Cversion',
+                'createdAt%2CupdatedAt',
+                'createdAt%2Cversion',
+                'createdAt',
+                'updatedAt%2Cversion',
+                'updatedAt',
+                'version'
+            ],
+            testCases = [];
+
+        testData.testSystemProperties.forEach(function (systemProperties, index) {
+            testCases.push(function () {
+                var client = new MobileServiceClient("http://www.test.com");
+                client = client.withFilter(function (req, next, callback) {
+                    var expectedParameter = expectedParameters[index];
+                    $assert.areEqual(req.url, 'http://www.test.com/tables/books?$filter=(price eq 1)' +
+                                              (expectedParameter ? '&__systemproperties=' + expectedParameter : ''));
+                    callback(null, { status: 200, responseText: '[]' });
+                });
+
+                var table = client.getTable('books');
+                table.systemProperties = systemProperties;
+                return table.where({ price: 1 }).read();
+            });
+        });
+        return $chain.apply(null, testCases);
+    }),
+
+    $test('systemProperties not requested are removed from the results')
+    .tag('SystemProperties')
+    .checkAsync(function () {
+        var client = new MobileServiceClient("http://www.test.com");
+        client = client.withFilter(function (req, next, callback) {
+            callback(null, { status: 200, responseText: '[{"id":"1","createdAt":"2016-01-01T00:00:00.000Z","updatedAt":"2016-01-01T00:00:00.000Z","version":"AAA","deleted":false}]' });
+        });
+
+        var table = client.getTable('books', { systemProperties: MobileServiceTable.SystemProperties.Version | MobileServiceTable.SystemProperties.Deleted });
+        return table.read().then(function (results) {
+            $assert.areEqual(results, [{ id: '1', version: 'AAA', deleted: false }]);
+
+            table.systemProperties = MobileServiceTable.SystemProperties.None;
+            return table.read();
+        }).then(function (results) {
+            $assert.areEqual(results, [{ id: '1' }]);
+        });
+    }),
+
+    $test('systemProperties are requested and removed by inserts, updates, lookups and refreshes')
+    .tag('SystemProperties')
+    .checkAsync(function () {
+        var urls = [];
+        var client = new MobileServiceClient("http://www.test.com");
+        client = client.withFilter(function (req, next, callback) {
+            urls.push(req.type + ' ' + req.url);
+            callback(null, {
+                status: 200,
+                responseText: '{"id":"1","text":"a","createdAt":"2016-01-01T00:00:00.000Z","version":"AAA"}',
+                getResponseHeader: function (name) {
+                    return name === 'ETag' ? '"BBB"' : null;
+                }
+            });
+        });
+
+        var table = client.getTable('books');
+        table.systemProperties = MobileServiceTable.SystemProperties.CreatedAt;
+
+        return table.insert({ id: '1', text: 'a' }, { custom: 'value' }).then(function (result) {
+            $assert.areEqual(result.version, undefined);
+            $assert.isNotNull(result.createdAt);
+            return table.update({ id: '1', text: 'a' });
+        }).then(function (result) {
+            $assert.areEqual(result.version, undefined);
+            return table.lookup('1');
+        }).then(function (result) {
+            $assert.areEqual(result.version, undefined);
+            return table.refresh({ id: '1' });
+        }).then(function (result) {
+            $assert.areEqual(result.version, undefined);
+            $assert.areEqual(urls, [
+                'POST http://www.test.com/tables/books?custom=value&__systemproperties=createdAt',
+                'PATCH http://www.test.com/tables/books/1?__systemproperties=createdAt',
+                'GET http://www.test.com/tables/books/1?__systemproperties=createdAt',
+                "GET http://www.test.com/tables/books?$filter=id eq '1'&__systemproperties=createdAt"
+            ]);
+        });
+    }),
+
+    $test('systemProperties are not changed by default')
+    .tag('SystemProperties')
+    .checkAsync(function () {
+        var client = new MobileServiceClient("http://www.test.com");
+        client = client.withFilter(function (req, next, callback) {
+            $assert.areEqual(req.url, 'http://www.test.com/tables/books');
+            callback(null, { status: 200, responseText: '[{"id":"1","updatedAt":"2016-01-01T00:00:00.000Z","version":"AAA"}]' });
+        });
+
+        var table = client.getTable('books');
+        $assert.isNull(table.systemProperties);
+        return table.read().then(function (results) {
+            $assert.areEqual(results[0].version, 'AAA');
+            $assert.areEqual(results[0].updatedAt, new Date(Date.UTC(2016, 0, 1)));
+        });
+    }),
+
+    $test('user-defined __systemproperties parameter takes precedence')
+    .tag('SystemProperties')
+    .checkAsync(function () {
+        var client = new MobileServiceClient("http://www.test.com");
+        client = client.withFilter(function (req, next, callback) {
+            $assert.areEqual(req.url, 'http://www.test.com/tables/books?__systemproperties=version');
+            callback(null, { status: 200, responseText: '[]' });
+        });
+
+        var table = client.getTable('books', { systemProperties: MobileServiceTable.SystemProperties.All });
+        return table.read(null, { __systemproperties: 'version' });
+    }),
+
+    $test('invalid systemProperties')
+    .tag('SystemProperties')
+    .check(function () {
+        var client = new MobileServiceClient("http://www.test.com"),
+            table = client.getTable('books');
+
+        $assertThrows(function () { table.systemProperties = 'version'; });
+        $assertThrows(function () { table.systemProperties = -1; });
+        $assertThrows(function () { table.systemProperties = 0x10000; });
+        $assertThrows(function () { client.getTable('books', { systemProperties: 1.5 }); });
+    }),
+
     $test('insert - verify X-ZUMO-FEATURES')
     .checkAsync(function () {
         return performOperationAndVerifyFeatures(function(table) {
@@ -1753,6 +1981,23 @@ $testGroup('MobileServiceTables.js',
         });
     }),
 
+    $test('invalid arguments are rejected with a ValidationError')
+    .checkAsync(function () {
+        var client = new MobileServiceClient("http://www.test.com");
+        client = client.withFilter(function (req, next, callback) {
+            $assert.fail('request should not have been sent');
+        });
+
+        return client.getTable('books').update({ text: 'no id' }).then(function () {
+            $assert.fail('error expected');
+        }, function (error) {
+            $assert.isTrue(error instanceof errors.ValidationError);
+            $assert.areEqual(error.name, 'ValidationError');
+            $assert.areEqual(error.code, 'BadRequest');
+            $assert.isNull(error.status);
+        });
+    }),
+
     $test('read - verify X-ZUMO-FEATURES')
     .checkAsync(function () {
         return performOperationAndVerifyFeatures(function(table) {
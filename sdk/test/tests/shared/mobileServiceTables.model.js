@@ -0,0 +1,182 @@
+// ----------------------------------------------------------------------------
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// ----------------------------------------------------------------------------
+
+var MobileServiceClient = require('../../../src/MobileServiceClient'),
+    testHelper = require('./testHelper'),
+    createTable = testHelper.createTable,
+    createResponse = testHelper.createResponse;
+
+function TodoItem() {
+    throw new Error('the constructor should not be invoked');
+}
+
+Object.defineProperty(TodoItem.prototype, 'summary', {
+    get: function () {
+        return this.title + (this.isDone ? ' (done)' : '');
+    }
+});
+
+var todoModel = {
+    type: TodoItem,
+    properties: { title: 'text', isDone: 'complete' }
+};
+
+$testGroup('MobileServiceTables model mapping',
+
+    $test('read results are mapped to model objects')
+    .checkAsync(function () {
+        var table = createTable({ model: todoModel }, function (req) {
+            return createResponse('{"count":1,"results":[{"id":"1","text":"a","complete":true}]}');
+        });
+
+        return table.read(table.includeTotalCount()).then(function (results) {
+            $assert.areEqual(results.length, 1);
+            $assert.areEqual(results.totalCount, 1);
+            $assert.isTrue(results[0] instanceof TodoItem);
+            $assert.areEqual(results[0].id, '1');
+            $assert.areEqual(results[0].title, 'a');
+            $assert.areEqual(results[0].summary, 'a (done)');
+            $assert.isTrue(results[0].text === undefined);
+        });
+    }),
+
+    $test('writes send records')
+    .checkAsync(function () {
+        var requests = [];
+        var table = createTable({ model: todoModel }, function (req) {
+            requests.push(req.type + ' ' + req.url + ' ' + (req.data || ''));
+            return createResponse(req.type === 'DELETE' ? '' : '{"id":"1","text":"b","complete":false}');
+        });
+
+        return table.insert({ id: '1', title: 'a', isDone: true }).then(function (item) {
+            $assert.isTrue(item instanceof TodoItem);
+            $assert.areEqual(item.title, 'b');
+            item.title = 'c';
+            return table.update(item);
+        }).then(function (item) {
+            $assert.isTrue(item instanceof TodoItem);
+            return table.del(item);
+        }).then(function () {
+            $assert.areEqual(requests, [
+                'POST http://www.test.com/tables/books {"id":"1","text":"a","complete":true}',
+                'PATCH http://www.test.com/tables/books/1 {"id":"1","text":"c","complete":false}',
+                'DELETE http://www.test.com/tables/books/1 '
+            ]);
+        });
+    }),
+
+    $test('lookup and refresh return model objects')
+    .checkAsync(function () {
+        var table = createTable({ model: todoModel }, function (req) {
+            var record = '{"id":"1","text":"a","complete":false}';
+            return createResponse(req.url.indexOf('$filter') >= 0 ? '[' + record + ']' : record);
+        });
+
+        return table.lookup('1').then(function (item) {
+            $assert.isTrue(item instanceof TodoItem);
+            $assert.areEqual(item.title, 'a');
+            return table.refresh({ id: '1', title: 'old' });
+        }).then(function (item) {
+            $assert.isTrue(item instanceof TodoItem);
+            $assert.areEqual(item.summary, 'a');
+        });
+    }),
+
+    $test('fromServer and toServer mappers')
+    .checkAsync(function () {
+        var table = createTable({
+            model: {
+                properties: { dueDate: 'due' },
+                fromServer: function (record) {
+                    record.tags = record.tags.split(',');
+                    return record;
+                },
+                toServer: function (instance) {
+                    return { id: instance.id, tags: instance.tags.join(','), dueDate: instance.dueDate };
+                }
+            }
+        }, function (req) {
+            $assert.areEqual(req.data, '{"id":"1","tags":"a,b","due":"2016-01-01"}');
+            return createResponse(req.data);
+        });
+
+        return table.insert({ id: '1', tags: ['a', 'b'], dueDate: '2016-01-01', ignored: true }).then(function (item) {
+            $assert.areEqual(item, { id: '1', tags: ['a', 'b'], dueDate: '2016-01-01' });
+        });
+    }),
+
+    $test('a fromServer mapper can create the model objects')
+    .checkAsync(function () {
+        var constructed = 0;
+        var Item = function (record) {
+            constructed++;
+            this.id = record.id;
+        };
+        var table = createTable({
+            model: {
+                type: Item,
+                fromServer: function (record) {
+                    return new Item(record);
+                }
+            }
+        }, function (req) {
+            return createResponse('[{"id":"1"},{"id":"2"}]');
+        });
+
+        return table.read().then(function (results) {
+            $assert.isTrue(results[1] instanceof Item);
+            $assert.areEqual(constructed, 2);
+        });
+    }),
+
+    $test('changes of model objects are tracked')
+    .checkAsync(function () {
+        var table = createTable({ model: todoModel, trackChanges: true }, function (req) {
+            if (req.type === 'GET') {
+                return createResponse('{"id":"1","text":"a","complete":false}');
+            }
+            $assert.areEqual(req.data, '{"id":"1","complete":true}');
+            return createResponse('{"id":"1","text":"a","complete":true}');
+        });
+
+        return table.lookup('1').then(function (item) {
+            item.isDone = true;
+            return table.update(item);
+        }).then(function (item) {
+            $assert.areEqual(item.summary, 'a (done)');
+        });
+    }),
+
+    $test('conflict resolvers receive model objects')
+    .checkAsync(function () {
+        var count = 0;
+        var table = createTable({
+            model: todoModel,
+            conflictResolver: function (clientItem, serverItem) {
+                $assert.isTrue(clientItem instanceof TodoItem);
+                $assert.isTrue(serverItem instanceof TodoItem);
+                return { title: clientItem.title, isDone: serverItem.isDone };
+            }
+        }, function (req) {
+            if (count++ === 0) {
+                return { status: 412, responseText: '{"id":"1","text":"b","complete":true,"version":"BBB"}' };
+            }
+            $assert.areEqual(req.data, '{"text":"a","complete":true,"id":"1"}');
+            return createResponse(req.data);
+        });
+
+        return table.update({ id: '1', title: 'a', isDone: false, version: 'AAA' }).then(function (item) {
+            $assert.areEqual(item.summary, 'a (done)');
+        });
+    }),
+
+    $test('model is validated')
+    .check(function () {
+        var client = new MobileServiceClient("http://www.test.com");
+        $assertThrows(function () { client.getTable('books', { model: 'TodoItem' }); });
+        $assertThrows(function () { client.getTable('books', { model: { type: {} } }); });
+        $assertThrows(function () { client.getTable('books', { model: { properties: { title: 1 } } }); });
+        $assertThrows(function () { client.getTable('books', { model: { toServer: true } }); });
+    })
+);
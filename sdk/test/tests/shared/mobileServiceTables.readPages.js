@@ -0,0 +1,216 @@
+// ----------------------------------------------------------------------------
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// ----------------------------------------------------------------------------
+
+var Query = require('azure-query-js').Query,
+    testHelper = require('./testHelper'),
+    createTable = testHelper.createTable,
+    createResponse = testHelper.createResponse;
+
+$testGroup('MobileServiceTables.readPages',
+
+    $test('readPages follows the nextLink')
+    .checkAsync(function () {
+        var urls = [];
+        var table = createTable(null, function (req) {
+            urls.push(req.url);
+            if (urls.length === 1) {
+                return createResponse([{ id: '1' }, { id: '2' }], { Link: 'http://www.test.com/tables/books?$skip=2&custom=value; rel=next' });
+            }
+            return createResponse([{ id: '3' }]);
+        });
+
+        var pages = table.readPages(null, { custom: 'value' });
+        return pages.next().then(function (result) {
+            $assert.isFalse(result.done);
+            $assert.areEqual(result.value.map(getId), ['1', '2']);
+            return pages.next();
+        }).then(function (result) {
+            $assert.isFalse(result.done);
+            $assert.areEqual(result.value.map(getId), ['3']);
+            return pages.next();
+        }).then(function (result) {
+            $assert.isTrue(result.done);
+            $assert.areEqual(urls, ['http://www.test.com/tables/books?custom=value', 'http://www.test.com/tables/books?$skip=2&custom=value']);
+        });
+    }),
+
+    $test('readPages skips the items read so far if the server does not return a nextLink')
+    .checkAsync(function () {
+        var urls = [];
+        var table = createTable(null, function (req) {
+            urls.push(req.url);
+            return createResponse(urls.length < 3 ? [{ id: String(urls.length) }] : []);
+        });
+
+        var query = new Query('books').where(function () { return this.price > 5; }).skip(10);
+        return table.readAll(query, { custom: 'value' }).then(function (results) {
+            $assert.areEqual(results.map(getId), ['1', '2']);
+            $assert.areEqual(urls, [
+                "http://www.test.com/tables/books?$filter=(price gt 5)&$skip=10&custom=value",
+                "http://www.test.com/tables/books?$filter=(price gt 5)&$skip=11&custom=value",
+                "http://www.test.com/tables/books?$filter=(price gt 5)&$skip=12&custom=value"
+            ]);
+            $assert.areEqual(query.getComponents().skip, 10);
+        });
+    }),
+
+    $test('readPages does not read more items than the query takes')
+    .checkAsync(function () {
+        var urls = [];
+        var table = createTable(null, function (req) {
+            urls.push(req.url);
+            return createResponse(urls.length === 1 ? [{ id: '1' }, { id: '2' }] : [{ id: '3' }]);
+        });
+
+        return table.readAll(new Query('books').take(3)).then(function (results) {
+            $assert.areEqual(results.map(getId), ['1', '2', '3']);
+            $assert.areEqual(urls, [
+                'http://www.test.com/tables/books?$top=3',
+                'http://www.test.com/tables/books?$skip=2&$top=1'
+            ]);
+        });
+    }),
+
+    $test('readPages reads a single page for raw query strings')
+    .checkAsync(function () {
+        var count = 0;
+        var table = createTable(null, function (req) {
+            count++;
+            return createResponse([{ id: '1' }]);
+        });
+
+        return table.readAll('$filter=price gt 5').then(function (results) {
+            $assert.areEqual(results.map(getId), ['1']);
+            $assert.areEqual(count, 1);
+        });
+    }),
+
+    $test('readPages stops at maxPages')
+    .checkAsync(function () {
+        var count = 0;
+        var table = createTable(null, function (req) {
+            count++;
+            return createResponse([{ id: String(count) }], { Link: 'http://www.test.com/tables/books?page=' + count + '; rel=next' });
+        });
+
+        return table.readAll(null, null, { maxPages: 2 }).then(function (results) {
+            $assert.areEqual(results.map(getId), ['1', '2']);
+            $assert.areEqual(count, 2);
+        });
+    }),
+
+    $test('readPages stops at maxItems')
+    .checkAsync(function () {
+        var count = 0;
+        var table = createTable(null, function (req) {
+            count++;
+            return createResponse([{ id: count + 'a' }, { id: count + 'b' }], { Link: 'http://www.test.com/tables/books?page=' + count + '; rel=next' });
+        });
+
+        return table.readAll(null, null, { maxItems: 3 }).then(function (results) {
+            $assert.areEqual(results.map(getId), ['1a', '1b', '2a']);
+            $assert.areEqual(count, 2);
+        });
+    }),
+
+    $test('readAll returns the total count')
+    .checkAsync(function () {
+        var table = createTable(null, function (req) {
+            return createResponse({ count: 10, results: [{ id: '1' }] }, { Link: 'http://www.test.com/tables/books?$skip=1; rel=next' });
+        });
+
+        return table.readAll(new Query('books').includeTotalCount(), null, { maxPages: 2 }).then(function (results) {
+            $assert.areEqual(results.length, 2);
+            $assert.areEqual(results.totalCount, 10);
+        });
+    }),
+
+    $test('readPages can be cancelled')
+    .checkAsync(function () {
+        var signal = { aborted: false, addEventListener: function () {}, removeEventListener: function () {} },
+            count = 0;
+        var table = createTable(null, function (req) {
+            count++;
+            $assert.areEqual(req.signal, signal);
+            return createResponse([{ id: '1' }], { Link: 'http://www.test.com/tables/books?$skip=1; rel=next' });
+        });
+
+        var pages = table.readPages(null, null, { signal: signal });
+        return pages.next().then(function (result) {
+            $assert.isFalse(result.done);
+            signal.aborted = true;
+            return pages.next();
+        }).then(function () {
+            $assert.fail('reading the page should have been cancelled');
+        }, function (error) {
+            $assert.isTrue(error.isAborted);
+            $assert.areEqual(count, 1);
+            return pages.next();
+        }).then(function (result) {
+            $assert.isTrue(result.done);
+        });
+    }),
+
+    $test('readPages stops after a failed page')
+    .checkAsync(function () {
+        var count = 0;
+        var table = createTable(null, function (req) {
+            count++;
+            return count === 1 ? createResponse([{ id: '1' }], { Link: 'http://www.test.com/tables/books?$skip=1; rel=next' }) : { status: 500, responseText: '' };
+        });
+
+        var pages = table.readPages();
+        return pages.next().then(function () {
+            return pages.next();
+        }).then(function () {
+            $assert.fail('reading the page should have failed');
+        }, function (error) {
+            $assert.areEqual(error.status, 500);
+            return pages.next();
+        }).then(function (result) {
+            $assert.isTrue(result.done);
+            $assert.areEqual(count, 2);
+        });
+    }),
+
+    $test('readPages stops when return is called')
+    .checkAsync(function () {
+        var table = createTable(null, function (req) {
+            return createResponse([{ id: '1' }], { Link: 'http://www.test.com/tables/books?$skip=1; rel=next' });
+        });
+
+        var pages = table.readPages();
+        return pages.next().then(function () {
+            return pages['return']();
+        }).then(function (result) {
+            $assert.isTrue(result.done);
+            return pages.next();
+        }).then(function (result) {
+            $assert.isTrue(result.done);
+        });
+    }),
+
+    $test('readPages returns an async iterator')
+    .check(function () {
+        if (typeof Symbol === 'undefined' || !Symbol.asyncIterator) {
+            return;
+        }
+
+        var pages = createTable(null, function () {}).readPages();
+        $assert.areEqual(pages[Symbol.asyncIterator](), pages);
+    }),
+
+    $test('readPages validates its arguments')
+    .check(function () {
+        var table = createTable(null, function () {});
+        $assertThrows(function () { table.readPages(null, { $top: 1 }); });
+        $assertThrows(function () { table.readPages(null, null, 'options'); });
+        $assertThrows(function () { table.readPages(null, null, { maxPages: 0 }); });
+        $assertThrows(function () { table.readPages(null, null, { maxItems: 1.5 }); });
+    })
+);
+
+function getId(item) {
+    return item.id;
+}
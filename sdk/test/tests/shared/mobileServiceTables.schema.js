@@ -0,0 +1,91 @@
+// ----------------------------------------------------------------------------
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// ----------------------------------------------------------------------------
+
+var testHelper = require('./testHelper'),
+    createTable = testHelper.createTable,
+    createResponse = testHelper.createResponse,
+    errors = require('../../../src/errors');
+
+var schema = {
+    type: 'object',
+    properties: {
+        text: { type: 'string' },
+        complete: { type: 'boolean' }
+    },
+    required: ['text']
+};
+
+$testGroup('MobileServiceTables schema validation',
+
+    $test('invalid inserts are not sent')
+    .checkAsync(function () {
+        var table = createTable({ schema: schema }, function () {
+            $assert.fail('request should not have been sent');
+        });
+
+        return table.insert({ complete: 'yes' }).then(function () {
+            $assert.fail('insert should have failed');
+        }, function (error) {
+            $assert.isTrue(error instanceof errors.ValidationError);
+            $assert.areEqual(error.code, 'BadRequest');
+            $assert.areEqual(error.message, "The record is not valid for table 'books': text is required; complete must be of type boolean.");
+            $assert.areEqual(error.validationErrors, [
+                { path: 'text', message: 'is required' },
+                { path: 'complete', message: 'must be of type boolean' }
+            ]);
+        });
+    }),
+
+    $test('invalid updates are not sent')
+    .checkAsync(function () {
+        var table = createTable({ schema: schema }, function () {
+            $assert.fail('request should not have been sent');
+        });
+
+        return table.update({ id: '1', text: 1 }).then(function () {
+            $assert.fail('update should have failed');
+        }, function (error) {
+            $assert.areEqual(error.validationErrors, [{ path: 'text', message: 'must be of type string' }]);
+        });
+    }),
+
+    $test('valid records are sent')
+    .checkAsync(function () {
+        var requests = [];
+        var table = createTable({ schema: schema }, function (req) {
+            requests.push(req.type + ' ' + req.data);
+            return createResponse(req.data);
+        });
+
+        return table.insert({ text: 'a' }).then(function () {
+            return table.update({ id: '1', complete: true });
+        }).then(function () {
+            return table.includeDeleted().insert({ text: 1 });
+        }).then(function () {
+            $assert.fail('insert should have failed');
+        }, function (error) {
+            $assert.isTrue(error instanceof errors.ValidationError);
+            $assert.areEqual(requests, ['POST {"text":"a"}', 'PATCH {"id":"1","complete":true}']);
+        });
+    }),
+
+    $test('model objects are validated as records')
+    .checkAsync(function () {
+        var table = createTable({
+            schema: schema,
+            model: { properties: { title: 'text' } }
+        }, function (req) {
+            return createResponse(req.data);
+        });
+
+        return table.insert({ title: 'a' }).then(function (item) {
+            $assert.areEqual(item, { title: 'a' });
+        });
+    }),
+
+    $test('schema is validated')
+    .check(function () {
+        $assertThrows(function () { createTable({ schema: 'schema' }); });
+    })
+);
@@ -0,0 +1,135 @@
+// ----------------------------------------------------------------------------
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// ----------------------------------------------------------------------------
+
+var testHelper = require('./testHelper'),
+    createTable = testHelper.createTable,
+    createResponse = testHelper.createResponse;
+
+$testGroup('MobileServiceTables soft delete',
+
+    $test('includeDeleted reads request soft deleted records')
+    .checkAsync(function () {
+        var urls = [];
+        var table = createTable(null, function (req) {
+            urls.push(req.url);
+            return createResponse('[{"id":"1","deleted":true}]');
+        });
+
+        return table.includeDeleted().read().then(function (results) {
+            $assert.areEqual(results, [{ id: '1', deleted: true }]);
+            return table.includeDeleted().where({ deleted: true }).read({ custom: 'value' });
+        }).then(function () {
+            return table.read();
+        }).then(function () {
+            $assert.areEqual(urls, [
+                'http://www.test.com/tables/books?__includeDeleted=true',
+                'http://www.test.com/tables/books?$filter=(deleted eq true)&custom=value&__includeDeleted=true',
+                'http://www.test.com/tables/books'
+            ]);
+        });
+    }),
+
+    $test('includeDeleted lookups and refreshes request soft deleted records')
+    .checkAsync(function () {
+        var urls = [];
+        var table = createTable(null, function (req) {
+            urls.push(req.url);
+            return createResponse('[{"id":"1","deleted":true}]');
+        }).includeDeleted();
+
+        return table.lookup('1').then(function () {
+            return table.refresh({ id: '1' });
+        }).then(function () {
+            $assert.areEqual(urls, [
+                'http://www.test.com/tables/books/1?__includeDeleted=true',
+                "http://www.test.com/tables/books?$filter=id eq '1'&__includeDeleted=true"
+            ]);
+        });
+    }),
+
+    $test('includeDeleted keeps the configuration of the table')
+    .check(function () {
+        var resolver = function () {},
+            table = createTable({ headers: { a: 'b' }, trackChanges: true, conflictResolver: resolver }, function () {}),
+            deletedTable = table.includeDeleted();
+
+        $assert.areNotEqual(deletedTable, table);
+        $assert.areEqual(deletedTable.getTableName(), 'books');
+        $assert.areEqual(deletedTable.getMobileServiceClient(), table.getMobileServiceClient());
+        $assert.areEqual(deletedTable.headers, { a: 'b' });
+        $assert.isTrue(deletedTable.trackChanges);
+        $assert.areEqual(deletedTable.conflictResolver, resolver);
+    }),
+
+    $test('includeDeleted can be specified explicitly')
+    .checkAsync(function () {
+        var urls = [];
+        var table = createTable({ includeDeleted: true }, function (req) {
+            urls.push(req.url);
+            return createResponse('[]');
+        });
+
+        return table.read({ __includeDeleted: false }).then(function () {
+            return table.read();
+        }).then(function () {
+            $assert.areEqual(urls, [
+                'http://www.test.com/tables/books?__includeDeleted=false',
+                'http://www.test.com/tables/books?__includeDeleted=true'
+            ]);
+            $assertThrows(function () { createTable({ includeDeleted: 'yes' }); });
+        });
+    }),
+
+    $test('undelete restores a record')
+    .checkAsync(function () {
+        var table = createTable(null, function (req) {
+            $assert.areEqual(req.type, 'POST');
+            $assert.areEqual(req.url, 'http://www.test.com/tables/books/1?custom=value');
+            $assert.areEqual(req.headers['If-Match'], '"AAA"');
+            $assert.isNull(req.data);
+            return createResponse('{"id":"1","text":"a","deleted":false,"version":"BBB"}');
+        });
+
+        return table.undelete({ id: '1', deleted: true, version: 'AAA' }, { custom: 'value' }).then(function (result) {
+            $assert.areEqual(result, { id: '1', text: 'a', deleted: false, version: 'BBB' });
+        });
+    }),
+
+    $test('undelete without a version')
+    .checkAsync(function () {
+        var table = createTable(null, function (req) {
+            $assert.isTrue(req.headers['If-Match'] === undefined);
+            return createResponse('{"id":"1"}');
+        });
+
+        return table.undelete({ id: '1' });
+    }),
+
+    $test('undelete reports conflicts')
+    .checkAsync(function () {
+        var table = createTable(null, function (req) {
+            return { status: 412, responseText: '{"id":"1","version":"BBB"}' };
+        });
+
+        return table.undelete({ id: '1', version: 'AAA' }).then(function () {
+            $assert.fail('undelete should have failed');
+        }, function (error) {
+            $assert.areEqual(error.code, 'PreconditionFailed');
+            $assert.areEqual(error.serverInstance, { id: '1', version: 'BBB' });
+        });
+    }),
+
+    $test('undelete validates its arguments')
+    .checkAsync(function () {
+        var table = createTable(null, function () {
+            $assert.fail('request should not have been sent');
+        });
+
+        return table.undelete({ text: 'no id' }).then(function () {
+            $assert.fail('undelete should have failed');
+        }, function (error) {
+            $assert.contains(error.message, 'id');
+        });
+    })
+);
@@ -0,0 +1,113 @@
+// ----------------------------------------------------------------------------
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// ----------------------------------------------------------------------------
+
+var MobileServiceClient = require('../../../src/MobileServiceClient'),
+    testHelper = require('./testHelper'),
+    createTable = testHelper.createTable,
+    createResponse = testHelper.createResponse;
+
+$testGroup('MobileServiceTables change tracking',
+
+    $test('update sends only the changed properties of a read object')
+    .checkAsync(function () {
+        var table = createTable({ trackChanges: true }, function (req) {
+            if (req.type === 'GET') {
+                return createResponse('[{"id":"1","text":"a","count":1,"tags":["x"],"createdAt":"2016-01-01T00:00:00.000Z","version":"AAA"}]');
+            }
+            $assert.areEqual(req.headers['If-Match'], '"AAA"');
+            $assert.areEqual(req.data, '{"id":"1","count":2,"tags":["x","y"]}');
+            return createResponse('{"id":"1","text":"a","count":2,"tags":["x","y"],"version":"BBB"}');
+        });
+
+        return table.read().then(function (results) {
+            var item = results[0];
+            item.count = 2;
+            item.tags.push('y');
+            item.createdAt = new Date();
+            $assert.areEqual(Object.keys(item), ['id', 'text', 'count', 'tags', 'createdAt', 'version']);
+            return table.update(item);
+        }).then(function (result) {
+            $assert.areEqual(result.version, 'BBB');
+        });
+    }),
+
+    $test('objects returned by lookup, insert and update remember their original values')
+    .checkAsync(function () {
+        var patches = [];
+        var table = createTable({ trackChanges: true }, function (req) {
+            if (req.type === 'PATCH') {
+                patches.push(req.data);
+                var item = JSON.parse(req.data);
+                item.text = item.text || 'a';
+                item.count = item.count || 1;
+                return createResponse(JSON.stringify(item));
+            }
+            return createResponse('{"id":"1","text":"a","count":1}');
+        });
+
+        return table.lookup('1').then(function (item) {
+            item.text = 'b';
+            return table.update(item);
+        }).then(function (item) {
+            item.count = 3;
+            return table.update(item);
+        }).then(function () {
+            return table.insert({ id: '1', text: 'a', count: 1 });
+        }).then(function (item) {
+            item.text = 'c';
+            return table.update(item);
+        }).then(function () {
+            $assert.areEqual(patches, ['{"id":"1","text":"b"}', '{"id":"1","count":3}', '{"id":"1","text":"c"}']);
+        });
+    }),
+
+    $test('removed properties are cleared')
+    .checkAsync(function () {
+        var table = createTable({ trackChanges: true }, function (req) {
+            if (req.type === 'GET') {
+                return createResponse('{"id":"1","text":"a","count":1}');
+            }
+            $assert.areEqual(req.data, '{"id":"1","count":null}');
+            return createResponse('{"id":"1","text":"a","count":null}');
+        });
+
+        return table.lookup('1').then(function (item) {
+            delete item.count;
+            return table.update(item);
+        });
+    }),
+
+    $test('objects without original values are updated entirely')
+    .checkAsync(function () {
+        var table = createTable({ trackChanges: true }, function (req) {
+            $assert.areEqual(req.data, '{"id":"1","text":"a","count":1}');
+            return createResponse(req.data);
+        });
+
+        return table.update({ id: '1', text: 'a', count: 1, version: 'AAA' });
+    }),
+
+    $test('changes are not tracked by default')
+    .checkAsync(function () {
+        var table = createTable(null, function (req) {
+            if (req.type === 'GET') {
+                return createResponse('{"id":"1","text":"a","count":1}');
+            }
+            $assert.areEqual(req.data, '{"id":"1","text":"b","count":1}');
+            return createResponse(req.data);
+        });
+
+        $assert.isFalse(table.trackChanges);
+        return table.lookup('1').then(function (item) {
+            item.text = 'b';
+            return table.update(item);
+        });
+    }),
+
+    $test('trackChanges is validated')
+    .check(function () {
+        var client = new MobileServiceClient("http://www.test.com");
+        $assertThrows(function () { client.getTable('books', { trackChanges: 'yes' }); });
+    })
+);
@@ -111,12 +111,15 @@ $testGroup('MobileServiceClient._request',
         var client = new MobileServiceClient("http://www.windowsazure.com/");
         client = client.withFilter(function (req, next, callback) {
             var isWinJs = Platform.getSdkInfo().language === "WinJS",
-                isCordova = Platform.getSdkInfo().language === "Cordova";
+                isCordova = Platform.getSdkInfo().language === "Cordova",
+                isNode = Platform.getSdkInfo().language === "Node";
 
             if (isWinJs) {
                 $assert.areEqual(0, req.headers['X-ZUMO-VERSION'].indexOf("ZUMO/2.0 (lang=WinJS; os=Windows 8; os_version=--; arch=Neutral; version=2.0.0-beta"));
             } else if (isCordova) {
                 $assert.areEqual(0, req.headers['X-ZUMO-VERSION'].indexOf("ZUMO/2.0 (lang=Cordova; os=--; os_version=--; arch=--; version=2.0.0-beta"));
+            } else if (isNode) {
+                $assert.areEqual(0, req.headers['X-ZUMO-VERSION'].indexOf("ZUMO/2.0 (lang=Node; os=" + Platform.getOperatingSystemInfo().name + "; "));
             } else {
                 $assert.areEqual(0, req.headers['X-ZUMO-VERSION'].indexOf("ZUMO/2.0 (lang=Web; os=--; os_version=--; arch=--; version=2.0.0-beta"));
             }
@@ -189,5 +192,96 @@ $testGroup('MobileServiceClient._request',
         return Platform.async(client._request).call(client, 'POST', 'foo', null).then(
             function (response) { $assert.fail('Should have called success continuation!'); },
             function (err) { $assert.areEqual(err.message, 'test'); });
+    }),
+
+    $test('no timeout by default')
+    .description('Verify _request does not set a timeout unless one is configured')
+    .checkAsync(function () {
+        var client = new MobileServiceClient("http://www.windowsazure.com/");
+        client = client.withFilter(function (req, next, callback) {
+            $assert.isNull(req.timeout);
+            callback(null, { status: 200, responseText: null });
+        });
+
+        return Platform.async(client._request).call(client, 'GET', 'foo', null);
+    }),
+
+    $test('client timeout')
+    .description('Verify _request uses the timeout configured on the client')
+    .checkAsync(function () {
+        var client = new MobileServiceClient("http://www.windowsazure.com/");
+        client.timeout = 1000;
+        client = client.withFilter(function (req, next, callback) {
+            $assert.areEqual(req.timeout, 1000);
+            callback(null, { status: 200, responseText: null });
+        });
+
+        return Platform.async(client._request).call(client, 'GET', 'foo', null);
+    }),
+
+    $test('per request timeout overrides client timeout')
+    .description('Verify the timeout specified in the request options overrides the client timeout')
+    .checkAsync(function () {
+        var client = new MobileServiceClient("http://www.windowsazure.com/"),
+            signal = {};
+        client.timeout = 1000;
+        client = client.withFilter(function (req, next, callback) {
+            $assert.areEqual(req.timeout, 50);
+            $assert.areEqual(req.signal, signal);
+            callback(null, { status: 200, responseText: null });
+        });
+
+        return Platform.async(client._request).call(client, 'GET', 'foo', null, false, null, null, { timeout: 50, signal: signal });
+    }),
+
+    $test('invalid timeout')
+    .description('Verify the client timeout is validated')
+    .check(function () {
+        var client = new MobileServiceClient("http://www.windowsazure.com/");
+        $assertThrows(function () { client.timeout = 0; });
+        $assertThrows(function () { client.timeout = -1; });
+        $assertThrows(function () { client.timeout = 1.5; });
+        $assertThrows(function () { client.timeout = '100'; });
+
+        client.timeout = 100;
+        client.timeout = null;
+        $assert.isNull(client.timeout);
+    }),
+
+    $test('timeout error')
+    .description('Verify a timed out request fails with a timeout error')
+    .checkAsync(function () {
+        var client = new MobileServiceClient("http://www.windowsazure.com/");
+        client = client.withFilter(function (req, next, callback) {
+            var error = new Error('timed out');
+            error.name = 'TimeoutError';
+            callback(error, null);
+        });
+
+        return Platform.async(client._request).call(client, 'GET', 'foo', null).then(function (response) {
+            $assert.fail('Should have failed');
+        }, function (error) {
+            $assert.isTrue(error.isTimeout);
+            $assert.isNull(error.request);
+            $assert.areEqual(error.message, 'The request timed out.');
+        });
+    }),
+
+    $test('aborted error')
+    .description('Verify an aborted request fails with an aborted error')
+    .checkAsync(function () {
+        var client = new MobileServiceClient("http://www.windowsazure.com/");
+        client = client.withFilter(function (req, next, callback) {
+            var error = new Error('aborted');
+            error.name = 'AbortError';
+            callback(error, null);
+        });
+
+        return Platform.async(client._request).call(client, 'GET', 'foo', null).then(function (response) {
+            $assert.fail('Should have failed');
+        }, function (error) {
+            $assert.isTrue(error.isAborted);
+            $assert.isNull(error.isTimeout);
+        });
     })
 );
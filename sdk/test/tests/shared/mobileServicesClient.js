@@ -5,6 +5,7 @@
 // revert isvalidate, isarray, etc from validate.js, extensions.js and corresponding 2 test files and *.resjson
 
 var Platform = require('../../../src/Platform'),
+    Promises = require('../../../src/Utilities/Promises'),
     MobileServiceClient = require('../../../src/MobileServiceClient');
 
 $testGroup('MobileServiceClient.js',
@@ -24,6 +25,175 @@ $testGroup('MobileServiceClient.js',
         $assert.isTrue(client.getTable);
     }),
 
+    $test('constructor options')
+    .description('Verify the constructor applies the specified options.')
+    .check(function () {
+        var client = new MobileServiceClient('http://www.test.com', {
+            defaultHeaders: { 'X-Tenant': 'contoso' },
+            timeout: 1000,
+            alternateLoginHost: 'https://login.test.com',
+            loginUriPrefix: 'login',
+            apiVersion: '3.0.0'
+        });
+
+        $assert.areEqual(client.defaultHeaders, { 'X-Tenant': 'contoso' });
+        $assert.areEqual(client.timeout, 1000);
+        $assert.areEqual(client.alternateLoginHost, 'https://login.test.com');
+        $assert.areEqual(client.loginUriPrefix, 'login');
+        $assert.areEqual(client.apiVersion, '3.0.0');
+
+        client = new MobileServiceClient('http://www.test.com');
+        $assert.areEqual(client.defaultHeaders, {});
+        $assert.isNull(client.timeout);
+        $assert.areEqual(client.apiVersion, '2.0.0');
+    }),
+
+    $test('constructor options validation')
+    .description('Verify the constructor validates the specified options.')
+    .check(function () {
+        var url = 'http://www.test.com';
+        $assertThrows(function () { new MobileServiceClient(url, { defaultHeaders: 'header' }); });
+        $assertThrows(function () { new MobileServiceClient(url, { timeout: -1 }); });
+        $assertThrows(function () { new MobileServiceClient(url, { alternateLoginHost: 'http://www.test.com' }); });
+        $assertThrows(function () { new MobileServiceClient(url, { apiVersion: '' }); });
+        $assertThrows(function () { new MobileServiceClient(url, { filters: function () {} }); });
+        $assertThrows(function () { new MobileServiceClient(url, { filters: ['filter'] }); });
+        $assertThrows(function () { new MobileServiceClient(url, { settingsStore: { readSetting: function () {} } }); });
+        $assertThrows(function () { new MobileServiceClient(url, { Promise: {} }); });
+    }),
+
+    $test('constructor options - request headers')
+    .description('Verify the default headers and API version are sent with requests.')
+    .checkAsync(function () {
+        var requests = [];
+        var client = new MobileServiceClient('http://www.test.com', {
+            defaultHeaders: { 'X-Tenant': 'contoso' },
+            apiVersion: '3.0.0',
+            filters: [function (req, next, callback) {
+                requests.push(req);
+                callback(null, { status: 200, responseText: '{"id":"1"}', getResponseHeader: function () { return 'application/json'; } });
+            }]
+        });
+
+        return client.invokeApi('someapi', { method: 'GET' }).then(function () {
+            return client.getTable('books').lookup('1');
+        }).then(function () {
+            return client.invokeApi('someapi', { method: 'GET', headers: { 'X-TENANT': 'fabrikam' } });
+        }).then(function () {
+            $assert.areEqual(requests[0].headers['X-Tenant'], 'contoso');
+            $assert.areEqual(requests[0].headers['ZUMO-API-VERSION'], '3.0.0');
+            $assert.areEqual(requests[1].headers['X-Tenant'], 'contoso');
+            $assert.areEqual(requests[1].headers['ZUMO-API-VERSION'], '3.0.0');
+
+            // Headers specified for a request take precedence, regardless of the case of the name
+            $assert.areEqual(requests[2].headers['X-TENANT'], 'fabrikam');
+            $assert.isNull(requests[2].headers['X-Tenant']);
+        });
+    }),
+
+    $test('constructor options - filters')
+    .description('Verify the filters specified in the options are applied in order.')
+    .checkAsync(function () {
+        var calls = '';
+        var client = new MobileServiceClient('http://www.test.com', {
+            filters: [
+                function (req, next, callback) {
+                    calls += 'A';
+                    callback(null, { status: 200, responseText: '' });
+                },
+                function (req, next, callback) {
+                    calls += 'B';
+                    next(req, callback);
+                }
+            ]
+        }).withFilter(function (req, next, callback) {
+            calls += 'C';
+            next(req, callback);
+        });
+
+        return Platform.async(client._request).call(client, 'GET', 'foo', null).then(function () {
+            $assert.areEqual(calls, 'CBA');
+        });
+    }),
+
+    $test('constructor options - settings store')
+    .description('Verify the installation ID is persisted using the specified settings store.')
+    .checkAsync(function () {
+        var settings = {};
+        var settingsStore = {
+            readSetting: function (name) {
+                return settings[name];
+            },
+            writeSetting: function (name, value) {
+                settings[name] = value;
+            }
+        };
+
+        var client = new MobileServiceClient('http://www.test.com', { settingsStore: settingsStore }),
+            installationId = JSON.parse(settings['MobileServices.Installation.config']).applicationInstallationId;
+
+        $assert.areNotEqual(installationId, MobileServiceClient._applicationInstallationId);
+
+        client = client.withFilter(function (req, next, callback) {
+            $assert.areEqual(req.headers['X-ZUMO-INSTALLATION-ID'], installationId);
+            callback(null, { status: 200, responseText: '' });
+        });
+
+        return Platform.async(client._request).call(client, 'GET', 'foo', null);
+    }),
+
+    $test('constructor options - promise implementation')
+    .description('Verify the client and its tables return promises of the specified type.')
+    .checkAsync(function () {
+        var client = new MobileServiceClient('http://www.test.com', {
+            Promise: TestPromise,
+            filters: [function (req, next, callback) {
+                callback(null, { status: 200, responseText: '{"id":"1"}', getResponseHeader: function () { return 'application/json'; } });
+            }]
+        });
+
+        var apiPromise = client.invokeApi('someapi'),
+            tablePromise = client.getTable('books').lookup('1');
+
+        $assert.isTrue(apiPromise instanceof TestPromise);
+        $assert.isTrue(tablePromise instanceof TestPromise);
+
+        return tablePromise.then(function (result) {
+            $assert.areEqual(result.id, '1');
+            $assert.isTrue(client.withFilter(function () {}).getTable('books').read() instanceof TestPromise);
+        });
+    }),
+
+    $test('withFilter copies configuration')
+    .description('Verify withFilter carries the full configuration over to the new client.')
+    .check(function () {
+        var client = new MobileServiceClient('http://www.test.com', {
+            defaultHeaders: { 'X-Tenant': 'contoso' },
+            timeout: 1000,
+            apiVersion: '3.0.0',
+            Promise: TestPromise
+        });
+        client.alternateLoginHost = 'https://login.test.com';
+        client.loginUriPrefix = 'login';
+        client.currentUser = { userId: 'user' };
+
+        var clone = client.withFilter(function (req, next, callback) {
+            next(req, callback);
+        });
+
+        $assert.areEqual(clone.defaultHeaders, { 'X-Tenant': 'contoso' });
+        $assert.areEqual(clone.timeout, 1000);
+        $assert.areEqual(clone.apiVersion, '3.0.0');
+        $assert.areEqual(clone.alternateLoginHost, 'https://login.test.com');
+        $assert.areEqual(clone.loginUriPrefix, 'login');
+        $assert.areEqual(clone.currentUser.userId, 'user');
+        $assert.areEqual(clone._promiseImplementation, TestPromise);
+
+        // The clone has its own copy of the default headers
+        clone.defaultHeaders['X-Other'] = 'value';
+        $assert.isNull(client.defaultHeaders['X-Other']);
+    }),
+
     $test('withFilter chaining')
     .description('Verify withFilter correctly chains filters')
     .checkAsync(function () {
@@ -785,9 +955,43 @@ $testGroup('MobileServiceClient.js',
         }, function (error) {
             $assert.fail("api call failed");
         });
+    }),
+
+    $test('CustomAPI - timeout')
+    .description('Verify the timeout specified in the options is used for the request')
+    .checkAsync(function () {
+        var client = new MobileServiceClient("http://www.test.com");
+        client.timeout = 1000;
+        client = client.withFilter(function (req, next, callback) {
+            $assert.areEqual(req.timeout, 100);
+            callback(null, { status: 200, responseText: '{}', getResponseHeader: function () { return 'application/json'; } });
+        });
+
+        return client.invokeApi("someapi", { method: "GET", timeout: 100 });
+    }),
+
+    $test('withFilter copies timeout')
+    .description('Verify withFilter carries the client timeout over to the new client')
+    .check(function () {
+        var client = new MobileServiceClient("http://www.test.com");
+        client.timeout = 1000;
+        client = client.withFilter(function (req, next, callback) {
+            next(req, callback);
+        });
+
+        $assert.areEqual(client.timeout, 1000);
     })
 );
 
+// Minimal promise implementation used to verify the client's promise implementation is used
+function TestPromise(init) {
+    this._promise = new Promises.Promise(init);
+}
+
+TestPromise.prototype.then = function (success, error) {
+    return this._promise.then(success, error);
+};
+
 function testLoginParameters(args, expectedStartUri, expectedEndUri, alternateLoginHost, loginUriPrefix) {
     var client = new MobileServiceClient("http://www.test.com");
     client.alternateLoginHost = alternateLoginHost;
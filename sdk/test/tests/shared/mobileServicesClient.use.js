@@ -0,0 +1,195 @@
+// ----------------------------------------------------------------------------
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// ----------------------------------------------------------------------------
+
+var Platform = require('../../../src/Platform'),
+    Promises = require('../../../src/Utilities/Promises'),
+    MobileServiceClient = require('../../../src/MobileServiceClient');
+
+$testGroup('MobileServiceClient.use',
+
+    $test('middleware can change the request')
+    .description('Verify a middleware can change the request before passing it on')
+    .checkAsync(function () {
+        var client = new MobileServiceClient("http://www.windowsazure.com/");
+        client = client.withFilter(function (req, next, callback) {
+            $assert.areEqual(req.headers['X-Custom'], 'value');
+            $assert.areEqual(req.url, 'http://www.windowsazure.com/bar');
+            callback(null, { status: 200, responseText: 'response' });
+        }).use(function (req, next) {
+            req.headers['X-Custom'] = 'value';
+            req.url = 'http://www.windowsazure.com/bar';
+            return next(req);
+        });
+
+        return request(client).then(function (response) {
+            $assert.areEqual(response.responseText, 'response');
+        });
+    }),
+
+    $test('next defaults to the current request')
+    .checkAsync(function () {
+        var client = new MobileServiceClient("http://www.windowsazure.com/");
+        client = client.withFilter(function (req, next, callback) {
+            $assert.areEqual(req.url, 'http://www.windowsazure.com/foo');
+            callback(null, { status: 200, responseText: 'response' });
+        }).use(function (req, next) {
+            return next();
+        });
+
+        return request(client).then(function (response) {
+            $assert.areEqual(response.responseText, 'response');
+        });
+    }),
+
+    $test('middleware can change the response')
+    .checkAsync(function () {
+        var client = new MobileServiceClient("http://www.windowsazure.com/");
+        client = client.withFilter(function (req, next, callback) {
+            callback(null, { status: 200, responseText: 'response' });
+        }).use(function (req, next) {
+            return next(req).then(function (response) {
+                response.responseText = 'changed';
+                return response;
+            });
+        });
+
+        return request(client).then(function (response) {
+            $assert.areEqual(response.responseText, 'changed');
+        });
+    }),
+
+    $test('middleware can short-circuit with a synthetic response')
+    .checkAsync(function () {
+        var client = new MobileServiceClient("http://www.windowsazure.com/");
+        client = client.withFilter(function (req, next, callback) {
+            $assert.fail('the request should not have been sent');
+        }).use(function (req, next) {
+            return { status: 200, responseText: 'synthetic' };
+        });
+
+        return request(client).then(function (response) {
+            $assert.areEqual(response.responseText, 'synthetic');
+        });
+    }),
+
+    $test('middleware can observe and handle errors')
+    .checkAsync(function () {
+        var observed;
+        var client = new MobileServiceClient("http://www.windowsazure.com/");
+        client = client.withFilter(function (req, next, callback) {
+            var error = new Error('timed out');
+            error.name = 'TimeoutError';
+            callback(error, null);
+        }).use(function (req, next) {
+            return next(req).then(undefined, function (error) {
+                observed = error;
+                return { status: 200, responseText: 'fallback' };
+            });
+        });
+
+        return request(client).then(function (response) {
+            $assert.areEqual(observed.name, 'TimeoutError');
+            $assert.areEqual(response.responseText, 'fallback');
+        });
+    }),
+
+    $test('error responses are passed to the middleware')
+    .checkAsync(function () {
+        var status;
+        var client = new MobileServiceClient("http://www.windowsazure.com/");
+        client = client.withFilter(function (req, next, callback) {
+            callback(null, { status: 404, responseText: null });
+        }).use(function (req, next) {
+            return next(req).then(function (response) {
+                status = response.status;
+                return response;
+            });
+        });
+
+        return request(client).then(function () {
+            $assert.fail('request should have failed');
+        }, function (error) {
+            $assert.areEqual(status, 404);
+            $assert.areEqual(error.request.status, 404);
+        });
+    }),
+
+    $test('middleware rejection fails the request')
+    .checkAsync(function () {
+        var client = new MobileServiceClient("http://www.windowsazure.com/");
+        client = client.use(function (req, next) {
+            return new Promises.Promise(function (resolve, reject) {
+                reject('rejected');
+            });
+        });
+
+        return request(client).then(function () {
+            $assert.fail('request should have failed');
+        }, function (error) {
+            $assert.areEqual(error.message, 'rejected');
+        });
+    }),
+
+    $test('middleware exception fails the request')
+    .checkAsync(function () {
+        var client = new MobileServiceClient("http://www.windowsazure.com/");
+        client = client.use(function (req, next) {
+            throw 'thrown';
+        });
+
+        return request(client).then(function () {
+            $assert.fail('request should have failed');
+        }, function (error) {
+            $assert.areEqual(error.message, 'thrown');
+        });
+    }),
+
+    $test('middleware without a response fails the request')
+    .checkAsync(function () {
+        var client = new MobileServiceClient("http://www.windowsazure.com/");
+        client = client.use(function (req, next) {
+            next(req); // forgot to return the promise
+        });
+
+        return request(client).then(function () {
+            $assert.fail('request should have failed');
+        }, function (error) {
+            $assert.areEqual(error.message, 'The middleware did not return a response.');
+        });
+    }),
+
+    $test('middleware composes with filters in the order they were added')
+    .checkAsync(function () {
+        var calls = [];
+        var client = new MobileServiceClient("http://www.windowsazure.com/");
+        client = client.withFilter(function (req, next, callback) {
+            calls.push('server');
+            callback(null, { status: 200, responseText: null });
+        }).use(function (req, next) {
+            calls.push('middleware 1');
+            return next(req);
+        }).withFilter(function (req, next, callback) {
+            calls.push('filter');
+            next(req, callback);
+        }).use(function (req, next) {
+            calls.push('middleware 2');
+            return next(req);
+        });
+
+        return request(client).then(function () {
+            $assert.areEqual(calls, ['middleware 2', 'filter', 'middleware 1', 'server']);
+        });
+    }),
+
+    $test('middleware is validated')
+    .check(function () {
+        var client = new MobileServiceClient("http://www.windowsazure.com/");
+        $assertThrows(function () { client.use(); });
+        $assertThrows(function () { client.use('middleware'); });
+    })
+);
+
+function request(client) {
+    return Platform.async(client._request).call(client, 'GET', 'foo', null);
+}
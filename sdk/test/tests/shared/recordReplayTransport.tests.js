@@ -0,0 +1,289 @@
+// ----------------------------------------------------------------------------
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// ----------------------------------------------------------------------------
+
+/**
+ * @file unit tests for the recording and replay transports
+ */
+
+var Platform = require('../../../src/Platform'),
+    MobileServiceClient = require('../../../src/MobileServiceClient'),
+    errors = require('../../../src/errors'),
+    recordReplayTransport = require('../../../src/Transports/RecordReplayTransport'),
+    createRecordingTransport = recordReplayTransport.createRecordingTransport,
+    createReplayTransport = recordReplayTransport.createReplayTransport;
+
+$testGroup('record / replay transport tests',
+
+    $test('exchanges are recorded')
+    .checkAsync(function () {
+        var recorder = createRecordingTransport({
+            transport: createFakeTransport(function (request) {
+                return createResponse(201, '{"id":"1","text":"a"}', { 'Content-Type': 'application/json', 'ETag': '"1"' });
+            })
+        });
+
+        return performRequest(recorder, {
+            type: 'post',
+            url: 'http://www.test.com/tables/books',
+            headers: { 'X-ZUMO-AUTH': 'secret', 'authorization': 'Bearer secret', 'X-Custom': 'value' },
+            data: '{"text":"a"}'
+        }).then(function (response) {
+            $assert.areEqual(response.status, 201);
+            $assert.areEqual(recorder.getFixture(), {
+                log: {
+                    version: '1.2',
+                    entries: [{
+                        request: {
+                            method: 'POST',
+                            url: 'http://www.test.com/tables/books',
+                            headers: [
+                                { name: 'X-ZUMO-AUTH', value: '[REDACTED]' },
+                                { name: 'authorization', value: '[REDACTED]' },
+                                { name: 'X-Custom', value: 'value' }
+                            ],
+                            postData: { text: '{"text":"a"}' }
+                        },
+                        response: {
+                            status: 201,
+                            statusText: '',
+                            headers: [
+                                { name: 'Content-Type', value: 'application/json' },
+                                { name: 'ETag', value: '"1"' }
+                            ],
+                            content: { text: '{"id":"1","text":"a"}' }
+                        }
+                    }]
+                }
+            });
+        });
+    }),
+
+    $test('redacted headers can be configured')
+    .checkAsync(function () {
+        var recorder = createRecordingTransport({
+            redactedHeaders: ['X-Custom'],
+            transport: createFakeTransport(function (request) {
+                return createResponse(200, '[]', {});
+            })
+        });
+
+        return performRequest(recorder, {
+            url: 'http://www.test.com/tables/books',
+            headers: { 'X-ZUMO-AUTH': 'token', 'x-custom': 'value' },
+            data: null
+        }).then(function () {
+            var request = recorder.getFixture().log.entries[0].request;
+            $assert.areEqual(request.method, 'GET');
+            $assert.areEqual(request.headers, [
+                { name: 'X-ZUMO-AUTH', value: 'token' },
+                { name: 'x-custom', value: '[REDACTED]' }
+            ]);
+            $assert.isNull(request.postData);
+        });
+    }),
+
+    $test('requests failing without a response are recorded and replayed')
+    .checkAsync(function () {
+        var recorder = createRecordingTransport({
+            transport: createFakeTransport(function (request) {
+                var error = new Error('The request timed out.');
+                error.name = 'TimeoutError';
+                throw error;
+            })
+        });
+
+        var request = { url: 'http://www.test.com/tables/books', data: null };
+        return performRequest(recorder, request).then(function () {
+            $assert.fail('request should have failed');
+        }, function (error) {
+            $assert.areEqual(recorder.getFixture().log.entries[0].error, { name: 'TimeoutError', message: 'The request timed out.' });
+
+            return performRequest(createReplayTransport(recorder.getFixture()), request);
+        }).then(function () {
+            $assert.fail('request should have failed');
+        }, function (error) {
+            $assert.areEqual(error.name, 'TimeoutError');
+            $assert.areEqual(error.message, 'The request timed out.');
+        });
+    }),
+
+    $test('recorded responses are replayed')
+    .checkAsync(function () {
+        var replay = createReplayTransport(JSON.stringify(createFixture()));
+
+        return performRequest(replay, {
+            type: 'PATCH',
+            url: 'http://www.test.com/tables/books/1',
+            headers: { 'X-Other': 'is not matched' },
+            data: '{"id":"1","text":"b"}'
+        }).then(function (response) {
+            $assert.areEqual(response.status, 200);
+            $assert.areEqual(response.statusText, 'OK');
+            $assert.areEqual(response.responseText, '{"id":"1","text":"b","version":"2"}');
+            $assert.areEqual(response.getResponseHeader('etag'), '"2"');
+            $assert.isNull(response.getResponseHeader('Location'));
+            $assert.areEqual(response.getAllResponseHeaders(), 'ETag: "2"');
+            $assert.areEqual(replay.getRemainingEntries().length, 2);
+        });
+    }),
+
+    $test('each recorded exchange is replayed once, in order')
+    .checkAsync(function () {
+        var replay = createReplayTransport(createFixture()),
+            request = { type: 'GET', url: 'http://www.test.com/tables/books', data: null };
+
+        return performRequest(replay, request).then(function (response) {
+            $assert.areEqual(response.responseText, '[]');
+            return performRequest(replay, request);
+        }).then(function (response) {
+            $assert.areEqual(response.responseText, '[{"id":"1"}]');
+            return performRequest(replay, request);
+        }).then(function () {
+            $assert.fail('request should have failed');
+        }, function (error) {
+            $assert.areEqual(error.message, 'No recorded response matches the request GET http://www.test.com/tables/books.');
+        });
+    }),
+
+    $test('requests with a different body are not matched')
+    .checkAsync(function () {
+        var replay = createReplayTransport(createFixture());
+
+        return performRequest(replay, {
+            type: 'PATCH',
+            url: 'http://www.test.com/tables/books/1',
+            data: '{"id":"1","text":"c"}'
+        }).then(function () {
+            $assert.fail('request should have failed');
+        }, function (error) {
+            $assert.areEqual(error.message, 'No recorded response matches the request PATCH http://www.test.com/tables/books/1.');
+            $assert.areEqual(replay.getRemainingEntries().length, 3);
+        });
+    }),
+
+    $test('table operations recorded with one client are replayed by another')
+    .checkAsync(function () {
+        var books = [];
+        var recorder = createRecordingTransport({
+            transport: createFakeTransport(function (request) {
+                if (request.type === 'POST') {
+                    books.push(JSON.parse(request.data));
+                    return createResponse(201, request.data, {});
+                }
+                return createResponse(200, JSON.stringify(books), {});
+            })
+        });
+
+        var fixture;
+        return runTableOperations(new MobileServiceClient('http://www.test.com', { transport: recorder })).then(function (results) {
+            $assert.areEqual(results, [{ id: '1', text: 'a' }]);
+
+            fixture = JSON.stringify(recorder.getFixture());
+            return runTableOperations(new MobileServiceClient('http://www.test.com', { transport: createReplayTransport(fixture) }));
+        }).then(function (results) {
+            $assert.areEqual(results, [{ id: '1', text: 'a' }]);
+        });
+    }),
+
+    $test('replayed error responses are reported as errors')
+    .checkAsync(function () {
+        var fixture = createFixture();
+        fixture.log.entries[0].response = { status: 412, statusText: 'Precondition Failed', content: { text: '{"id":"1","version":"3"}' } };
+
+        var client = new MobileServiceClient('http://www.test.com', { transport: createReplayTransport(fixture) });
+        return client.getTable('books').update({ id: '1', text: 'b' }).then(function () {
+            $assert.fail('update should have failed');
+        }, function (error) {
+            $assert.isTrue(error instanceof errors.ConflictError);
+            $assert.areEqual(error.serverInstance, { id: '1', version: '3' });
+        });
+    }),
+
+    $test('withFilter copies the transport')
+    .check(function () {
+        var replay = createReplayTransport(createFixture()),
+            client = new MobileServiceClient('http://www.test.com', { transport: replay });
+
+        client = client.withFilter(function (req, next, callback) {
+            next(req, callback);
+        });
+
+        $assert.areEqual(client._transport, replay);
+    }),
+
+    $test('invalid arguments')
+    .check(function () {
+        $assertThrows(function () { createRecordingTransport('transport'); });
+        $assertThrows(function () { createRecordingTransport({ transport: {} }); });
+        $assertThrows(function () { createRecordingTransport({ redactedHeaders: 'X-ZUMO-AUTH' }); });
+        $assertThrows(function () { createReplayTransport(); });
+        $assertThrows(function () { createReplayTransport({ entries: [] }); });
+        $assertThrows(function () { createReplayTransport('not json'); });
+        $assertThrows(function () { new MobileServiceClient('http://www.test.com', { transport: function () {} }); });
+    })
+);
+
+function performRequest(transport, request) {
+    return Platform.async(transport.performRequest)(request);
+}
+
+// Inserts a book and reads all the books
+function runTableOperations(client) {
+    var table = client.getTable('books');
+    return table.insert({ id: '1', text: 'a' }).then(function () {
+        return table.read();
+    });
+}
+
+// Creates a transport that responds using the specified function
+function createFakeTransport(respond) {
+    return {
+        performRequest: function (request, callback) {
+            var response;
+            try {
+                response = respond(request);
+            } catch (error) {
+                return callback(error, null);
+            }
+            callback(null, response);
+        }
+    };
+}
+
+function createResponse(status, responseText, headers) {
+    return {
+        status: status,
+        responseText: responseText,
+        getResponseHeader: function (name) {
+            return headers[name] || null;
+        },
+        getAllResponseHeaders: function () {
+            return Object.keys(headers).map(function (name) {
+                return name + ': ' + headers[name];
+            }).join('\r\n');
+        }
+    };
+}
+
+function createFixture() {
+    return {
+        log: {
+            version: '1.2',
+            entries: [
+                {
+                    request: { method: 'PATCH', url: 'http://www.test.com/tables/books/1', headers: [], postData: { text: '{"id":"1","text":"b"}' } },
+                    response: { status: 200, statusText: 'OK', headers: [{ name: 'ETag', value: '"2"' }], content: { text: '{"id":"1","text":"b","version":"2"}' } }
+                },
+                {
+                    request: { method: 'GET', url: 'http://www.test.com/tables/books', headers: [], postData: null },
+                    response: { status: 200, statusText: 'OK', headers: [], content: { text: '[]' } }
+                },
+                {
+                    request: { method: 'GET', url: 'http://www.test.com/tables/books', headers: [], postData: null },
+                    response: { status: 200, statusText: 'OK', headers: [], content: { text: '[{"id":"1"}]' } }
+                }
+            ]
+        }
+    };
+}
@@ -0,0 +1,210 @@
+// ----------------------------------------------------------------------------
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// ----------------------------------------------------------------------------
+
+/**
+ * @file unit tests for the retry policy filter
+ */
+
+var Platform = require('../../../src/Platform'),
+    MobileServiceClient = require('../../../src/MobileServiceClient'),
+    createRetryPolicyFilter = require('../../../src/Filters/retryPolicyFilter').createRetryPolicyFilter;
+
+$testGroup('Retry policy filter tests',
+
+    $test('request is retried until it succeeds')
+    .checkAsync(function () {
+        var statuses = [503, 500, 200];
+        var client = createClient(statuses, { initialDelay: 1 });
+
+        return request(client, 'GET').then(function (response) {
+            $assert.areEqual(response.status, 200);
+            $assert.areEqual(statuses.length, 0);
+        });
+    }),
+
+    $test('response is returned once the retry count is exhausted')
+    .checkAsync(function () {
+        var statuses = [500, 500, 500, 500, 200];
+        var client = createClient(statuses, { retryCount: 2, initialDelay: 1 });
+
+        return request(client, 'GET').then(function () {
+            $assert.fail('request should have failed');
+        }, function (error) {
+            $assert.areEqual(error.request.status, 500);
+            $assert.areEqual(statuses, [500, 200]); // 1 attempt + 2 retries
+        });
+    }),
+
+    $test('non retryable status codes are not retried')
+    .checkAsync(function () {
+        var statuses = [404, 200];
+        var client = createClient(statuses, { initialDelay: 1 });
+
+        return request(client, 'GET').then(function () {
+            $assert.fail('request should have failed');
+        }, function (error) {
+            $assert.areEqual(error.request.status, 404);
+            $assert.areEqual(statuses, [200]);
+        });
+    }),
+
+    $test('retryable status codes can be configured')
+    .checkAsync(function () {
+        var statuses = [404, 200];
+        var client = createClient(statuses, { initialDelay: 1, retryableStatusCodes: [404] });
+
+        return request(client, 'GET').then(function (response) {
+            $assert.areEqual(response.status, 200);
+        });
+    }),
+
+    $test('non idempotent methods are not retried by default')
+    .checkAsync(function () {
+        var statuses = [503, 503, 200, 200];
+        var client = createClient(statuses, { initialDelay: 1 });
+
+        return request(client, 'POST').then(function () {
+            $assert.fail('request should have failed');
+        }, function (error) {
+            $assert.areEqual(error.request.status, 503);
+            return request(client, 'PATCH');
+        }).then(function () {
+            $assert.fail('request should have failed');
+        }, function (error) {
+            $assert.areEqual(error.request.status, 503);
+            return request(client, 'DELETE');
+        }).then(function (response) {
+            $assert.areEqual(response.status, 200);
+        });
+    }),
+
+    $test('retryable methods can be configured')
+    .checkAsync(function () {
+        var statuses = [503, 200];
+        var client = createClient(statuses, { initialDelay: 1, retryableMethods: ['post'] });
+
+        return request(client, 'POST').then(function (response) {
+            $assert.areEqual(response.status, 200);
+        });
+    }),
+
+    $test('timed out requests are retried')
+    .checkAsync(function () {
+        var attempts = 0;
+        var client = new MobileServiceClient('http://www.test.com').withFilter(function (req, next, callback) {
+            if (attempts++ === 0) {
+                var error = new Error('timed out');
+                error.name = 'TimeoutError';
+                return callback(error, null);
+            }
+            callback(null, { status: 200, responseText: null });
+        }).withFilter(createRetryPolicyFilter({ initialDelay: 1 }));
+
+        return request(client, 'GET').then(function (response) {
+            $assert.areEqual(response.status, 200);
+            $assert.areEqual(attempts, 2);
+        });
+    }),
+
+    $test('aborted requests are not retried')
+    .checkAsync(function () {
+        var attempts = 0;
+        var client = new MobileServiceClient('http://www.test.com').withFilter(function (req, next, callback) {
+            attempts++;
+            var error = new Error('aborted');
+            error.name = 'AbortError';
+            callback(error, null);
+        }).withFilter(createRetryPolicyFilter({ initialDelay: 1 }));
+
+        return request(client, 'GET').then(function () {
+            $assert.fail('request should have failed');
+        }, function (error) {
+            $assert.isTrue(error.isAborted);
+            $assert.areEqual(attempts, 1);
+        });
+    }),
+
+    $test('Retry-After in seconds is honoured')
+    .checkAsync(function () {
+        var delays = [];
+        var client = createClient([{ status: 429, retryAfter: '0' }, 200], { initialDelay: 10000 }, delays);
+
+        return request(client, 'GET').then(function (response) {
+            $assert.areEqual(response.status, 200);
+            $assert.isTrue(delays[0] < 5000); // the initial delay would have been 10 seconds
+        });
+    }),
+
+    $test('Retry-After as an HTTP date is honoured')
+    .checkAsync(function () {
+        var delays = [];
+        var client = createClient([{ status: 503, retryAfter: new Date(0).toUTCString() }, 200], { initialDelay: 10000 }, delays);
+
+        return request(client, 'GET').then(function (response) {
+            $assert.areEqual(response.status, 200);
+            $assert.isTrue(delays[0] < 5000);
+        });
+    }),
+
+    $test('Retry-After longer than the maximum delay is not retried')
+    .checkAsync(function () {
+        var statuses = [{ status: 503, retryAfter: '120' }, 200];
+        var client = createClient(statuses, { initialDelay: 1 });
+
+        return request(client, 'GET').then(function () {
+            $assert.fail('request should have failed');
+        }, function (error) {
+            $assert.areEqual(error.request.status, 503);
+            $assert.areEqual(statuses, [200]);
+        });
+    }),
+
+    $test('invalid options')
+    .check(function () {
+        $assertThrows(function () { createRetryPolicyFilter('options'); });
+        $assertThrows(function () { createRetryPolicyFilter({ retryCount: -1 }); });
+        $assertThrows(function () { createRetryPolicyFilter({ retryCount: 1.5 }); });
+        $assertThrows(function () { createRetryPolicyFilter({ initialDelay: -1 }); });
+        $assertThrows(function () { createRetryPolicyFilter({ maxDelay: 'abc' }); });
+        $assertThrows(function () { createRetryPolicyFilter({ jitter: 2 }); });
+        $assertThrows(function () { createRetryPolicyFilter({ retryableStatusCodes: 500 }); });
+        $assertThrows(function () { createRetryPolicyFilter({ retryableMethods: [1] }); });
+
+        createRetryPolicyFilter();
+        createRetryPolicyFilter({ retryCount: 0, jitter: 0 });
+    })
+);
+
+// Creates a client with a filter that responds with the specified statuses in order, wrapped by a retry policy filter
+function createClient(statuses, options, delays) {
+    var lastAttempt;
+
+    return new MobileServiceClient('http://www.test.com').withFilter(function (req, next, callback) {
+        var now = Date.now(),
+            status = statuses.shift(),
+            retryAfter = null;
+
+        if (delays && lastAttempt) {
+            delays.push(now - lastAttempt);
+        }
+        lastAttempt = now;
+
+        if (typeof status === 'object') {
+            retryAfter = status.retryAfter;
+            status = status.status;
+        }
+
+        callback(null, {
+            status: status,
+            responseText: null,
+            getResponseHeader: function (name) {
+                return name === 'Retry-After' ? retryAfter : null;
+            }
+        });
+    }).withFilter(createRetryPolicyFilter(options));
+}
+
+function request(client, method) {
+    return Platform.async(client._request).call(client, method, 'foo', null);
+}
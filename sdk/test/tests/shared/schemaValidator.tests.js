@@ -0,0 +1,116 @@
+// ----------------------------------------------------------------------------
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// ----------------------------------------------------------------------------
+
+/**
+ * @file unit tests for the schema validator
+ */
+
+var createSchemaValidator = require('../../../src/schemaValidator').createSchemaValidator;
+
+var schema = {
+    type: 'object',
+    properties: {
+        text: { type: 'string', minLength: 1, maxLength: 5, pattern: '^[a-z]+$' },
+        priority: { type: 'integer', minimum: 1, maximum: 3 },
+        status: { enum: ['open', 'closed'] },
+        dueDate: { type: ['string', 'null'], format: 'date-time' },
+        tags: { type: 'array', items: { type: 'string' } },
+        owner: {
+            type: 'object',
+            properties: { name: { type: 'string' } },
+            required: ['name']
+        }
+    },
+    required: ['text'],
+    additionalProperties: false
+};
+
+$testGroup('schema validator tests',
+
+    $test('valid records')
+    .check(function () {
+        var validate = createSchemaValidator(schema);
+
+        $assert.areEqual(validate({ text: 'a' }, 'insert'), []);
+        $assert.areEqual(validate({
+            id: '1',
+            version: 'AAA',
+            text: 'abc',
+            priority: 2,
+            status: 'open',
+            dueDate: new Date(),
+            tags: ['a'],
+            owner: { name: 'b' },
+            ignored: undefined
+        }, 'insert'), []);
+        $assert.areEqual(validate({ dueDate: null }, 'update'), []);
+    }),
+
+    $test('invalid records')
+    .check(function () {
+        var validate = createSchemaValidator(schema);
+
+        $assert.areEqual(validate({
+            text: 'ABCDEF',
+            priority: 1.5,
+            status: 'new',
+            dueDate: 'tomorrow',
+            tags: ['a', 1],
+            owner: {},
+            extra: true
+        }, 'insert'), [
+            { path: 'text', message: 'must have at most 5 characters' },
+            { path: 'text', message: 'must match the pattern ^[a-z]+$' },
+            { path: 'priority', message: 'must be of type integer' },
+            { path: 'status', message: 'must be one of "open", "closed"' },
+            { path: 'dueDate', message: 'must be a date-time' },
+            { path: 'tags[1]', message: 'must be of type string' },
+            { path: 'owner.name', message: 'is required' },
+            { path: 'extra', message: 'is not allowed' }
+        ]);
+        $assert.areEqual(validate({ priority: 4 }, 'insert'), [
+            { path: 'text', message: 'is required' },
+            { path: 'priority', message: 'must be less than or equal to 3' }
+        ]);
+    }),
+
+    $test('updates do not check required properties')
+    .check(function () {
+        var validate = createSchemaValidator(schema);
+
+        $assert.areEqual(validate({ id: '1', priority: 1 }, 'update'), []);
+        $assert.areEqual(validate({ id: '1', owner: {} }, 'update'), [{ path: 'owner.name', message: 'is required' }]);
+    }),
+
+    $test('custom ID property is allowed')
+    .check(function () {
+        var validate = createSchemaValidator(schema, 'Id');
+
+        $assert.areEqual(validate({ Id: 1, text: 'a' }, 'insert'), []);
+        $assert.areEqual(validate({ id: 1, text: 'a' }, 'insert'), [{ path: 'id', message: 'is not allowed' }]);
+    }),
+
+    $test('validator functions')
+    .check(function () {
+        var calls = [],
+            validate = createSchemaValidator(function (record, operation) {
+                calls.push(operation);
+                return record.result;
+            });
+
+        $assert.areEqual(validate({}, 'insert'), []);
+        $assert.areEqual(validate({ result: true }, 'update'), []);
+        $assert.areEqual(validate({ result: false }, 'insert'), [{ path: '', message: 'is not valid' }]);
+        $assert.areEqual(validate({ result: 'a' }, 'insert'), [{ path: '', message: 'a' }]);
+        $assert.areEqual(validate({ result: ['a', 'b'] }, 'insert'), [{ path: '', message: 'a' }, { path: '', message: 'b' }]);
+        $assert.areEqual(calls, ['insert', 'update', 'insert', 'insert', 'insert']);
+    }),
+
+    $test('schema is validated')
+    .check(function () {
+        $assertThrows(function () { createSchemaValidator(); });
+        $assertThrows(function () { createSchemaValidator('schema'); });
+        $assertThrows(function () { createSchemaValidator({ type: 'date' })({}, 'insert'); });
+    })
+);
@@ -7,6 +7,8 @@
  */
 
 var Platform = require('../../../src/Platform'),
+    MobileServiceClient = require('../../../src/MobileServiceClient'),
+    createXhrResponse = require('../../../src/Transports/transportHelper').createResponse,
     _ = require('../../../src/Utilities/Extensions');
 
 /**
@@ -64,6 +66,38 @@ function runAction(chain, action) {
     });
 }
 
+/**
+ * Creates a client whose requests are not sent to the server, but answered by the specified function
+ * @param respond A function that is invoked with each request and returns the response, see createResponse
+ */
+function createClient(respond) {
+    return new MobileServiceClient("http://www.test.com").withFilter(function (req, next, callback) {
+        callback(null, respond(req));
+    });
+}
+
+/**
+ * Creates the 'books' table of a client whose requests are answered by the specified function
+ * @param [options] The table options, see MobileServiceClient.getTable
+ * @param respond A function that is invoked with each request and returns the response, see createResponse
+ */
+function createTable(options, respond) {
+    return createClient(respond).getTable('books', options);
+}
+
+/**
+ * Creates an XMLHttpRequest-like response
+ * @param body The response body. Values that aren't strings are serialized to JSON.
+ * @param [headers] The response headers, as an object whose keys are the header names
+ * @param [status] The HTTP status code. Defaults to 200.
+ */
+function createResponse(body, headers, status) {
+    return createXhrResponse(_.isNull(status) ? 200 : status, '', headers, typeof body === 'string' ? body : JSON.stringify(body));
+}
+
 module.exports = {
-    runActions: runActions
+    runActions: runActions,
+    createClient: createClient,
+    createTable: createTable,
+    createResponse: createResponse
 };
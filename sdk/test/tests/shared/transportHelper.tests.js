@@ -0,0 +1,55 @@
+// ----------------------------------------------------------------------------
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// ----------------------------------------------------------------------------
+
+/**
+ * @file transportHelper unit tests
+ */
+
+var transportHelper = require('../../../src/Transports/transportHelper');
+
+$testGroup('transport helper',
+
+    $test('createResponse')
+    .check(function () {
+        var response = transportHelper.createResponse(200, 'OK', {
+            'Content-Type': 'application/json',
+            'set-cookie': ['a=1', 'b=2'],
+            'x-missing': undefined
+        }, '{}');
+
+        $assert.areEqual(response.readyState, 4);
+        $assert.areEqual(response.status, 200);
+        $assert.areEqual(response.statusText, 'OK');
+        $assert.areEqual(response.responseText, '{}');
+        $assert.areEqual(response.getResponseHeader('content-type'), 'application/json');
+        $assert.areEqual(response.getResponseHeader('Set-Cookie'), 'a=1, b=2');
+        $assert.isNull(response.getResponseHeader('x-missing'));
+        $assert.isNull(response.getResponseHeader('ETag'));
+    }),
+
+    $test('createResponse without headers')
+    .check(function () {
+        var response = transportHelper.createResponse(0);
+
+        $assert.areEqual(response.status, 0);
+        $assert.areEqual(response.statusText, '');
+        $assert.isNull(response.getResponseHeader('ETag'));
+        $assert.areEqual(response.getAllResponseHeaders(), '');
+    }),
+
+    $test('getResponseHeaders')
+    .check(function () {
+        var response = transportHelper.createResponse(200, 'OK', { 'ETag': '"1"', 'Link': '<a>; rel=next' }, '');
+
+        $assert.areEqual(transportHelper.getResponseHeaders(response), { 'ETag': '"1"', 'Link': '<a>; rel=next' });
+        $assert.areEqual(transportHelper.getResponseHeaders({ getResponseHeader: function () { return null; } }), {});
+    }),
+
+    $test('findHeader')
+    .check(function () {
+        $assert.areEqual(transportHelper.findHeader({ 'ETag': '"1"' }, 'etag'), '"1"');
+        $assert.isNull(transportHelper.findHeader({ 'ETag': null }, 'ETag'));
+        $assert.isNull(transportHelper.findHeader({}, 'ETag'));
+    })
+);
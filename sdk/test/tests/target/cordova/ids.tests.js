@@ -0,0 +1,183 @@
+// ----------------------------------------------------------------------------
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// ----------------------------------------------------------------------------
+
+/**
+ * @file unit tests for offline tables with custom ID columns and integer IDs
+ */
+
+var Platform = require('../../../../src/Platform'),
+    Query = require('azure-query-js').Query,
+    tableConstants = require('../../../../src/constants').table,
+    MobileServiceClient = require('../../../../src/MobileServiceClient'),
+    storeTestHelper = require('./storeTestHelper'),
+    MobileServiceSqliteStore = require('../../../../src/Platform/cordova/MobileServiceSqliteStore');
+
+var operationTableName = tableConstants.operationTableName,
+    testTableName = storeTestHelper.testTableName,
+    store,
+    requests,
+    respond,
+    client;
+
+$testGroup('custom ID tests')
+
+    // Clear the store before running each test.
+    .beforeEachAsync(function() {
+        return storeTestHelper.createEmptyStore().then(function(emptyStore) {
+            store = emptyStore;
+            requests = [];
+            respond = undefined;
+            client = new MobileServiceClient('http://someurl').withFilter(function(req, next, callback) {
+                requests.push(req.type + ' ' + req.url + ' ' + (req.data || ''));
+                callback(null, respond(req));
+            });
+
+            return store.defineTable({
+                name: testTableName,
+                idPropertyName: 'Id',
+                columnDefinitions: {
+                    Id: 'int',
+                    text: 'string',
+                    version: 'string',
+                    updatedAt: 'date',
+                    deleted: 'boolean'
+                }
+            }).then(function() {
+                return client.getSyncContext().initialize(store);
+            });
+        });
+    }).tests(
+
+    $test('store uses the custom ID column')
+    .checkAsync(function () {
+        $assert.areEqual(store.getIdPropertyName(testTableName), 'Id');
+        $assert.areEqual(store.getIdPropertyName(operationTableName), 'id');
+
+        return store.upsert(testTableName, [{ Id: 1, text: 'a' }, { Id: 2, text: 'b' }]).then(function() {
+            return store.upsert(testTableName, { Id: 1, text: 'c' });
+        }).then(function() {
+            return store.lookup(testTableName, 1);
+        }).then(function(record) {
+            $assert.areEqual(record, { Id: 1, text: 'c', version: null, updatedAt: null, deleted: null });
+            return store.del(testTableName, 1);
+        }).then(function() {
+            return store.del(new Query(testTableName).where({ text: 'b' }));
+        }).then(function() {
+            return store.read(new Query(testTableName));
+        }).then(function(records) {
+            $assert.areEqual(records, []);
+        });
+    }),
+
+    $test('store rejects records without an ID')
+    .checkAsync(function () {
+        return store.upsert(testTableName, { text: 'a' }).then(function() {
+            $assert.fail('failure expected');
+        }, function(error) {
+            // error expected
+        });
+    }),
+
+    $test('custom ID column is validated')
+    .checkAsync(function () {
+        return store.defineTable({
+            name: testTableName,
+            idPropertyName: 5,
+            columnDefinitions: {
+                Id: 'int'
+            }
+        }).then(function() {
+            $assert.fail('failure expected');
+        }, function(error) {
+            // error expected
+        });
+    }),
+
+    $test('integer IDs are logged and pushed')
+    .checkAsync(function () {
+        var table = client.getSyncTable(testTableName);
+        respond = function(req) {
+            return { status: 200, responseText: req.type === 'DELETE' ? '' : '{"Id":1,"text":"b","version":"2"}' };
+        };
+
+        return store.upsert(testTableName, [{ Id: 1, text: 'a', version: '1' }, { Id: 2, text: 'a', version: '1' }]).then(function() {
+            return table.update({ Id: 1, text: 'b' });
+        }).then(function() {
+            return table.del({ Id: 2 });
+        }).then(function() {
+            return store.read(new Query(operationTableName).orderBy('id'));
+        }).then(function(logRecords) {
+            // Integer IDs are stored as text in the operation table
+            $assert.areEqual(logRecords.map(function(logRecord) { return logRecord.itemId; }), ['1', '2']);
+            return client.getSyncContext()._getOperationTableManager().readPendingOperations(testTableName, 2);
+        }).then(function(pendingOperations) {
+            $assert.areEqual(pendingOperations.length, 1);
+            $assert.areEqual(pendingOperations[0].itemId, 2);
+            $assert.areEqual(pendingOperations[0].metadata, { version: '1', itemIdType: 'number' });
+            return client.getSyncContext().push();
+        }).then(function() {
+            $assert.areEqual(requests, [
+                'PATCH http://someurl/tables/todoitem/1 {"Id":1,"text":"b"}',
+                'DELETE http://someurl/tables/todoitem/2 '
+            ]);
+            return table.lookup(1);
+        }).then(function(record) {
+            $assert.areEqual(record.text, 'b');
+            $assert.areEqual(record.version, '2');
+            return store.read(new Query(operationTableName));
+        }).then(function(logRecords) {
+            $assert.areEqual(logRecords, []);
+        });
+    }),
+
+    $test('integer IDs can not be inserted offline')
+    .checkAsync(function () {
+        return client.getSyncTable(testTableName).insert({ Id: 1, text: 'a' }).then(function() {
+            $assert.fail('failure expected');
+        }, function(error) {
+            $assert.contains(error.message, 'Integer ids are generated by the server');
+        });
+    }),
+
+    $test('records without an ID can not be inserted offline in tables with integer IDs')
+    .checkAsync(function () {
+        $assert.areEqual(store.getIdColumnType(testTableName), 'int');
+
+        return client.getSyncTable(testTableName).insert({ text: 'a' }).then(function() {
+            $assert.fail('failure expected');
+        }, function(error) {
+            $assert.areEqual(error.message, "Cannot insert in table '" + testTableName + "' while offline. Integer ids are generated by the server.");
+            return store.read(new Query(testTableName));
+        }).then(function(records) {
+            $assert.areEqual(records, []);
+            return store.read(new Query(operationTableName));
+        }).then(function(logRecords) {
+            $assert.areEqual(logRecords, []);
+        });
+    }),
+
+    $test('pull uses the custom ID column')
+    .checkAsync(function () {
+        var pages = [
+            [
+                { Id: 1, text: 'a', updatedAt: new Date(2016, 1, 1).toISOString(), deleted: false },
+                { Id: 2, text: 'b', updatedAt: new Date(2016, 1, 1).toISOString(), deleted: true }
+            ],
+            []
+        ];
+        respond = function(req) {
+            return { status: 200, responseText: JSON.stringify(pages.shift()) };
+        };
+
+        return store.upsert(testTableName, { Id: 2, text: 'b' }).then(function() {
+            return client.getSyncContext().pull(new Query(testTableName));
+        }).then(function() {
+            return store.read(new Query(testTableName));
+        }).then(function(records) {
+            $assert.areEqual(records.length, 1);
+            $assert.areEqual(records[0].Id, 1);
+            $assert.areEqual(records[0].text, 'a');
+        });
+    })
+);
@@ -328,6 +328,141 @@ $testGroup('MobileServiceSyncContext tests')
         });
     }),
 
+    $test('Inserts and updates are checked against the schema of the table')
+    .checkAsync(function () {
+        var syncContext,
+            schema = {
+                type: 'object',
+                properties: {
+                    name: { type: 'string', minLength: 1 }
+                },
+                required: ['name'],
+                additionalProperties: false
+            };
+
+        return getSyncContext().then(function(context) {
+            syncContext = context;
+            syncContext.setSchema(storeTestHelper.testTableName, schema);
+            return syncContext.insert(storeTestHelper.testTableName, {id: testId, name: ''});
+        }).then(function() {
+            $assert.fail('failure expected');
+        }, function(error) {
+            $assert.areEqual(error.name, 'ValidationError');
+            $assert.areEqual(error.validationErrors, [{ path: 'name', message: 'must have at least 1 characters' }]);
+            return syncContext.update(storeTestHelper.testTableName, {id: testId, price: 1});
+        }).then(function() {
+            $assert.fail('failure expected');
+        }, function(error) {
+            $assert.areEqual(error.validationErrors, [{ path: 'price', message: 'is not allowed' }]);
+            return store.read(new Query(operationTableName));
+        }).then(function(logRecords) {
+            $assert.areEqual(logRecords, []); // nothing should be logged
+            return syncContext.insert(storeTestHelper.testTableName, {id: testId, name: testName});
+        }).then(function() {
+            return syncContext.update(storeTestHelper.testTableName, {id: testId});
+        }).then(function() {
+            syncContext.setSchema(storeTestHelper.testTableName, null);
+            return syncContext.update(storeTestHelper.testTableName, {id: testId, name: ''});
+        }).then(function() {
+            return store.read(new Query(operationTableName));
+        }).then(function(logRecords) {
+            $assert.areEqual(logRecords.length, 1);
+        });
+    }),
+
+    $test('Sync tables set the schema of the table')
+    .checkAsync(function () {
+        var client = new MobileServiceClient('someurl'),
+            table = client.getSyncTable(storeTestHelper.testTableName, {
+                schema: function (record, operation) {
+                    $assert.areEqual(operation, 'insert');
+                    return record.name === testName ? undefined : 'name is not valid';
+                }
+            });
+
+        return client.getSyncContext().initialize(store).then(function() {
+            return defineTestTable();
+        }).then(function() {
+            return table.insert({id: testId, name: 'other'});
+        }).then(function() {
+            $assert.fail('failure expected');
+        }, function(error) {
+            $assert.areEqual(error.message, "The record is not valid for table '" + storeTestHelper.testTableName + "': name is not valid.");
+            return table.insert({id: testId, name: testName});
+        });
+    }),
+
+    $test('Pending operations can be inspected')
+    .checkAsync(function () {
+        var syncContext,
+            tableName = storeTestHelper.testTableName;
+
+        return getSyncContext().then(function(context) {
+            syncContext = context;
+            return store.defineTable({ name: 'othertable', columnDefinitions: { id: 'string' } });
+        }).then(function() {
+            return store.upsert(tableName, {id: 'c', name: 'pulled'});
+        }).then(function() {
+            return syncContext.insert(tableName, {id: 'a', name: 'a'});
+        }).then(function() {
+            return syncContext.insert(tableName, {id: 'b', name: 'b'});
+        }).then(function() {
+            return syncContext.update(tableName, {id: 'a', name: 'updated'});
+        }).then(function() {
+            return syncContext.del(tableName, {id: 'c'});
+        }).then(function() {
+            return syncContext.insert('othertable', {id: 'd'});
+        }).then(function() {
+            return syncContext.getPendingOperations();
+        }).then(function(operations) {
+            $assert.areEqual(operations, [
+                {tableName: tableName, action: 'insert', itemId: 'a', data: {id: 'a', name: 'updated'}},
+                {tableName: tableName, action: 'insert', itemId: 'b', data: {id: 'b', name: 'b'}},
+                {tableName: tableName, action: 'delete', itemId: 'c', data: null},
+                {tableName: 'othertable', action: 'insert', itemId: 'd', data: {id: 'd'}}
+            ]);
+            return syncContext.getPendingOperations(tableName);
+        }).then(function(operations) {
+            $assert.areEqual(operations.map(function(operation) { return operation.itemId; }), ['a', 'b', 'c']);
+            return syncContext.getPendingOperationCount();
+        }).then(function(count) {
+            $assert.areEqual(count, 4);
+            return syncContext.getPendingOperationCount('othertable');
+        }).then(function(count) {
+            $assert.areEqual(count, 1);
+            return syncContext.hasPendingOperations(tableName, 'c');
+        }).then(function(hasPendingOperations) {
+            $assert.isTrue(hasPendingOperations);
+            return syncContext.hasPendingOperations('othertable', 'a');
+        }).then(function(hasPendingOperations) {
+            $assert.isFalse(hasPendingOperations);
+        });
+    }),
+
+    $test('Pending operations inspection validates its arguments')
+    .checkAsync(function () {
+        var syncContext = new MobileServiceSyncContext(new MobileServiceClient('someurl'));
+
+        return syncContext.getPendingOperationCount().then(function() {
+            $assert.fail('failure expected'); // not initialized
+        }, function(error) {
+            return getSyncContext();
+        }).then(function(context) {
+            syncContext = context;
+            return syncContext.getPendingOperations(1);
+        }).then(function() {
+            $assert.fail('failure expected');
+        }, function(error) {
+            return syncContext.hasPendingOperations(storeTestHelper.testTableName);
+        }).then(function() {
+            $assert.fail('failure expected');
+        }, function(error) {
+            return syncContext.getPendingOperationCount(storeTestHelper.testTableName);
+        }).then(function(count) {
+            $assert.areEqual(count, 0);
+        });
+    }),
+
     $test('purge')
     .description('Tests that the purge API simply calls pullManager.purge() and returns whatever it returns')
     .checkAsync(function () {
@@ -218,6 +218,38 @@ $testGroup('MobileServiceSyncTable tests')
         };
 
         $assert.areEqual(table.purge(null, true), 'result');
+    }),
+
+    $test('model mapping')
+    .description('Verifies that the records of a table with a model are mapped to and from model objects')
+    .checkAsync(function () {
+        var TodoItem = function () {},
+            modelTable = client.getSyncTable(storeTestHelper.testTableName, {
+                model: { type: TodoItem, properties: { title: 'text' } }
+            });
+
+        return modelTable.insert({ id: '1', title: 'abc' }).then(function (item) {
+            $assert.isTrue(item instanceof TodoItem);
+            $assert.areEqual(item.title, 'abc');
+            return store.lookup(storeTestHelper.testTableName, '1');
+        }).then(function (record) {
+            $assert.areEqual(record, { id: '1', text: 'abc' });
+            return modelTable.update({ id: '1', title: 'def' });
+        }).then(function () {
+            return modelTable.where({ text: 'def' }).read();
+        }).then(function (results) {
+            $assert.areEqual(results.length, 1);
+            $assert.isTrue(results[0] instanceof TodoItem);
+            $assert.areEqual(results[0].title, 'def');
+            return modelTable.lookup('1');
+        }).then(function (item) {
+            $assert.isTrue(item instanceof TodoItem);
+            return modelTable.del(item);
+        }).then(function () {
+            return store.lookup(storeTestHelper.testTableName, '1', true /* suppressRecordNotFoundError */);
+        }).then(function (record) {
+            $assert.isNull(record);
+        });
     })
 );
 
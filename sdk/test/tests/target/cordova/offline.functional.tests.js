@@ -806,10 +806,11 @@ function performAction (chain, action) {
                 return table.read(query);
             case 'push':
                 return syncContext.push();
+            // The actions push explicitly, so that pending changes can be setup to conflict with the server
             case 'vanillapull':
-                return syncContext.pull(query, null /* queryId */, {pageSize: pullPageSize});
+                return syncContext.pull(query, null /* queryId */, {pageSize: pullPageSize, pushBeforePull: false});
             case 'incrementalpull':
-                return syncContext.pull(query, 'queryId', {pageSize: pullPageSize});
+                return syncContext.pull(query, 'queryId', {pageSize: pullPageSize, pushBeforePull: false});
             default:
                 throw new Error('Unsupported action : ' + action);
         }
@@ -13,6 +13,7 @@ var Platform = require('../../../../src/Platform'),
     createPullManager = require('../../../../src/sync/pull').createPullManager,
     tableConstants = require('../../../../src/constants').table,
     MobileServiceClient = require('../../../../src/MobileServiceClient'),
+    errors = require('../../../../src/errors'),
     storeTestHelper = require('./storeTestHelper'),
     runner = require('../../../../src/Utilities/taskRunner'),
     createOperationTableManager = require('../../../../src/sync/operations').createOperationTableManager,
@@ -100,9 +101,356 @@ $testGroup('pull tests')
     $test('Incremental pull - verify X-ZUMO-FEATURES')
     .checkAsync(function () {
         return pullAndValidateFeatures(true /* incremental sync */);
+    }),
+
+    $test('pull steps are logged')
+    .checkAsync(function () {
+        var entries = [],
+            pages = [
+                [{ id: '1', updatedAt: new Date(2016, 1, 1).toISOString(), deleted: false }],
+                []
+            ];
+
+        client = new MobileServiceClient('http://someurl', {
+            logLevel: 'debug',
+            logger: {
+                debug: function (message, event) {
+                    entries.push(event);
+                },
+                info: function (message, event) {
+                    entries.push(event);
+                }
+            }
+        }).withFilter(function(req, next, callback) {
+            callback(null, { status: 200, responseText: JSON.stringify(pages.shift()) });
+        });
+
+        var pullManager = createPullManager(client, store, runner(), createOperationTableManager(store));
+        return store.defineTable({
+            name: storeTestHelper.testTableName,
+            columnDefinitions: {
+                id: 'string',
+                updatedAt: 'date',
+                deleted: 'boolean'
+            }
+        }).then(function() {
+            return pullManager.initialize();
+        }).then(function() {
+            return pullManager.pull(new Query(storeTestHelper.testTableName), 'queryId');
+        }).then(function() {
+            var steps = entries.filter(function(event) {
+                return event.type === 'pull';
+            });
+
+            $assert.areEqual(steps.length, 4);
+            $assert.areEqual(steps[0].step, 'start');
+            $assert.areEqual(steps[0].tableName, storeTestHelper.testTableName);
+            $assert.areEqual(steps[0].queryId, 'queryId');
+            $assert.areEqual(steps[1].step, 'page');
+            $assert.areEqual(steps[1].count, 1);
+            $assert.areEqual(steps[2].step, 'page');
+            $assert.areEqual(steps[2].count, 0);
+            $assert.areEqual(steps[3].step, 'complete');
+            $assert.areEqual(steps[3].count, 1);
+        });
+    }),
+
+    $test('pull is cancelled between pages')
+    .checkAsync(function () {
+        var signal = { aborted: false },
+            requestCount = 0,
+            updatedAt = [new Date(2016, 1, 1), new Date(2016, 1, 2)];
+
+        client = client.withFilter(function(req, next, callback) {
+            var record = { id: String(requestCount + 1), updatedAt: updatedAt[requestCount].toISOString(), deleted: false };
+            if (++requestCount === 2) {
+                signal.aborted = true; // cancel the pull while the second page is being pulled
+            }
+            callback(null, { status: 200, responseText: JSON.stringify([record]) });
+        });
+
+        var pullManager = createPullManager(client, store, runner(), createOperationTableManager(store));
+        return defineTestTable().then(function() {
+            return pullManager.initialize();
+        }).then(function() {
+            return pullManager.pull(new Query(storeTestHelper.testTableName), 'queryId', { pageSize: 1, signal: signal });
+        }).then(function() {
+            $assert.fail('failure expected');
+        }, function(error) {
+            $assert.isTrue(error instanceof errors.CancellationError);
+            $assert.areEqual(error.code, 'Aborted');
+            $assert.areEqual(requestCount, 2);
+            return store.lookup(storeTestHelper.testTableName, '2');
+        }).then(function(record) {
+            // the pages pulled before the cancellation are kept, along with the query of the last page
+            // so that the next incremental pull resumes from there
+            $assert.areEqual(record.id, '2');
+            return store.lookup(tableConstants.pulltimeTableName, 'queryId');
+        }).then(function(pulltime) {
+            $assert.areEqual(pulltime.value.getTime(), updatedAt[0].getTime());
+        });
+    }),
+
+    $test('pull is not started if it is already cancelled')
+    .checkAsync(function () {
+        client = client.withFilter(function(req, next, callback) {
+            $assert.fail('request should not have been sent');
+            callback('unexpected request');
+        });
+
+        var pullManager = createPullManager(client, store, runner(), createOperationTableManager(store));
+        return pullManager.pull(new Query(storeTestHelper.testTableName), 'queryId', { signal: { aborted: true } }).then(function() {
+            $assert.fail('failure expected');
+        }, function(error) {
+            $assert.isTrue(error instanceof errors.CancellationError);
+        });
+    }),
+
+    $test('Invalid pull settings - signal')
+    .checkAsync(function () {
+        return pullAndValidateSettings({signal: 'abc'}, 'error');
+    }),
+
+    $test('pending operations of the pulled table are pushed before pulling')
+    .checkAsync(function () {
+        var requests = [];
+
+        var syncContext = createSyncContext(function(req, next, callback) {
+            requests.push(req.type + ' ' + req.url.split('?')[0]);
+            if (req.type === 'GET') {
+                return callback(null, { status: 200, responseText: '[]' });
+            }
+            callback(null, { status: 201, responseText: req.data });
+        });
+
+        return store.defineTable({ name: 'othertable', columnDefinitions: { id: 'string' } }).then(function() {
+            return initializeSyncContext(syncContext);
+        }).then(function() {
+            return syncContext.insert(storeTestHelper.testTableName, { id: '1' });
+        }).then(function() {
+            return syncContext.insert('othertable', { id: '2' });
+        }).then(function() {
+            return syncContext.pull(new Query(storeTestHelper.testTableName));
+        }).then(function() {
+            $assert.areEqual(requests, [
+                'POST http://someurl/tables/' + storeTestHelper.testTableName,
+                'GET http://someurl/tables/' + storeTestHelper.testTableName
+            ]);
+            return store.read(new Query(tableConstants.operationTableName));
+        }).then(function(operations) {
+            // operations performed on other tables are still pending
+            $assert.areEqual(operations.length, 1);
+            $assert.areEqual(operations[0].tableName, 'othertable');
+        });
+    }),
+
+    $test('pending operations are not pushed if pushBeforePull is false')
+    .checkAsync(function () {
+        var requests = [];
+
+        var syncContext = createSyncContext(function(req, next, callback) {
+            var page = requests.length === 0 ? [{ id: '1', text: 'server', updatedAt: new Date().toISOString(), deleted: false }] : [];
+            requests.push(req.type);
+            callback(null, { status: 200, responseText: JSON.stringify(page) });
+        });
+
+        return initializeSyncContext(syncContext).then(function() {
+            return syncContext.insert(storeTestHelper.testTableName, { id: '1', text: 'client' });
+        }).then(function() {
+            return syncContext.pull(new Query(storeTestHelper.testTableName), null, { pushBeforePull: false });
+        }).then(function() {
+            $assert.areEqual(requests, ['GET', 'GET']);
+            return store.lookup(storeTestHelper.testTableName, '1');
+        }).then(function(record) {
+            // records with pending operations are not updated by the pull
+            $assert.areEqual(record.text, 'client');
+        });
+    }),
+
+    $test('pull fails if pending operations of the pulled table could not be pushed')
+    .checkAsync(function () {
+        var requests = [];
+
+        var syncContext = createSyncContext(function(req, next, callback) {
+            requests.push(req.type);
+            callback(null, { status: 500 });
+        });
+
+        return initializeSyncContext(syncContext).then(function() {
+            return syncContext.insert(storeTestHelper.testTableName, { id: '1' });
+        }).then(function() {
+            return syncContext.pull(new Query(storeTestHelper.testTableName));
+        }).then(function() {
+            $assert.fail('failure expected');
+        }, function(error) {
+            $assert.areEqual(requests, ['POST']);
+            return store.read(new Query(tableConstants.operationTableName));
+        }).then(function(operations) {
+            $assert.areEqual(operations.length, 1);
+        });
+    }),
+
+    $test('pull fails if pushing pending operations of the pulled table results in unhandled conflicts')
+    .checkAsync(function () {
+        var requests = [];
+
+        var syncContext = createSyncContext(function(req, next, callback) {
+            requests.push(req.type);
+            callback(null, { status: 409, responseText: '{"id":"1"}' });
+        });
+
+        return initializeSyncContext(syncContext).then(function() {
+            return syncContext.insert(storeTestHelper.testTableName, { id: '1' });
+        }).then(function() {
+            return syncContext.pull(new Query(storeTestHelper.testTableName));
+        }).then(function() {
+            $assert.fail('failure expected');
+        }, function(error) {
+            $assert.isTrue(error instanceof errors.PushFailedError);
+            $assert.areEqual(error.code, 'PushFailed');
+            $assert.areEqual(error.message, "Cannot pull table '" + storeTestHelper.testTableName + "' as 1 of its pending operations could not be pushed.");
+            $assert.areEqual(error.conflicts.length, 1);
+            $assert.isTrue(error.conflicts[0].isConflict());
+            $assert.areEqual(requests, ['POST']);
+        });
+    }),
+
+    $test('Invalid pull query')
+    .checkAsync(function () {
+        return client.getSyncContext().pull({ table: storeTestHelper.testTableName }, null).then(function() {
+            $assert.fail('failure expected');
+        }, function(error) {
+            $assert.areEqual(error, "'query.getComponents' is expected to be a value of type Function, not undefined.");
+        });
+    }),
+
+    $test('Invalid pull settings - pushBeforePull')
+    .checkAsync(function () {
+        return client.getSyncContext().pull(new Query(storeTestHelper.testTableName), null, { pushBeforePull: 'yes' }).then(function() {
+            $assert.fail('failure expected');
+        }, function(error) {
+            $assert.isNotNull(error);
+        });
+    }),
+
+    $test('pull progress is reported after each page')
+    .checkAsync(function () {
+        var events = [],
+            updatedAt = [new Date(2016, 1, 1), new Date(2016, 1, 2), new Date(2016, 1, 3)],
+            pages = [
+                [{ id: '1', updatedAt: updatedAt[0].toISOString(), deleted: false }, { id: '2', updatedAt: updatedAt[1].toISOString(), deleted: false }],
+                [{ id: '3', updatedAt: updatedAt[2].toISOString(), deleted: true }],
+                []
+            ];
+
+        client = client.withFilter(function(req, next, callback) {
+            callback(null, { status: 200, responseText: JSON.stringify(pages.shift()) });
+        });
+
+        var pullManager = createPullManager(client, store, runner(), createOperationTableManager(store));
+        return defineTestTable().then(function() {
+            return pullManager.initialize();
+        }).then(function() {
+            return pullManager.pull(new Query(storeTestHelper.testTableName), 'queryId', {
+                pageSize: 2,
+                onProgress: function (event) {
+                    events.push(event);
+                }
+            });
+        }).then(function() {
+            $assert.areEqual(events.length, 3);
+            events.forEach(function (event, index) {
+                $assert.areEqual(event.type, 'pull');
+                $assert.areEqual(event.tableName, storeTestHelper.testTableName);
+                $assert.areEqual(event.queryId, 'queryId');
+                $assert.areEqual(event.pageCount, index + 1);
+            });
+            $assert.areEqual(events.map(function (event) { return event.recordCount; }), [2, 3, 3]);
+            $assert.areEqual(events[0].lastKnownUpdatedAt.getTime(), updatedAt[1].getTime());
+            $assert.areEqual(events[1].lastKnownUpdatedAt.getTime(), updatedAt[2].getTime());
+            $assert.areEqual(events[2].lastKnownUpdatedAt.getTime(), updatedAt[2].getTime());
+        });
+    }),
+
+    $test('push before pull reports its progress to the pull')
+    .checkAsync(function () {
+        var events = [];
+
+        var syncContext = createSyncContext(function(req, next, callback) {
+            if (req.type === 'GET') {
+                return callback(null, { status: 200, responseText: '[]' });
+            }
+            callback(null, { status: 201, responseText: req.data });
+        });
+
+        return initializeSyncContext(syncContext).then(function() {
+            return syncContext.insert(storeTestHelper.testTableName, { id: '1' });
+        }).then(function() {
+            return syncContext.pull(new Query(storeTestHelper.testTableName), null, {
+                onProgress: function (event) {
+                    events.push(event.type);
+                }
+            });
+        }).then(function() {
+            $assert.areEqual(events, ['push', 'pull']);
+        });
+    }),
+
+    $test('Invalid pull settings - onProgress')
+    .checkAsync(function () {
+        return pullAndValidateSettings({onProgress: 'abc'}, 'error');
+    }),
+
+    $test('pull failure is logged')
+    .checkAsync(function () {
+        var errorEvents = [];
+
+        client = new MobileServiceClient('http://someurl', {
+            logger: {
+                error: function (message, event) {
+                    errorEvents.push(event);
+                }
+            }
+        }).withFilter(function(req, next, callback) {
+            callback(null, { status: 500, responseText: '' });
+        });
+
+        var pullManager = createPullManager(client, store, runner(), createOperationTableManager(store));
+        return pullManager.initialize().then(function() {
+            return pullManager.pull(new Query(storeTestHelper.testTableName), null);
+        }).then(function() {
+            $assert.fail('failure expected');
+        }, function() {
+            $assert.areEqual(errorEvents.length, 1);
+            $assert.areEqual(errorEvents[0].type, 'pull');
+            $assert.areEqual(errorEvents[0].step, 'error');
+        });
     })
 );
 
+function createSyncContext(filter) {
+    client = new MobileServiceClient('http://someurl').withFilter(filter);
+    return client.getSyncContext();
+}
+
+function initializeSyncContext(syncContext) {
+    return defineTestTable().then(function() {
+        return syncContext.initialize(store);
+    });
+}
+
+function defineTestTable() {
+    return store.defineTable({
+        name: storeTestHelper.testTableName,
+        columnDefinitions: {
+            id: 'string',
+            text: 'string',
+            updatedAt: 'date',
+            deleted: 'boolean'
+        }
+    });
+}
+
 function pullAndValidateSettings(settings, expectedPageSize) {
     client = client.withFilter( function(req, next, callback) {
         $assert.areEqual(req.url, "http://someurl/tables/todoitem?$filter=(updatedAt ge datetimeoffset'1969-12-31T08:00:00.000Z')&$orderby=updatedAt&$top=" + 
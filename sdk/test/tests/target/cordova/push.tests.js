@@ -13,6 +13,7 @@ var Platform = require('../../../../src/Platform'),
     createPushManager = require('../../../../src/sync/push').createPushManager,
     tableConstants = require('../../../../src/constants').table,
     MobileServiceClient = require('../../../../src/MobileServiceClient'),
+    errors = require('../../../../src/errors'),
     storeTestHelper = require('./storeTestHelper'),
     runner = require('../../../../src/Utilities/taskRunner'),
     createOperationTableManager = require('../../../../src/sync/operations').createOperationTableManager,
@@ -137,6 +138,243 @@ $testGroup('push tests')
     .checkAsync(function () {
         var table = client.getSyncTable(storeTestHelper.testTableName);
         return pushAndValidateRetryCount([500, 500, 500, 200], 4, [500, 500, 500, 200], 4);
+    }),
+
+    $test('push is cancelled between operations')
+    .checkAsync(function () {
+        var signal = { aborted: false },
+            pushedIds = [],
+            syncContext = client.getSyncContext(),
+            table = client.getSyncTable(storeTestHelper.testTableName);
+
+        filter = function(req, next, callback) {
+            var record = JSON.parse(req.data);
+            pushedIds.push(record.id);
+            signal.aborted = true; // cancel the push while the first operation is being pushed
+            callback(null, { status: 200, responseText: req.data });
+        };
+
+        return table.insert({ id: 'record1', price: 1 }).then(function() {
+            return table.insert({ id: 'record2', price: 2 });
+        }).then(function() {
+            return syncContext.push({ signal: signal });
+        }).then(function() {
+            $assert.fail('failure expected');
+        }, function(error) {
+            $assert.isTrue(error instanceof errors.CancellationError);
+            $assert.areEqual(error.code, 'Aborted');
+            $assert.areEqual(pushedIds, ['record1']);
+            return store.read(new Query(operationTableName));
+        }).then(function(operations) {
+            $assert.areEqual(operations.length, 1);
+            $assert.areEqual(operations[0].itemId, 'record2');
+
+            // the operations that are not pushed are still pending, and are pushed by the next push
+            return syncContext.push();
+        }).then(function() {
+            $assert.areEqual(pushedIds, ['record1', 'record2']);
+        });
+    }),
+
+    $test('aborted operation is unlocked and not handled as a push error')
+    .checkAsync(function () {
+        var signal = { aborted: false },
+            requestCount = 0,
+            syncContext = client.getSyncContext(),
+            table = client.getSyncTable(storeTestHelper.testTableName);
+
+        syncContext.pushHandler = {
+            onError: function (pushError) {
+                $assert.fail('push handler should not have been invoked');
+            }
+        };
+
+        filter = function(req, next, callback) {
+            ++requestCount;
+            if (requestCount === 1) {
+                // simulate the transport aborting the request that is in flight
+                signal.aborted = true;
+                var error = new Error('The request was aborted.');
+                error.name = 'AbortError';
+                return callback(error);
+            }
+            callback(null, { status: 200, responseText: req.data });
+        };
+
+        return table.insert({ id: 'record1', price: 1 }).then(function() {
+            return syncContext.push({ signal: signal });
+        }).then(function() {
+            $assert.fail('failure expected');
+        }, function(error) {
+            $assert.isTrue(error instanceof errors.CancellationError);
+            return store.read(new Query(operationTableName));
+        }).then(function(operations) {
+            $assert.areEqual(operations.length, 1);
+
+            syncContext.pushHandler = undefined;
+            return syncContext.push();
+        }).then(function(conflicts) {
+            $assert.areEqual(requestCount, 2);
+            return store.read(new Query(operationTableName));
+        }).then(function(operations) {
+            $assert.areEqual(operations.length, 0);
+        });
+    }),
+
+    $test('push settings are validated')
+    .checkAsync(function () {
+        return client.getSyncContext().push({ signal: 'abc' }).then(function() {
+            $assert.fail('failure expected');
+        }, function(error) {
+            $assert.isNotNull(error);
+        });
+    }),
+
+    $test('push progress is reported after each operation')
+    .checkAsync(function () {
+        var events = [],
+            syncContext = client.getSyncContext(),
+            table = client.getSyncTable(storeTestHelper.testTableName);
+
+        filter = function(req, next, callback) {
+            if (req.data.indexOf('record2') >= 0) {
+                return callback(null, { status: 412, responseText: '{"id":"record2","version":"server"}' });
+            }
+            callback(null, { status: 200, responseText: req.data });
+        };
+
+        return table.insert({ id: 'record1', price: 1 }).then(function() {
+            return table.insert({ id: 'record2', price: 2 });
+        }).then(function() {
+            return table.insert({ id: 'record3', price: 3 });
+        }).then(function() {
+            return syncContext.push({
+                onProgress: function (event) {
+                    events.push(event);
+                }
+            });
+        }).then(function(conflicts) {
+            $assert.areEqual(conflicts.length, 1);
+            $assert.areEqual(events, [
+                { type: 'push', tableName: storeTestHelper.testTableName, action: 'insert', itemId: 'record1', pushedCount: 1, conflictCount: 0, totalCount: 3 },
+                { type: 'push', tableName: storeTestHelper.testTableName, action: 'insert', itemId: 'record2', pushedCount: 1, conflictCount: 1, totalCount: 3 },
+                { type: 'push', tableName: storeTestHelper.testTableName, action: 'insert', itemId: 'record3', pushedCount: 2, conflictCount: 1, totalCount: 3 }
+            ]);
+        });
+    }),
+
+    $test('push can be scoped to tables and records')
+    .checkAsync(function () {
+        var pushed = [],
+            syncContext = client.getSyncContext(),
+            table = client.getSyncTable(storeTestHelper.testTableName),
+            orders = client.getSyncTable('orders');
+
+        filter = function(req, next, callback) {
+            pushed.push(JSON.parse(req.data).id);
+            callback(null, { status: 201, responseText: req.data });
+        };
+
+        return store.defineTable({
+            name: 'orders',
+            columnDefinitions: {
+                id: 'string',
+                version: 'string'
+            }
+        }).then(function() {
+            return table.insert({ id: 'record1', price: 1 });
+        }).then(function() {
+            return orders.insert({ id: 'order1' });
+        }).then(function() {
+            return table.insert({ id: 'record2', price: 2 });
+        }).then(function() {
+            return orders.insert({ id: 'order2' });
+        }).then(function() {
+            return table.insert({ id: 'record3', price: 3 });
+        }).then(function() {
+            return syncContext.push({ tableNames: ['orders'] });
+        }).then(function() {
+            $assert.areEqual(pushed, ['order1', 'order2']);
+            return syncContext.push({ tableNames: ['orders'], itemIds: ['record3'] });
+        }).then(function() {
+            $assert.areEqual(pushed, ['order1', 'order2']);
+            return syncContext.push({ itemIds: ['record3', 'record1'] });
+        }).then(function() {
+            // the relative order of the selected operations is kept
+            $assert.areEqual(pushed, ['order1', 'order2', 'record1', 'record3']);
+            return syncContext.getPendingOperations();
+        }).then(function(operations) {
+            $assert.areEqual(operations.map(function(operation) { return operation.itemId; }), ['record2']);
+        });
+    }),
+
+    $test('push scope is validated')
+    .checkAsync(function () {
+        var syncContext = client.getSyncContext();
+
+        return syncContext.push({ tableNames: storeTestHelper.testTableName }).then(function() {
+            $assert.fail('failure expected');
+        }, function(error) {
+            return syncContext.push({ tableNames: [''] });
+        }).then(function() {
+            $assert.fail('failure expected');
+        }, function(error) {
+            return syncContext.push({ itemIds: [{}] });
+        }).then(function() {
+            $assert.fail('failure expected');
+        }, function(error) {
+            $assert.isNotNull(error);
+        });
+    }),
+
+    $test('push steps are logged')
+    .checkAsync(function () {
+        var entries = [];
+
+        client = new MobileServiceClient('http://someurl', {
+            logLevel: 'debug',
+            logger: {
+                debug: function (message, event) {
+                    entries.push(event);
+                },
+                info: function (message, event) {
+                    entries.push(event);
+                },
+                warn: function (message, event) {
+                    entries.push(event);
+                }
+            }
+        }).withFilter(function(req, next, callback) {
+            if (req.data.indexOf('record2') >= 0) {
+                return callback(null, { status: 412, responseText: '{"id":"record2","version":"server"}' });
+            }
+            callback(null, { status: 200, responseText: '{"id":"record1","version":"1"}' });
+        });
+
+        var syncContext = client.getSyncContext(),
+            table = client.getSyncTable(storeTestHelper.testTableName);
+
+        return syncContext.initialize(store).then(function() {
+            return table.insert({ id: 'record1', price: 1 });
+        }).then(function() {
+            return table.insert({ id: 'record2', price: 2 });
+        }).then(function() {
+            return syncContext.push();
+        }).then(function(conflicts) {
+            var steps = entries.filter(function(event) {
+                return event.type === 'push';
+            });
+
+            $assert.areEqual(conflicts.length, 1);
+            $assert.areEqual(steps.map(function(event) { return event.step; }),
+                             ['start', 'operation', 'operation', 'operationError', 'complete']);
+            $assert.areEqual(steps[1].itemId, 'record1');
+            $assert.areEqual(steps[1].action, 'insert');
+            $assert.areEqual(steps[3].itemId, 'record2');
+            $assert.areEqual(steps[3].status, 412);
+            $assert.areEqual(steps[4].count, 1);
+            $assert.areEqual(steps[4].conflicts, 1);
+        });
     })
 );
 
@@ -68,6 +68,20 @@ $testGroup('pushError tests')
         });
     }),
 
+    $test('pushError.isConflict() - timeout error')
+    .check(function () {
+        var pushError = createPushError(store, createOperationTableManager(store), runner(), {}, { isTimeout: true });
+        $assert.isFalse(pushError.isConflict());
+    }),
+
+    $test('pushError.isConflict() - conflict error')
+    .check(function () {
+        var operationTableManager = createOperationTableManager(store);
+        $assert.isTrue(createPushError(store, operationTableManager, runner(), {}, { request: { status: 409 } }).isConflict());
+        $assert.isTrue(createPushError(store, operationTableManager, runner(), {}, { request: { status: 412 } }).isConflict());
+        $assert.isFalse(createPushError(store, operationTableManager, runner(), {}, { request: { status: 500 } }).isConflict());
+    }),
+
     // changeAction(insert) tests
     $test('pushError.changeAction() - new action is insert, new record value specifies version')
     .checkAsync(function () {
@@ -0,0 +1,188 @@
+// ----------------------------------------------------------------------------
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// ----------------------------------------------------------------------------
+
+/**
+ * @file unit tests for the Node.js http / https transport
+ */
+
+var http = require('http'),
+    Platform = require('../../../../src/Platform'),
+    transport = require('../../../../src/Transports/NodeHttpTransport');
+
+var server,
+    handler;
+
+$testGroup('NodeHttpTransport tests')
+
+    .beforeEachAsync(function() {
+        return Platform.async(function(callback) {
+            handler = undefined;
+            server = http.createServer(function(req, res) {
+                var body = '';
+                req.on('data', function(chunk) {
+                    body += chunk;
+                });
+                req.on('end', function() {
+                    handler(req, res, body);
+                });
+            });
+            server.listen(0, '127.0.0.1', function() {
+                callback();
+            });
+        })();
+    })
+    .afterEachAsync(function() {
+        return Platform.async(function(callback) {
+            server.close(function() {
+                callback();
+            });
+        })();
+    }).tests(
+
+    $test('supportsCurrentRuntime')
+    .check(function () {
+        $assert.isTrue(transport.supportsCurrentRuntime());
+    }),
+
+    $test('GET request')
+    .checkAsync(function () {
+        handler = function(req, res, body) {
+            $assert.areEqual(req.method, 'GET');
+            $assert.areEqual(req.url, '/tables/todoitem?$top=1');
+            $assert.areEqual(req.headers['x-custom'], 'value');
+            res.writeHead(200, { 'Content-Type': 'application/json', 'ETag': '"abc"' });
+            res.end('[{"id":"1"}]');
+        };
+
+        return performRequest({
+            type: 'get',
+            url: getServerUrl() + '/tables/todoitem?$top=1#hash',
+            headers: { 'X-Custom': 'value' },
+            data: null
+        }).then(function(response) {
+            $assert.areEqual(response.status, 200);
+            $assert.areEqual(response.responseText, '[{"id":"1"}]');
+            $assert.areEqual(response.getResponseHeader('Content-Type'), 'application/json');
+            $assert.areEqual(response.getResponseHeader('etag'), '"abc"');
+            $assert.isNull(response.getResponseHeader('Link'));
+        });
+    }),
+
+    $test('POST request with body')
+    .checkAsync(function () {
+        var data = '{"text":"héllo"}';
+        handler = function(req, res, body) {
+            $assert.areEqual(req.method, 'POST');
+            $assert.areEqual(req.headers['content-length'], String(Buffer.byteLength(data)));
+            $assert.areEqual(body, data);
+            res.writeHead(201, { 'Content-Type': 'application/json' });
+            res.end(body);
+        };
+
+        return performRequest({
+            type: 'POST',
+            url: getServerUrl() + '/tables/todoitem',
+            headers: { 'Content-Type': 'application/json' },
+            data: data
+        }).then(function(response) {
+            $assert.areEqual(response.status, 201);
+            $assert.areEqual(response.responseText, data);
+        });
+    }),
+
+    $test('error status code')
+    .checkAsync(function () {
+        handler = function(req, res, body) {
+            res.writeHead(404, 'Not Found');
+            res.end('');
+        };
+
+        return performRequest({
+            type: 'DELETE',
+            url: getServerUrl() + '/tables/todoitem/1'
+        }).then(function(response) {
+            $assert.areEqual(response.status, 404);
+            $assert.areEqual(response.statusText, 'Not Found');
+        });
+    }),
+
+    $test('connection failure')
+    .checkAsync(function () {
+        var url = getServerUrl();
+        return Platform.async(function(callback) {
+            server.close(function() {
+                server = http.createServer(); // so that afterEach has something to close
+                server.listen(0, '127.0.0.1', callback);
+            });
+        })().then(function() {
+            return performRequest({
+                type: 'GET',
+                url: url + '/tables/todoitem'
+            });
+        }).then(function(response) {
+            $assert.areEqual(response.status, 0);
+        });
+    }),
+
+    $test('connection dropped before the whole body is received')
+    .checkAsync(function () {
+        handler = function(req, res, body) {
+            res.writeHead(200, { 'Content-Type': 'application/json', 'Content-Length': '100' });
+            res.write('[{"id":', function() {
+                res.socket.destroy();
+            });
+        };
+
+        return performRequest({
+            type: 'GET',
+            url: getServerUrl() + '/tables/todoitem'
+        }).then(function(response) {
+            $assert.areEqual(response.status, 0);
+            $assert.areEqual(response.responseText, '');
+        });
+    }),
+
+    $test('request times out')
+    .checkAsync(function () {
+        handler = function(req, res, body) {
+            // never respond
+        };
+
+        return performRequest({
+            type: 'GET',
+            url: getServerUrl() + '/tables/todoitem',
+            timeout: 10
+        }).then(function(response) {
+            $assert.fail('request should have timed out');
+        }, function(error) {
+            $assert.areEqual(error.name, 'TimeoutError');
+        });
+    }),
+
+    $test('request is aborted using an AbortSignal')
+    .checkAsync(function () {
+        var controller = new AbortController();
+        handler = function(req, res, body) {
+            controller.abort(); // never respond unless aborted
+        };
+
+        return performRequest({
+            type: 'GET',
+            url: getServerUrl() + '/tables/todoitem',
+            signal: controller.signal
+        }).then(function(response) {
+            $assert.fail('request should have been aborted');
+        }, function(error) {
+            $assert.areEqual(error.name, 'AbortError');
+        });
+    })
+);
+
+function getServerUrl() {
+    return 'http://127.0.0.1:' + server.address().port;
+}
+
+function performRequest(request) {
+    return Platform.async(transport.performRequest)(request);
+}
@@ -0,0 +1,77 @@
+// ----------------------------------------------------------------------------
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// ----------------------------------------------------------------------------
+
+/**
+ * @file unit tests for the Node.js platform
+ */
+
+var os = require('os'),
+    fs = require('fs'),
+    path = require('path'),
+    childProcess = require('child_process'),
+    Platform = require('../../../../src/Platform'),
+    environment = require('../../../../src/Platform/environment');
+
+$testGroup('Node.js platform tests',
+
+    $test('target')
+    .check(function () {
+        $assert.areEqual(environment.getTarget(), 'Node');
+        $assert.areEqual(Platform.getSdkInfo().language, 'Node');
+    }),
+
+    $test('operating system info')
+    .check(function () {
+        $assert.areEqual(Platform.getOperatingSystemInfo(), {
+            name: os.type(),
+            version: os.release(),
+            architecture: os.arch()
+        });
+    }),
+
+    $test('user agent')
+    .check(function () {
+        $assert.contains(Platform.getUserAgent(), 'Node.js/' + process.version);
+    }),
+
+    $test('settings roundtrip')
+    .check(function () {
+        var name = 'NodePlatformTest.Setting',
+            value = 'value ' + new Date().getTime();
+
+        Platform.writeSetting(name, value);
+        $assert.areEqual(Platform.readSetting(name), value);
+    }),
+
+    $test('loading the SDK does not write the settings file')
+    .check(function () {
+        var homeDir = fs.mkdtempSync(path.join(os.tmpdir(), 'azure-mobile-apps-home-')),
+            env = {};
+
+        for (var name in process.env) {
+            if (name !== 'AZURE_MOBILE_APPS_SETTINGS_FILE') {
+                env[name] = process.env[name];
+            }
+        }
+        env.HOME = env.USERPROFILE = homeDir;
+
+        // The SDK is loaded in a separate process, as it is already loaded in this one
+        childProcess.execFileSync(process.execPath, ['-e',
+            "var WindowsAzure = require(" + JSON.stringify(path.join(__dirname, '..', '..', '..', '..', 'src', 'index')) + ");" +
+            "new WindowsAzure.MobileServiceClient('http://www.test.com', { settingsStore: { readSetting: function () {}, writeSetting: function () {} } });"
+        ], { env: env });
+
+        $assert.areEqual(fs.readdirSync(homeDir), []);
+        fs.rmdirSync(homeDir);
+    }),
+
+    $test('login is not supported')
+    .checkAsync(function () {
+        return Platform.async(Platform.login)('https://some.url/.auth/login/facebook', 'https://some.url/.auth/login/done').then(function() {
+            $assert.fail('login should have failed');
+        }, function(error) {
+            $assert.isNotNull(error);
+        });
+    })
+);